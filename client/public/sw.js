@@ -0,0 +1,69 @@
+// sw.js — Service worker: keeps the app shell available without a connection
+// - Page loads: network first, falling back to the cached index.html (every route is the
+//   same single-page app, so /home opens offline too)
+// - The build's own files (hashed JS/CSS bundles, ...) are cached on install, so the shell
+//   opens offline right after the first visit; other same-origin static files are cached
+//   first-use. Both are served cache first
+// - Everything else, including the API (another origin), goes straight to the network;
+//   item data for offline use lives in IndexedDB (src/offlineStore.js)
+// Each build gets its own cache; older ones (with the previous build's bundles) are deleted
+// on activation. Bump the "v1" when the caching rules change.
+
+// Filled in by the build (see vite.config.js): the files it emitted and a version derived from
+// them, so every deploy changes this script and installs a new worker
+const BUILD = { version: "dev", assets: [] };
+
+const CACHE = `app-shell-v1-${BUILD.version}`;
+const SHELL = ["/", "/index.html", "/vite.svg", ...BUILD.assets];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put("/index.html", copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -0,0 +1,392 @@
+// Admin.jsx — Admin console (route /admin, admins only: see RequireRole.jsx)
+// Users: search by name/email, filter by role and status, and per account change the role,
+// disable / re-enable it, or require a new password. Audit trail: every one of those actions,
+// newest first. Both lists page with the same X-Next-Cursor headers as the dashboard.
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import Swal from "sweetalert2";
+import api from "./api";
+import { errorMessage } from "./validation";
+import "./App.css";
+
+const Toast = Swal.mixin({
+  toast: true,
+  position: "top-end",
+  timer: 2000,
+  timerProgressBar: true,
+  showConfirmButton: false,
+});
+
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Audit actions as sentences ("<actor> <label> <target>")
+const ACTION_LABELS = {
+  "user.disable": "disabled",
+  "user.enable": "re-enabled",
+  "user.password-reset": "required a new password for",
+  "user.role": "changed the role of",
+  "employee.create": "added directory entry",
+  "employee.update": "edited directory entry",
+  "employee.delete": "removed directory entry",
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+// Extra detail for an audit entry ("reason: …", "user → admin")
+function auditDetails(entry) {
+  const d = entry.details || {};
+  if (entry.action === "user.role") return `${d.from} → ${d.to}`;
+  if (entry.action === "user.disable" && d.reason) return `Reason: ${d.reason}`;
+  if (entry.action === "user.password-reset" && d.emailed === false) return "Email could not be sent";
+  if (entry.action === "employee.update" && d.fields) return `Changed: ${d.fields.join(", ")}`;
+  if (entry.action === "employee.delete" && d.reassigned) return `${d.reassigned} report(s) moved up`;
+  return "";
+}
+
+const Admin = () => {
+  const navigate = useNavigate();
+  const [me, setMe] = useState(null);               // The signed-in admin (can't disable/demote themselves)
+  const [tab, setTab] = useState("users");          // "users" | "audit"
+
+  // Users
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searchInput, setSearchInput] = useState("");
+  const [q, setQ] = useState("");                   // Debounced search
+  const [role, setRole] = useState("");             // "" = any
+  const [status, setStatus] = useState("");         // "" = any, "active", "disabled", "reset"
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);       // Row with a request in flight
+
+  // Audit trail
+  const [audit, setAudit] = useState([]);
+  const [auditCursor, setAuditCursor] = useState(null);
+  const [auditLoading, setAuditLoading] = useState(false);
+
+  useEffect(() => {
+    api.get("/me").then((res) => setMe(res.data.user)).catch(console.error);
+  }, []);
+
+  // Effect: search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setQ(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // GET /admin/users (first page replaces the list, later pages append)
+  const loadUsers = useCallback(
+    async (cursor = null) => {
+      const params = { limit: PAGE_SIZE, ...(q ? { q } : {}), ...(role ? { role } : {}), ...(status ? { status } : {}) };
+      if (cursor) params.cursor = cursor;
+      const res = await api.get("/admin/users", { params });
+      setUsers((prev) => (cursor ? [...prev, ...res.data] : res.data));
+      setTotal(parseInt(res.headers["x-total-count"], 10) || 0);
+      setNextCursor(res.headers["x-next-cursor"] || null);
+    },
+    [q, role, status]
+  );
+
+  // GET /admin/audit
+  const loadAudit = useCallback(async (cursor = null) => {
+    setAuditLoading(true);
+    try {
+      const res = await api.get("/admin/audit", { params: { limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) } });
+      setAudit((prev) => (cursor ? [...prev, ...res.data] : res.data));
+      setAuditCursor(res.headers["x-next-cursor"] || null);
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to load the audit trail", text: errorMessage(err, "") });
+    } finally {
+      setAuditLoading(false);
+    }
+  }, []);
+
+  // Effect: reload the users whenever the search or filters change
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    loadUsers()
+      .catch((err) => {
+        if (!cancelled) Swal.fire({ icon: "error", title: "Failed to load users", text: errorMessage(err, "") });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadUsers]);
+
+  // Effect: load the audit trail when its tab is opened
+  useEffect(() => {
+    if (tab === "audit") loadAudit();
+  }, [tab, loadAudit]);
+
+  // Run one admin action on a row and show the updated account
+  const runAction = async (user, request, success) => {
+    setBusyId(user._id);
+    try {
+      const res = await request();
+      setUsers((prev) => prev.map((u) => (u._id === user._id ? { ...u, ...res.data.user } : u)));
+      Toast.fire({ icon: "success", title: success(res.data) });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Action failed", text: errorMessage(err, "Please try again.") });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDisable = async (user) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: `Disable ${user.name}?`,
+      text: "They are signed out everywhere and can't log in until re-enabled. Their items stay.",
+      input: "text",
+      inputPlaceholder: "Reason (optional, kept in the audit trail)",
+      inputAttributes: { maxlength: "500" },
+      showCancelButton: true,
+      confirmButtonText: "Disable",
+      confirmButtonColor: "#ef4444",
+      reverseButtons: true,
+    });
+    if (!result.isConfirmed) return;
+    // POST /admin/users/:id/disable { reason }
+    await runAction(
+      user,
+      () => api.post(`/admin/users/${user._id}/disable`, { reason: result.value || "" }),
+      () => "Account disabled"
+    );
+  };
+
+  const handleEnable = (user) =>
+    // POST /admin/users/:id/enable
+    runAction(user, () => api.post(`/admin/users/${user._id}/enable`), () => "Account re-enabled");
+
+  const handleForceReset = async (user) => {
+    const result = await Swal.fire({
+      icon: "question",
+      title: `Require a new password for ${user.name}?`,
+      text: "They are signed out everywhere and get an email with a reset link; logging in is blocked until they use it.",
+      showCancelButton: true,
+      confirmButtonText: "Require reset",
+      reverseButtons: true,
+    });
+    if (!result.isConfirmed) return;
+    // POST /admin/users/:id/password-reset
+    await runAction(
+      user,
+      () => api.post(`/admin/users/${user._id}/password-reset`),
+      (data) => (data.emailed ? "Reset link sent" : "Reset required (the email could not be sent)")
+    );
+  };
+
+  const handleRole = async (user, nextRole) => {
+    const result = await Swal.fire({
+      icon: "question",
+      title: nextRole === "admin" ? `Make ${user.name} an admin?` : `Make ${user.name} a regular user?`,
+      text: nextRole === "admin" ? "Admins can manage every account." : "They lose access to this console.",
+      showCancelButton: true,
+      confirmButtonText: "Change role",
+      reverseButtons: true,
+    });
+    if (!result.isConfirmed) return;
+    // PUT /admin/users/:id/role { role }
+    await runAction(user, () => api.put(`/admin/users/${user._id}/role`, { role: nextRole }), () => "Role changed");
+  };
+
+  const loadMoreUsers = () => {
+    setLoading(true);
+    loadUsers(nextCursor)
+      .catch((err) => Swal.fire({ icon: "error", title: "Failed to load users", text: errorMessage(err, "") }))
+      .finally(() => setLoading(false));
+  };
+
+  return (
+    <div className="dashboard-page">
+      <div className="gradient-bg">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+
+      <div className="dashboard">
+        <header className="dashboard-header">
+          <div className="brand">
+            <div className="logo">🛡️</div>
+            <h2>Admin console</h2>
+            <p className="muted">
+              {total} account{total !== 1 ? "s" : ""}
+            </p>
+          </div>
+          <div className="header-actions">
+            <button className="btn btn-ghost" onClick={() => navigate("/home")}>
+              ← Dashboard
+            </button>
+          </div>
+        </header>
+
+        <nav className="admin-tabs">
+          <button className={`sidebar-link ${tab === "users" ? "active" : ""}`} onClick={() => setTab("users")}>
+            👥 Users
+          </button>
+          <button className={`sidebar-link ${tab === "audit" ? "active" : ""}`} onClick={() => setTab("audit")}>
+            📜 Audit trail
+          </button>
+        </nav>
+
+        {tab === "users" ? (
+          <section className="glass-card admin-card">
+            <div className="admin-filters">
+              <div className="input with-icon">
+                <span className="icon">🔎</span>
+                <input
+                  placeholder="Search name or email"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                />
+              </div>
+              <select className="role-select" value={role} onChange={(e) => setRole(e.target.value)}>
+                <option value="">Any role</option>
+                <option value="user">Users</option>
+                <option value="admin">Admins</option>
+              </select>
+              <select className="role-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+                <option value="">Any status</option>
+                <option value="active">Active</option>
+                <option value="disabled">Disabled</option>
+                <option value="reset">Password reset pending</option>
+              </select>
+            </div>
+
+            <div className="admin-table-wrap">
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Status</th>
+                    <th>Items</th>
+                    <th>Last seen</th>
+                    <th>Joined</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((user) => {
+                    const isMe = me && me._id === user._id;
+                    const busy = busyId === user._id;
+                    return (
+                      <tr key={user._id} className={user.disabledAt ? "disabled" : ""}>
+                        <td>
+                          {user.name}
+                          {isMe && <small className="muted"> (you)</small>}
+                        </td>
+                        <td>{user.email}</td>
+                        <td>
+                          <select
+                            className="role-select"
+                            value={user.role}
+                            disabled={isMe || busy}          // No demoting yourself
+                            onChange={(e) => handleRole(user, e.target.value)}
+                          >
+                            <option value="user">User</option>
+                            <option value="admin">Admin</option>
+                          </select>
+                        </td>
+                        <td>
+                          <div className="status-list">
+                            {user.disabledAt ? (
+                              <span className="status-badge danger" title={user.disabledReason || undefined}>
+                                Disabled
+                              </span>
+                            ) : (
+                              <span className="status-badge ok">Active</span>
+                            )}
+                            {!user.verified && <span className="status-badge">Unverified</span>}
+                            {user.passwordResetRequired && <span className="status-badge warn">Reset pending</span>}
+                          </div>
+                        </td>
+                        <td>{user.itemCount ?? "—"}</td>
+                        <td className="muted small">{formatDate(user.lastSeenAt)}</td>
+                        <td className="muted small">{new Date(user.createdAt).toLocaleDateString()}</td>
+                        <td>
+                          <div className="actions">
+                            {user.disabledAt ? (
+                              <button className="btn btn-ghost" onClick={() => handleEnable(user)} disabled={busy}>
+                                Enable
+                              </button>
+                            ) : (
+                              <button
+                                className="btn btn-ghost danger"
+                                onClick={() => handleDisable(user)}
+                                disabled={busy || isMe}      // No locking yourself out
+                              >
+                                Disable
+                              </button>
+                            )}
+                            <button className="btn btn-ghost" onClick={() => handleForceReset(user)} disabled={busy}>
+                              Reset password
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {loading ? (
+              <div className="center">
+                <span className="spinner lg" />
+              </div>
+            ) : users.length === 0 ? (
+              <p className="muted">No accounts match.</p>
+            ) : (
+              nextCursor && (
+                <button className="btn btn-ghost admin-more" onClick={loadMoreUsers}>
+                  Load more
+                </button>
+              )
+            )}
+          </section>
+        ) : (
+          <section className="glass-card admin-card">
+            {audit.length === 0 && !auditLoading ? (
+              <p className="muted">No admin actions yet.</p>
+            ) : (
+              <ul className="audit-list">
+                {audit.map((entry) => (
+                  <li key={entry._id}>
+                    <span className="muted small">{formatDate(entry.createdAt)}</span>
+                    <span>
+                      <strong>{entry.actorEmail}</strong> {ACTION_LABELS[entry.action] || entry.action}{" "}
+                      <strong>{entry.targetEmail}</strong>
+                    </span>
+                    {auditDetails(entry) && <span className="muted small">{auditDetails(entry)}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {auditLoading ? (
+              <div className="center">
+                <span className="spinner lg" />
+              </div>
+            ) : (
+              auditCursor && (
+                <button className="btn btn-ghost admin-more" onClick={() => loadAudit(auditCursor)}>
+                  Load more
+                </button>
+              )
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -4,6 +4,12 @@ import Signup from './Signup';
 import Login from './Login';
 import Home from './Home';
 import Welcome from './Welcome';
+import ResetPassword from './ResetPassword';
+import VerifyEmail from './VerifyEmail';
+import Admin from './Admin';
+import Directory from './Directory';
+import Settings from './Settings';
+import RequireRole from './RequireRole';
 
 function App() {
   return (
@@ -13,6 +19,25 @@ function App() {
         <Route path="/login" element={<Login />} />
         <Route path="/" element={<Welcome />} />
         <Route path="/home" element={<Home />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/settings" element={<Settings />} />
+        <Route
+          path="/admin"
+          element={
+            <RequireRole permission="users:manage">
+              <Admin />
+            </RequireRole>
+          }
+        />
+        <Route
+          path="/directory"
+          element={
+            <RequireRole permission="employees:manage">
+              <Directory />
+            </RequireRole>
+          }
+        />
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,109 @@
+// Attachments.jsx — File list shown on an item card
+// Files come from the item listing (metadata only); images get a thumbnail, everything
+// else a file chip. The bytes are fetched with the access token (a plain <img src> or link
+// can't send it), turned into object URLs and released again when no longer shown.
+
+import React, { useEffect, useRef, useState } from "react";
+import api from "./api";
+
+// Same allow-list as the server (utils/attachments.js)
+const ACCEPTED_TYPES = "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,text/csv";
+
+// GET /items/:id/attachments/:attachmentId as a Blob
+const fetchFile = (itemId, id) => api.get(`/items/${itemId}/attachments/${id}`, { responseType: "blob" });
+
+// 1536 -> "1.5 KB"
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Save a file through a temporary object URL
+async function download(att) {
+  const res = await fetchFile(att.itemId, att._id);
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = att.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Image preview, loaded once per attachment
+function Thumbnail({ att }) {
+  const [src, setSrc] = useState(null);
+  const { itemId, _id: id } = att;
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    fetchFile(itemId, id)
+      .then((res) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(res.data);
+        setSrc(url);
+      })
+      .catch((err) => console.error(err));          // The file chip still works without a preview
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [itemId, id]);
+
+  return src ? <img src={src} alt={att.filename} /> : <span className="thumb-placeholder">🖼️</span>;
+}
+
+const Attachments = ({ attachments = [], readOnly = false, onAdd, onDelete }) => {
+  const inputRef = useRef(null);                      // Hidden <input type="file">
+
+  if (readOnly && attachments.length === 0) return null;
+
+  const handleDownload = (att) => {
+    download(att).catch((err) => console.error(err));
+  };
+
+  return (
+    <div className="attachments">
+      {attachments.map((att) => (
+        <div className="attachment" key={att._id} title={`${att.filename} (${formatSize(att.size)})`}>
+          <button className="attachment-open" onClick={() => handleDownload(att)}>
+            {att.mimeType.startsWith("image/") ? <Thumbnail att={att} /> : <span className="file-icon">📄</span>}
+            <span className="attachment-name">{att.filename}</span>
+          </button>
+          {!readOnly && (
+            <button
+              className="icon-btn danger small"
+              onClick={() => onDelete(att)}
+              title={`Remove ${att.filename}`}
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      {!readOnly && (
+        <>
+          <button className="icon-btn" onClick={() => inputRef.current?.click()} title="Attach files (or drop them on the card)">
+            📎
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_TYPES}
+            hidden
+            onChange={(e) => {
+              const files = [...e.target.files];
+              e.target.value = "";                    // Picking the same file again still fires
+              if (files.length > 0) onAdd(files);
+            }}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Attachments;
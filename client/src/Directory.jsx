@@ -0,0 +1,376 @@
+// Directory.jsx — Employee directory (route /directory, admins only: see RequireRole.jsx)
+// Sidebar: every department with its head count; picking one filters the list. The list is
+// searchable (name, email, job title, phone), A-Z, and pages like the dashboard. The org chart
+// view shows the reporting tree from GET /employees/org-chart (under one person if chosen).
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import Swal from "sweetalert2";
+import api from "./api";
+import EmployeeForm from "./EmployeeForm";
+import { errorMessage } from "./validation";
+import "./App.css";
+
+const Toast = Swal.mixin({
+  toast: true,
+  position: "top-end",
+  timer: 2000,
+  timerProgressBar: true,
+  showConfirmButton: false,
+});
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Everyone in an org-chart forest, A-Z (the manager picker's options)
+function flatten(roots) {
+  const all = [];
+  const walk = (nodes) =>
+    nodes.forEach((n) => {
+      all.push(n);
+      walk(n.reports);
+    });
+  walk(roots);
+  return all.sort((a, b) => (a.name || "").localeCompare(b.name || "")); // Old entries may have no name
+}
+
+// One person in the org chart with everyone under them
+const OrgNode = ({ node, onFocus }) => (
+  <li>
+    <button className="org-node" onClick={() => onFocus(node)} title="Show only this part of the chart">
+      <strong>{node.name}</strong>
+      <span className="muted small">
+        {node.title} · {node.department}
+      </span>
+    </button>
+    {node.reports.length > 0 && (
+      <ul>
+        {node.reports.map((r) => (
+          <OrgNode key={r._id} node={r} onFocus={onFocus} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+const Directory = () => {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState("list");         // "list" | "chart"
+
+  // Filters
+  const [departments, setDepartments] = useState([]); // [{ name, count }]
+  const [department, setDepartment] = useState(null); // null = every department
+  const [searchInput, setSearchInput] = useState("");
+  const [q, setQ] = useState("");                   // Debounced search
+
+  // List
+  const [employees, setEmployees] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Org chart (the whole company also feeds the manager picker)
+  const [chart, setChart] = useState([]);           // Roots of the whole company
+  const [focus, setFocus] = useState(null);         // { node, roots } while showing one subtree
+  const [editing, setEditing] = useState(null);     // {} for a new employee, or the one being edited
+
+  // Effect: search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setQ(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // GET /employees/departments + GET /employees/org-chart (after any change too)
+  const loadOverview = useCallback(async () => {
+    try {
+      const [deps, org] = await Promise.all([api.get("/employees/departments"), api.get("/employees/org-chart")]);
+      setDepartments(deps.data);
+      setChart(org.data.roots);
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to load the directory", text: errorMessage(err, "") });
+    }
+  }, []);
+
+  // GET /employees (first page replaces the list, later pages append)
+  const loadEmployees = useCallback(
+    async (cursor = null) => {
+      const params = { limit: PAGE_SIZE, ...(q ? { q } : {}), ...(department ? { department } : {}) };
+      if (cursor) params.cursor = cursor;
+      const res = await api.get("/employees", { params });
+      setEmployees((prev) => (cursor ? [...prev, ...res.data] : res.data));
+      setTotal(parseInt(res.headers["x-total-count"], 10) || 0);
+      setNextCursor(res.headers["x-next-cursor"] || null);
+    },
+    [q, department]
+  );
+
+  useEffect(() => {
+    loadOverview();
+  }, [loadOverview]);
+
+  // Effect: reload the list whenever the search or department changes
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    loadEmployees()
+      .catch((err) => {
+        if (!cancelled) Swal.fire({ icon: "error", title: "Failed to load employees", text: errorMessage(err, "") });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadEmployees]);
+
+  const loadMore = () => {
+    setLoading(true);
+    loadEmployees(nextCursor)
+      .catch((err) => Swal.fire({ icon: "error", title: "Failed to load employees", text: errorMessage(err, "") }))
+      .finally(() => setLoading(false));
+  };
+
+  // Show part of the org chart: GET /employees/org-chart?rootId=
+  const focusOn = async (node) => {
+    try {
+      const res = await api.get("/employees/org-chart", { params: { rootId: node._id } });
+      setFocus({ node, roots: res.data.roots });
+      setMode("chart");
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to load the org chart", text: errorMessage(err, "") });
+    }
+  };
+
+  // After the form saved: refresh the list, departments and chart (a move changes all three)
+  const handleSaved = (employee) => {
+    const isNew = !editing?._id;
+    setEditing(null);
+    setFocus(null);
+    loadOverview();
+    loadEmployees().catch(console.error);
+    Toast.fire({ icon: "success", title: isNew ? `${employee.name} added` : "Employee updated" });
+  };
+
+  const handleDelete = async (employee) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: `Remove ${employee.name}?`,
+      text: "Anyone reporting to them will report to their manager instead.",
+      showCancelButton: true,
+      confirmButtonText: "Remove",
+      confirmButtonColor: "#ef4444",
+      reverseButtons: true,
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      // DELETE /employees/:id
+      const res = await api.delete(`/employees/${employee._id}`);
+      setEmployees((prev) => prev.filter((e) => e._id !== employee._id));
+      setTotal((t) => Math.max(0, t - 1));
+      setFocus(null);
+      loadOverview();
+      Toast.fire({
+        icon: "success",
+        title: res.data.reassigned > 0 ? `Removed; ${res.data.reassigned} report(s) moved up` : "Employee removed",
+      });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Delete failed", text: errorMessage(err, "Please try again.") });
+    }
+  };
+
+  const people = flatten(chart);
+  const headCount = departments.reduce((sum, d) => sum + d.count, 0);
+
+  return (
+    <div className="dashboard-page">
+      <div className="gradient-bg">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+
+      <div className="dashboard">
+        <header className="dashboard-header">
+          <div className="brand">
+            <div className="logo">🏢</div>
+            <h2>Employee directory</h2>
+            <p className="muted">
+              {headCount} employee{headCount !== 1 ? "s" : ""} in {departments.length} department
+              {departments.length !== 1 ? "s" : ""}
+            </p>
+          </div>
+          <div className="header-actions">
+            <button className="btn btn-primary" onClick={() => setEditing({})}>
+              + Add employee
+            </button>
+            <button className="btn btn-ghost" onClick={() => navigate("/home")}>
+              ← Dashboard
+            </button>
+          </div>
+        </header>
+
+        <div className="dashboard-body">
+          <aside className="sidebar glass-card">
+            <nav className="sidebar-section">
+              <button
+                className={`sidebar-link ${mode === "list" ? "active" : ""}`}
+                onClick={() => setMode("list")}
+              >
+                📇 List
+              </button>
+              <button
+                className={`sidebar-link ${mode === "chart" ? "active" : ""}`}
+                onClick={() => {
+                  setFocus(null);
+                  setMode("chart");
+                }}
+              >
+                🌳 Org chart
+              </button>
+            </nav>
+
+            <div className="sidebar-section">
+              <h5 className="muted">Departments</h5>
+              <button
+                className={`sidebar-link ${department === null ? "active" : ""}`}
+                onClick={() => {
+                  setDepartment(null);
+                  setMode("list");
+                }}
+              >
+                All departments <span className="muted small">{headCount}</span>
+              </button>
+              {departments.map((d) => (
+                <button
+                  key={d.name}
+                  className={`sidebar-link ${department === d.name ? "active" : ""}`}
+                  onClick={() => {
+                    setDepartment(d.name);
+                    setMode("list");
+                  }}
+                >
+                  {d.name} <span className="muted small">{d.count}</span>
+                </button>
+              ))}
+            </div>
+          </aside>
+
+          <main className="dashboard-main">
+            {mode === "list" ? (
+              <section className="glass-card admin-card">
+                <div className="input with-icon directory-search">
+                  <span className="icon">🔎</span>
+                  <input
+                    placeholder={department ? `Search ${department}` : "Search name, email, job title or phone"}
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                  />
+                </div>
+
+                <div className="admin-table-wrap">
+                  <table className="admin-table">
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Job title</th>
+                        <th>Department</th>
+                        <th>Manager</th>
+                        <th>Contact</th>
+                        <th>Joined</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {employees.map((e) => (
+                        <tr key={e._id}>
+                          <td>
+                            <button className="link-btn" onClick={() => focusOn(e)} title="Show in the org chart">
+                              {e.name}
+                            </button>
+                          </td>
+                          <td>{e.title}</td>
+                          <td>{e.department}</td>
+                          <td>{e.manager ? e.manager.name : <span className="muted">—</span>}</td>
+                          <td>
+                            <a href={`mailto:${e.email}`}>{e.email}</a>
+                            {e.phone && <div className="muted small">{e.phone}</div>}
+                          </td>
+                          <td className="muted small">
+                            {e.joinedAt ? new Date(e.joinedAt).toLocaleDateString(undefined, { timeZone: "UTC" }) : "—"}
+                          </td>
+                          <td>
+                            <div className="actions">
+                              <button className="icon-btn" onClick={() => setEditing(e)} title="Edit">
+                                ✏️
+                              </button>
+                              <button className="icon-btn danger" onClick={() => handleDelete(e)} title="Remove">
+                                🗑️
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {loading ? (
+                  <div className="center">
+                    <span className="spinner lg" />
+                  </div>
+                ) : employees.length === 0 ? (
+                  <p className="muted">{q || department ? "Nobody matches." : "No employees yet."}</p>
+                ) : (
+                  <>
+                    <p className="muted small">
+                      Showing {employees.length} of {total}
+                    </p>
+                    {nextCursor && (
+                      <button className="btn btn-ghost admin-more" onClick={loadMore}>
+                        Load more
+                      </button>
+                    )}
+                  </>
+                )}
+              </section>
+            ) : (
+              <section className="glass-card admin-card">
+                {focus && (
+                  <p className="muted small">
+                    Showing {focus.node.name}&apos;s part of the organisation ·{" "}
+                    <button className="link-btn" onClick={() => setFocus(null)}>
+                      Show everyone
+                    </button>
+                  </p>
+                )}
+                {(focus ? focus.roots : chart).length === 0 ? (
+                  <p className="muted">No employees yet.</p>
+                ) : (
+                  <ul className="org-chart">
+                    {(focus ? focus.roots : chart).map((node) => (
+                      <OrgNode key={node._id} node={node} onFocus={focusOn} />
+                    ))}
+                  </ul>
+                )}
+              </section>
+            )}
+          </main>
+        </div>
+      </div>
+
+      {editing && (
+        <EmployeeForm
+          employee={editing}
+          people={people}
+          departments={departments}
+          onSaved={handleSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Directory;
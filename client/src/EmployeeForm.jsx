@@ -0,0 +1,127 @@
+// EmployeeForm.jsx — Add / edit dialog for a directory entry (modal)
+// Sends POST /employees or PATCH /employees/:id itself, so the server's field errors (duplicate
+// email, a manager that would create a loop, ...) show next to the inputs. `people` lists who can
+// be picked as manager; `departments` feeds the department suggestions. Escape closes.
+
+import React, { useEffect, useState } from "react";
+import api from "./api";
+import { LIMITS, fieldErrors, errorMessage } from "./validation";
+
+// "2026-10-20T00:00:00.000Z" -> "2026-10-20" for <input type="date">
+const toDateInput = (iso) => (iso ? iso.slice(0, 10) : "");
+
+const EmployeeForm = ({ employee, people, departments, onSaved, onClose }) => {
+  const editing = Boolean(employee?._id);
+  const [values, setValues] = useState({
+    name: employee?.name || "",
+    email: employee?.email || "",
+    department: employee?.department || "",
+    title: employee?.title || "",
+    managerId: employee?.managerId || "",
+    phone: employee?.phone || "",
+    joinedAt: toDateInput(employee?.joinedAt),
+  });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Effect: close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const set = (field) => (e) => {
+    setValues((v) => ({ ...v, [field]: e.target.value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined, form: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const body = {
+      ...values,
+      managerId: values.managerId || null,
+      joinedAt: values.joinedAt || null,
+    };
+    try {
+      const res = editing
+        ? await api.patch(`/employees/${employee._id}`, body) // PATCH /employees/:id
+        : await api.post("/employees", body);                 // POST /employees
+      onSaved(res.data.employee);
+    } catch (err) {
+      // Field problems go under their inputs (a taken email under the email); anything else below the form
+      const found = fieldErrors(err);
+      if (err?.response?.data?.code === "EMAIL_TAKEN") found.email = err.response.data.message;
+      setErrors(Object.keys(found).length > 0 ? found : { form: errorMessage(err, "Could not save") });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // A text input with its error below
+  const field = (name, label, props = {}) => (
+    <label className="employee-field">
+      <span className="muted small">{label}</span>
+      <div className="input">
+        <input value={values[name]} onChange={set(name)} {...props} />
+      </div>
+      {errors[name] && <small className="field-error">{errors[name]}</small>}
+    </label>
+  );
+
+  return (
+    <div className="modal">
+      <div className="modal-backdrop" onClick={onClose} />
+      <form className="modal-content glass-card employee-form" onSubmit={handleSubmit}>
+        <div className="item-header">
+          <h3>{editing ? `Edit ${employee.name}` : "Add employee"}</h3>
+          <button type="button" className="icon-btn" onClick={onClose} title="Close">
+            ✖️
+          </button>
+        </div>
+
+        <div className="employee-fields">
+          {field("name", "Name", { required: true, maxLength: LIMITS.name, autoFocus: true })}
+          {field("email", "Email", { type: "email", required: true, maxLength: LIMITS.email })}
+          {field("department", "Department", { required: true, maxLength: 100, list: "department-options" })}
+          {field("title", "Job title", { required: true, maxLength: 100 })}
+          <label className="employee-field">
+            <span className="muted small">Manager</span>
+            <select className="role-select" value={values.managerId} onChange={set("managerId")}>
+              <option value="">— Nobody (top of the org chart)</option>
+              {people
+                .filter((p) => p._id !== employee?._id)
+                .map((p) => (
+                  <option key={p._id} value={p._id}>
+                    {p.name} — {p.title}
+                  </option>
+                ))}
+            </select>
+            {errors.managerId && <small className="field-error">{errors.managerId}</small>}
+          </label>
+          {field("phone", "Phone", { type: "tel", maxLength: 30, placeholder: "+1 555 123 4567" })}
+          {field("joinedAt", "Joining date", { type: "date" })}
+        </div>
+        <datalist id="department-options">
+          {departments.map((d) => (
+            <option key={d.name} value={d.name} />
+          ))}
+        </datalist>
+
+        {errors.form && <small className="field-error">{errors.form}</small>}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? <span className="spinner" /> : editing ? "Save" : "Add"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EmployeeForm;
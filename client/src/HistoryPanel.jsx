@@ -0,0 +1,181 @@
+// HistoryPanel.jsx — Revision history of one item (modal)
+// Lists GET /items/:id/revisions newest first; the selected revision is shown as a
+// word-level diff against the one before it and can be restored as a new revision
+// (unless `readOnly`, e.g. for items shared with the user as a viewer).
+
+import React, { useEffect, useState } from "react";
+import Swal from "sweetalert2";
+import api from "./api";
+import { diffWords } from "./diff";
+import { errorMessage } from "./validation";
+
+const HistoryPanel = ({ item, colors = {}, readOnly = false, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);  // Newest first
+  const [selected, setSelected] = useState(0);     // Index into revisions
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+
+  // Effect: load the history whenever the item (or its content) changes
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    api
+      .get(`/items/${item._id}/revisions`)
+      .then((res) => {
+        if (cancelled) return;
+        setRevisions(res.data.revisions);
+        setSelected(0);
+      })
+      .catch((err) => {
+        if (!cancelled) Swal.fire({ icon: "error", title: "Failed to load history", text: errorMessage(err, "") });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [item._id, item.updatedAt]);
+
+  // Effect: close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const current = revisions[selected];
+  const previous = revisions[selected + 1];         // Undefined for the first revision
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      // POST /items/:id/revisions/:revisionId/restore -> item with that content (a new revision)
+      // If-Match: only restore over the version this panel is showing
+      const res = await api.post(`/items/${item._id}/revisions/${current._id}/restore`, null, {
+        headers: { "If-Match": `"${item.version ?? 0}"` },
+      });
+      onRestored(res.data.item);                    // Parent swaps the card; the effect above reloads
+      Swal.fire({
+        toast: true,
+        position: "top-end",
+        timer: 2000,
+        showConfirmButton: false,
+        icon: "success",
+        title: `Restored revision ${current.number}`,
+      });
+    } catch (err) {
+      if (err?.response?.data?.code === "VERSION_CONFLICT") {
+        // Changed elsewhere: show the latest copy (and its history) before trying again
+        onRestored(err.response.data.current);
+        Swal.fire({ icon: "warning", title: "This item was changed elsewhere", text: "The history has been reloaded." });
+        return;
+      }
+      Swal.fire({ icon: "error", title: "Restore failed", text: errorMessage(err, "") });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-content glass-card history-panel">
+        <div className="item-header">
+          <h3>History — {item.title}</h3>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            ✖️
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="center">
+            <span className="spinner lg" />
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="muted">No changes recorded yet.</p>
+        ) : (
+          <div className="history-body">
+            {/* Revision list */}
+            <ul className="history-list">
+              {revisions.map((rev, i) => (
+                <li key={rev._id}>
+                  <button
+                    className={`sidebar-link ${i === selected ? "active" : ""}`}
+                    onClick={() => setSelected(i)}
+                  >
+                    <span>
+                      #{rev.number} {i === 0 && <span className="muted small">(current)</span>}
+                      <br />
+                      <span className="muted small">
+                        {rev.authorName || "Unknown"} · {new Date(rev.createdAt).toLocaleString()}
+                      </span>
+                      {rev.restoredFrom && (
+                        <>
+                          <br />
+                          <span className="muted small">Restored #{rev.restoredFrom}</span>
+                        </>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {/* Diff of the selected revision against the one before it */}
+            <div className="history-diff">
+              <h4>
+                <Diff before={previous?.title || ""} after={current.title} />
+              </h4>
+              <p className="diff-text">
+                <Diff before={previous?.description || ""} after={current.description} />
+              </p>
+              <TagDiff before={previous?.tags || []} after={current.tags} colors={colors} />
+
+              {!readOnly && (
+                <div className="modal-actions">
+                  <button className="btn btn-primary" onClick={handleRestore} disabled={selected === 0 || restoring}>
+                    {restoring ? <span className="spinner" /> : "Restore this version"}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
+
+// Inline word diff: additions in <ins>, removals in <del>
+function Diff({ before, after }) {
+  return diffWords(before, after).map((seg, i) =>
+    seg.type === "added" ? (
+      <ins key={i}>{seg.text}</ins>
+    ) : seg.type === "removed" ? (
+      <del key={i}>{seg.text}</del>
+    ) : (
+      <span key={i}>{seg.text}</span>
+    )
+  );
+}
+
+// Tags: kept, added and removed chips
+function TagDiff({ before, after, colors }) {
+  const all = [...new Set([...before, ...after])];
+  if (all.length === 0) return null;
+  return (
+    <div className="tag-list">
+      {all.map((tag) => {
+        const state = !before.includes(tag) ? "added" : !after.includes(tag) ? "removed" : "";
+        return (
+          <span className={`tag-chip ${state}`} key={tag} style={{ "--tag-color": colors[tag] || "#8b5cf6" }}>
+            {state === "removed" ? <del>{tag}</del> : tag}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
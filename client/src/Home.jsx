@@ -4,18 +4,28 @@
 // 2) Import SweetAlert2 CSS once in your root (App.jsx or main.jsx):
 //    import "sweetalert2/dist/sweetalert2.min.css";
 
-import React, { useState, useEffect } from "react";  // React and hooks
-import axios from "axios";                           // HTTP client
-import { useNavigate } from "react-router-dom";     // Navigation between routes
+import React, { useState, useEffect, useCallback, useRef } from "react"; // React and hooks
+import { useNavigate, useSearchParams } from "react-router-dom"; // Navigation + ?q= in the URL
 import Swal from "sweetalert2";                     // Beautiful alerts/toasts
+import api, { TOKEN_KEY, clearTokens } from "./api"; // Axios instance that sends/refreshes tokens
+import { LIMITS, fieldErrors, errorMessage } from "./validation"; // API limits + error envelope helpers
+import { escapeHtml } from "./html";                // Escaping for values put into SweetAlert HTML
+import { exportItems, importItems } from "./importExport"; // Import/Export dialogs
+import TagInput from "./TagInput";                  // Chip-style tag editor with autocomplete
+import TagSidebar from "./TagSidebar";              // All / Archive / Trash views + tag filter
+import HistoryPanel from "./HistoryPanel";          // Revision history modal with word diff
+import SharePanel from "./SharePanel";              // Share an item with other users (owner only)
+import Attachments from "./Attachments";            // File list / thumbnails on each card
+import ItemEditor from "./ItemEditor";              // Edit dialog with Markdown live preview
+import NotificationTray from "./NotificationTray";  // Header bell with reminders
+import Markdown from "./Markdown";                  // Sanitized Markdown rendering of descriptions
+import { toggleTask } from "./markdown";            // Tick a checklist box in the Markdown source
+import { connectLiveSync } from "./liveSync";       // Live item changes from other tabs/devices (GET /events)
+import { saveItems, removeItems, savedItems, clearOfflineData } from "./offlineStore"; // This device's copy
+import { enqueue, pendingItems, replayOutbox, isNetworkError, newItemId } from "./outbox"; // Offline changes
+import { fromLocalInput, formatDateTime, dueState } from "./dates"; // Due dates and reminders
 import "./App.css";                                 // Global styles for the UI
 
-// Create a pre-configured Axios instance.
-// All API calls will use this base URL so we don't repeat it.
-const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL                 // Your Express server port
-});
-
 // Configure a reusable SweetAlert2 "toast" (small popup) for quick success/error messages.
 const Toast = Swal.mixin({
   toast: true,                                      // Use toast mode (small, corner)
@@ -25,41 +35,413 @@ const Toast = Swal.mixin({
   showConfirmButton: false,                         // No OK button for toasts
 });
 
+// Toast for a change kept on this device until the connection is back
+const OFFLINE_TOAST = { icon: "info", title: "Saved on this device — will sync when you're back online" };
+
+// How many items to request per page (the server caps this at 100)
+const PAGE_SIZE = 20;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// How long the "Undo" toast stays up after a delete
+const UNDO_MS = 5000;
+
+// Live changes often come in bursts; refresh the tag sidebar once they settle
+const LIVE_TAGS_DEBOUNCE_MS = 1000;
+
+// While changes are queued, try sending them this often (the browser can't tell when the
+// server itself is back)
+const OUTBOX_RETRY_MS = 30 * 1000;
+
+// Re-check which items are overdue this often
+const CLOCK_TICK_MS = 60 * 1000;
+
+// Keep pinned items on top without reshuffling anything else (Array.prototype.sort is stable)
+const pinnedFirst = (list) => [...list].sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)));
+
+// Does an item (as the server sent it) belong in a view ("all", "archive", "trash", "shared")
+// and tag filter?
+function inView(item, view, activeTag) {
+  if (view === "trash") return Boolean(item.deletedAt) && !item.owner;
+  if (view === "shared") return Boolean(item.owner) && !item.deletedAt;
+  return (
+    !item.owner &&
+    !item.deletedAt &&
+    Boolean(item.archived) === (view === "archive") &&
+    (!activeTag || (item.tags || []).includes(activeTag))
+  );
+}
+
+// Newest first by an ISO date field (same order as the server's lists)
+const newestBy = (field) => (a, b) => String(b[field] || "").localeCompare(String(a[field] || ""));
+
+// An item created without a connection, as shown until the server has it
+const localItem = (_id, values) => {
+  const now = new Date().toISOString();
+  return { _id, ...values, pinned: false, archived: false, version: 0, deletedAt: null, createdAt: now, updatedAt: now };
+};
+
+// Items shared with us carry `owner` and `access`; server copies from conflict responses don't,
+// so keep what the list already knew
+const withSharing = (old, updated) =>
+  old.owner && !updated.owner ? { ...updated, owner: old.owner, access: old.access } : updated;
+
 // Functional React component for the Home (dashboard) page
 const Home = () => {
   const navigate = useNavigate();                   // Hook for programmatic navigation
 
-  // State to store all items for the logged-in user
-  const [items, setItems] = useState([]);           // Array of { _id, title, description }
+  // State to store the loaded items for the logged-in user (grows as you scroll)
+  const [items, setItems] = useState([]);           // Array of { _id, title, description, tags, pinned, archived }
+  const [total, setTotal] = useState(0);            // Server-side count of items in this view (X-Total-Count)
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page, null on the last one
 
   // State for the "Add Item" form inputs
   const [title, setTitle] = useState("");           // Title input value
   const [description, setDescription] = useState(""); // Description input value
+  const [newTags, setNewTags] = useState([]);       // Tags for the new item
+  const [newDue, setNewDue] = useState("");         // Due date for the new item (datetime-local value)
+  const [addErrors, setAddErrors] = useState({});   // Field errors from the API: { title, description, tags }
+
+  // Sidebar: which view is shown and which tag (if any) filters it
+  const [view, setView] = useState("all");          // "all" (not archived), "archive" or "trash"
+  const [activeTag, setActiveTag] = useState(null); // Tag name, or null for every tag
+  const [tags, setTags] = useState([]);             // [{ name, color, count }] from GET /tags
+  const [historyItem, setHistoryItem] = useState(null); // Item whose History panel is open
+  const [sharingItem, setSharingItem] = useState(null); // Item whose Share panel is open
+  const [editing, setEditing] = useState(null);     // { item, draft } while the edit dialog is open
+
+  // Attachments per item id (kept apart from the items: PUT/PATCH responses don't carry them)
+  const [attachments, setAttachments] = useState({}); // { [itemId]: [{ _id, filename, mimeType, size }] }
+  const [dropTarget, setDropTarget] = useState(null); // Id of the card files are being dragged over
+
+  // Multi-select for bulk actions (ids of the checked cards)
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false); // True while a batch request is in flight
 
   // UI state flags
   const [loading, setLoading] = useState(true);     // True while fetching initial items
   const [adding, setAdding] = useState(false);      // True while posting a new item
+  const [loadingMore, setLoadingMore] = useState(false); // True while fetching the next page
+  const [liveStatus, setLiveStatus] = useState("connecting"); // "live" once the event stream is up
+
+  // Offline support: a copy of the items on this device + an outbox of changes made offline
+  const [online, setOnline] = useState(navigator.onLine); // The browser's idea of connectivity
+  const [offlineCopy, setOfflineCopy] = useState(false); // True when the list came from this device
+  const [pending, setPending] = useState(() => new Map()); // Item id -> first queued change ("create" | "update" | "delete")
+
+  // Due dates: the clock the overdue highlighting uses, and the in-app notifications (reminders)
+  const [now, setNow] = useState(() => Date.now());
+  const [notifications, setNotifications] = useState([]); // Newest first, from GET /notifications
+  const [unread, setUnread] = useState(0);          // Unread count (also counts ones not loaded)
+  const [me, setMe] = useState(null);               // GET /me: the signed-in account (role, permissions)
+
+  // Search: the active query lives in the URL (?q=...) so searches can be linked/bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+  const [searchInput, setSearchInput] = useState(query); // What's typed (URL catches up after the debounce)
+  const [results, setResults] = useState([]);       // [{ item, score, highlights }] for the active query
+  const [searching, setSearching] = useState(Boolean(query)); // True while a search request is in flight
+
+  const sentinelRef = useRef(null);                 // Invisible element below the grid; loads more when visible
+  const loadingMoreRef = useRef(false);             // Guards against overlapping "load more" requests
+  const listKeyRef = useRef("");                    // Which view/tag the loaded list belongs to (for Undo)
+  listKeyRef.current = `${view}|${activeTag || ""}`;
+  const itemsRef = useRef(items);                   // The cards on screen, ahead of the next render
+  itemsRef.current = items;
+  const liveHandlerRef = useRef(null);              // Latest live-event handlers (the stream outlives renders)
+  const liveTagsTimerRef = useRef(null);            // Pending sidebar refresh after live changes
+  const pendingRef = useRef(pending);               // Same as `pending`, for handlers that outlive renders
+  pendingRef.current = pending;
+  const syncRef = useRef(null);                     // Latest "send the outbox" function
+
+  // Read the access token from localStorage (saved at login). The server derives the user from it.
+  const token = localStorage.getItem(TOKEN_KEY);
+
+  // Listings include each item's attachments; keep them in the attachments map
+  const rememberAttachments = useCallback((list) => {
+    const found = Object.fromEntries(list.filter((it) => it.attachments).map((it) => [it._id, it.attachments]));
+    setAttachments((prev) => ({ ...prev, ...found }));
+  }, []);
+
+  // Fetch one page of items. Without a cursor the list is replaced, otherwise appended.
+  // GET /items returns an array; paging info comes back in X-Next-Cursor / X-Total-Count.
+  // The current view/tag become filters (pinned items come first unless filtering on them).
+  // The Trash and "Shared with me" views read GET /items/trash and GET /items/shared instead
+  // (same paging headers, no filters).
+  // Without a connection the first page is built from the copy saved on this device instead.
+  const loadPage = useCallback(async (cursor) => {
+    let res;
+    try {
+      res =
+        view === "trash" || view === "shared"
+          ? await api.get(`/items/${view}`, { params: { limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) } })
+          : await api.get("/items", {
+              params: {
+                limit: PAGE_SIZE,
+                archived: view === "archive" ? "true" : "false",
+                ...(activeTag ? { tag: activeTag } : {}),
+                ...(cursor ? { cursor } : {}),
+              },
+            });
+    } catch (err) {
+      if (cursor || !isNetworkError(err)) throw err;
+      const saved = (await savedItems()).filter((it) => inView(it, view, activeTag));
+      const list = view === "trash" || view === "shared"
+        ? saved.sort(newestBy("updatedAt"))      // Deletion / last-change order, like the server
+        : pinnedFirst(saved.sort(newestBy("createdAt")));
+      setItems(list);
+      setNextCursor(null);                           // Everything saved is already shown
+      setTotal(list.length);
+      setOfflineCopy(true);
+      return;
+    }
+
+    setOfflineCopy(false);
+    saveItems(res.data);                             // Keep this device's copy current
+    rememberAttachments(res.data);
+    setItems((prev) => {
+      if (!cursor) return res.data;
+      const seen = new Set(prev.map((it) => it._id)); // Skip anything we already show
+      return [...prev, ...res.data.filter((it) => !seen.has(it._id))];
+    });
+    setNextCursor(res.headers["x-next-cursor"] || null);
+    setTotal(Number(res.headers["x-total-count"]) || 0);
+  }, [view, activeTag, rememberAttachments]);
+
+  // Fetch the user's tags (sidebar, chip colors); refreshed after anything that may change them
+  const loadTags = useCallback(async () => {
+    try {
+      const res = await api.get("/tags");
+      setTags(res.data);
+    } catch (err) {
+      console.error(err);                           // The sidebar is optional; the list still works
+    }
+  }, []);
+
+  // Lookup: tag name -> color
+  const tagColors = Object.fromEntries(tags.map((t) => [t.name, t.color]));
+
+  // Show an item in the current list: replaced in place if it's there, otherwise added below
+  // the pinned items (the list is newest-first). Local actions and live events both end up
+  // here, so whichever comes second changes nothing.
+  const showItem = (item) => {
+    const shown = itemsRef.current.some((it) => it._id === item._id);
+    const next = shown
+      ? itemsRef.current.map((it) => (it._id === item._id ? withSharing(it, item) : it))
+      : pinnedFirst([item, ...itemsRef.current]);
+    itemsRef.current = next;
+    setItems((prev) =>
+      prev.some((it) => it._id === item._id)
+        ? pinnedFirst(prev.map((it) => (it._id === item._id ? withSharing(it, item) : it)))
+        : pinnedFirst([item, ...prev])
+    );
+    if (!shown) setTotal((n) => n + 1);
+  };
+
+  // Remove items from the current list (they left this view); ids that aren't shown are ignored
+  const dropFromList = (ids) => {
+    const gone = new Set(ids);
+    const count = itemsRef.current.filter((it) => gone.has(it._id)).length;
+    if (count === 0) return;
+    itemsRef.current = itemsRef.current.filter((it) => !gone.has(it._id));
+    setItems((prev) => prev.filter((it) => !gone.has(it._id)));
+    setTotal((n) => Math.max(0, n - count));
+  };
+
+  // Does an item belong in the current view and tag filter?
+  const belongsInView = (item) => inView(item, view, activeTag);
+
+  // The server's latest copy of an item (live event, or a replayed offline change): saved on
+  // this device and shown wherever it belongs. Never replaces a newer copy on screen.
+  const applyServerItem = (type, item) => {
+    const current = itemsRef.current.find((it) => it._id === item._id);
+    if (current && item.version !== undefined && (current.version ?? 0) > item.version) return;
+
+    // Deletions others receive carry just the id; so do items purged from the Trash
+    if (item.title !== undefined) saveItems([item]);
+    else removeItems([item._id]);
+
+    if (belongsInView(item)) showItem(item);
+    else dropFromList([item._id]);
 
-  // Read userId from localStorage (saved at login). This identifies the user's items.
-  const userId = localStorage.getItem("userId");
+    // Search results are only updated in place (new matches show up on the next search)
+    const gone = type === "deleted" || Boolean(item.deletedAt);
+    setResults((prev) =>
+      gone
+        ? prev.filter((r) => r.item._id !== item._id)
+        : prev.map((r) => (r.item._id === item._id ? { ...r, item: withSharing(r.item, item), highlights: null } : r))
+    );
 
-  // Effect: runs on first render and whenever userId or navigate changes.
-  // Purpose: If not logged in, redirect to /login. Otherwise, fetch user's items.
+    clearTimeout(liveTagsTimerRef.current);
+    liveTagsTimerRef.current = setTimeout(loadTags, LIVE_TAGS_DEBOUNCE_MS);
+  };
+
+  // Shared error handling for list requests
+  const handleLoadError = useCallback((err) => {
+    // Session ended (refresh already failed) -> ask the user to log in again
+    if (err?.response?.status === 401 || !localStorage.getItem(TOKEN_KEY)) {
+      clearTokens();
+      navigate("/login");
+      return;
+    }
+    console.error(err);                             // Log any other errors
+  }, [navigate]);
+
+  // Effect: runs on first render and whenever token, navigate, the view/tag filter or the
+  // connection changes (back online: the server's list replaces the saved copy).
+  // Purpose: If not logged in, redirect to /login. Otherwise, fetch the first page of items.
   useEffect(() => {
-    // If no userId, user is not logged in -> go to login page
-    if (!userId) {
+    // If no token, user is not logged in -> go to login page
+    if (!token) {
       navigate("/login");
       return;                                       // Stop running the rest
     }
 
     setLoading(true);                                // Start loading spinner
-    // GET /items/:userId -> fetch all items for this user
-    api
-      .get(`/items/${userId}`)
-      .then((res) => setItems(res.data))            // Save the list of items into state
-      .catch((err) => console.error(err))           // Log any errors
+    setNextCursor(null);                             // Don't page the previous view while this loads
+    loadPage(null)
+      .catch(handleLoadError)
       .finally(() => setLoading(false));            // Stop loading spinner
-  }, [userId, navigate]);                           // Dependencies: run if these change
+  }, [token, navigate, loadPage, handleLoadError, online]); // Dependencies: run if these change
+
+  // Effect: load the tag list once we're logged in
+  useEffect(() => {
+    if (token) loadTags();
+  }, [token, loadTags]);
+
+  // Live changes (other tabs/devices, and the echo of our own): applied by id, so a card never
+  // shows up twice. Items with queued offline changes keep their local copy until those are sent.
+  liveHandlerRef.current = {
+    onEvent: ({ type, item }) => {
+      if (!pendingRef.current.has(item._id)) applyServerItem(type, item);
+    },
+    // Too much was missed while disconnected: start the list over
+    onReset: () => {
+      loadPage(null).catch(handleLoadError);
+      loadTags();
+    },
+    // A reminder fired: add it to the tray and say so
+    onNotification: (notification) => {
+      setNotifications((prev) => [notification, ...prev.filter((n) => n._id !== notification._id)]);
+      setUnread((n) => n + 1);
+      setNow(Date.now());
+      Toast.fire({ icon: "info", title: `⏰ Reminder: ${notification.title}`, timer: 5000 });
+    },
+  };
+
+  // Effect: who's signed in (admins get a link to the admin console)
+  useEffect(() => {
+    if (!token) return;
+    api
+      .get("/me")
+      .then((res) => setMe(res.data.user))
+      .catch(console.error);
+  }, [token]);
+
+  // Effect: load the notification tray once we're logged in
+  useEffect(() => {
+    if (!token) return;
+    api
+      .get("/notifications")
+      .then((res) => {
+        setNotifications(res.data.notifications);
+        setUnread(res.data.unread);
+      })
+      .catch(console.error);                         // The tray just stays empty
+  }, [token]);
+
+  // Effect: tick the clock so cards turn overdue without a reload
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Effect: keep one event stream open while logged in (token refreshes don't reconnect it)
+  const signedIn = Boolean(token);
+  useEffect(() => {
+    if (!signedIn) return;
+
+    const stop = connectLiveSync({
+      onEvent: (event) => liveHandlerRef.current.onEvent(event),
+      onNotification: (notification) => liveHandlerRef.current.onNotification(notification),
+      onReset: () => liveHandlerRef.current.onReset(),
+      onStatus: setLiveStatus,
+      onSessionEnded: () => {
+        clearTokens();
+        navigate("/login");
+      },
+    });
+    return () => {
+      stop();
+      clearTimeout(liveTagsTimerRef.current);
+    };
+  }, [signedIn, navigate]);
+
+  // Load the next page (called when the sentinel scrolls into view)
+  const loadMore = useCallback(() => {
+    if (!nextCursor || loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    loadPage(nextCursor)
+      .catch(handleLoadError)
+      .finally(() => {
+        loadingMoreRef.current = false;
+        setLoadingMore(false);
+      });
+  }, [nextCursor, loadPage, handleLoadError]);
+
+  // Effect: watch the sentinel below the grid; re-armed whenever there is a new cursor
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "200px" }                       // Start loading a little before the bottom
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  // Effect: debounce the search box into the URL (replace, so typing doesn't flood history)
+  useEffect(() => {
+    const id = setTimeout(() => {
+      const q = searchInput.trim();
+      if (q === (searchParams.get("q") || "")) return;
+      setSearchParams(q ? { q } : {}, { replace: true });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(id);
+  }, [searchInput, searchParams, setSearchParams]);
+
+  // Effect: run the search whenever the query in the URL changes
+  useEffect(() => {
+    if (!query) return;
+
+    let cancelled = false;                           // Ignore responses for outdated queries
+    setSearching(true);
+    // GET /items/search?q=... -> ranked results with highlight segments
+    api
+      .get("/items/search", { params: { q: query } })
+      .then((res) => {
+        if (cancelled) return;
+        rememberAttachments(res.data.results.map((r) => r.item));
+        setResults(res.data.results);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResults([]);
+        handleLoadError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query, handleLoadError, rememberAttachments]);
 
   // Add a new item for this user
   const handleAdd = async () => {
@@ -67,44 +449,140 @@ const Home = () => {
     const t = title.trim();
     const d = description.trim();
 
-    // Validate: both fields are required
-    if (!t || !d) {
-      Swal.fire({
-        icon: "warning",
-        title: "Missing fields",
-        text: "Please fill title and description.",
-      });
+    // Validate: title is required (description is optional, like on the server)
+    if (!t) {
+      setAddErrors({ title: "Title is required" });
       return;                                       // Stop if invalid
     }
 
     setAdding(true);                                 // Disable add button + show spinner
+    const values = { title: t, description: d, tags: newTags, dueAt: fromLocalInput(newDue) };
+    const id = newItemId();                          // Our own id: sending it twice can't make two items
     try {
-      // POST /items { title, description, userId } -> create a new item
-      const res = await api.post("/items", { title: t, description: d, userId });
+      let created;
+      let queued = false;
+      try {
+        // POST /items { _id, title, description, tags } -> create a new item (owner comes from the token)
+        const res = await api.post("/items", { _id: id, ...values });
+        created = res.data.item;
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        // No connection: keep it on this device and send it later (outbox)
+        await enqueue({ kind: "create", id, values });
+        created = localItem(id, values);
+        saveItems([created]);
+        refreshPending();
+        queued = true;
+      }
 
-      // Append the created item to the current list
-      setItems((prev) => [...prev, res.data.item]);
+      // Show it right below the pinned items if it belongs in this view
+      if (belongsInView(created)) showItem(created);
 
-      // Clear the form fields
+      // Clear the form fields and any previous errors
       setTitle("");
       setDescription("");
+      setNewTags([]);
+      setNewDue("");
+      setAddErrors({});
+      loadTags();                                    // New tags/counts for the sidebar
 
       // Show success toast
-      Toast.fire({ icon: "success", title: "Item added" });
-    } catch (e) {
-      // Show error dialog
-      Swal.fire({ icon: "error", title: "Failed to add item" });
+      Toast.fire(queued ? OFFLINE_TOAST : { icon: "success", title: "Item added" });
+    } catch (err) {
+      // Field problems are shown under the inputs; anything else gets an error dialog
+      const errors = fieldErrors(err);
+      setAddErrors(errors);
+      if (Object.keys(errors).length === 0) {
+        Swal.fire({ icon: "error", title: "Failed to add item", text: errorMessage(err, "") });
+      }
     } finally {
       setAdding(false);                              // Re-enable add button
     }
   };
 
-  // Delete an item by ID (with user confirmation)
-  const handleDelete = async (id) => {
+  // Delete an item: it moves to the Trash, and the success toast offers "Undo"
+  const handleDelete = async (item) => {
+    const listKey = listKeyRef.current;              // The list we remove it from
+    const index = items.findIndex((it) => it._id === item._id); // Where to put it back on Undo
+
+    // Offline (or earlier changes to it are still queued): delete it here, send it later
+    if (!navigator.onLine || pendingRef.current.has(item._id)) {
+      await deleteOffline(item);
+      return;
+    }
+
+    try {
+      // DELETE /items/:id -> move this item to the Trash
+      await api.delete(`/items/${item._id}`);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        await deleteOffline(item);
+        return;
+      }
+      // Show error dialog if API call fails
+      Swal.fire({ icon: "error", title: "Failed to delete" });
+      return;
+    }
+
+    // Remove item from state (and from search results) by filtering it out
+    dropFromList([item._id]);
+    setResults((prev) => prev.filter((r) => r.item._id !== item._id));
+    loadTags();                                      // Tag counts changed
+
+    // Show success toast with an Undo button (stays up a little longer than usual)
+    const toast = await Toast.fire({
+      icon: "success",
+      title: "Moved to Trash",
+      showConfirmButton: true,
+      confirmButtonText: "Undo",
+      timer: UNDO_MS,
+    });
+    if (!toast.isConfirmed) return;
+
+    try {
+      // POST /items/trash/:id/restore -> bring it back
+      const res = await api.post(`/items/trash/${item._id}/restore`);
+
+      // Put it back where it was, unless the user has switched to another list meanwhile
+      // (or the live update already brought it back)
+      const shown = itemsRef.current.some((it) => it._id === item._id);
+      if (listKeyRef.current === listKey && index !== -1 && !shown) {
+        setItems((prev) => {
+          if (prev.some((it) => it._id === item._id)) return prev;
+          const next = [...prev];
+          next.splice(Math.min(index, next.length), 0, res.data.item);
+          return next;
+        });
+        setTotal((n) => n + 1);
+      }
+      loadTags();
+      Toast.fire({ icon: "success", title: "Item restored" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to restore", text: errorMessage(err, "") });
+    }
+  };
+
+  // Trash view: put an item back into the normal listing
+  const handleRestore = async (item) => {
+    try {
+      // POST /items/trash/:id/restore
+      await api.post(`/items/trash/${item._id}/restore`);
+
+      dropFromList([item._id]);
+      loadTags();
+
+      Toast.fire({ icon: "success", title: "Item restored" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to restore", text: errorMessage(err, "") });
+    }
+  };
+
+  // Trash view: delete an item for good (with user confirmation)
+  const handlePurge = async (item) => {
     // Ask the user to confirm the deletion
     const result = await Swal.fire({
       icon: "warning",
-      title: "Delete this item?",
+      title: "Delete this item forever?",
       text: "This action cannot be undone.",
       showCancelButton: true,
       confirmButtonText: "Yes, delete",
@@ -117,93 +595,399 @@ const Home = () => {
     if (!result.isConfirmed) return;
 
     try {
-      // DELETE /items/:id -> remove this item
-      await api.delete(`/items/${id}`);
+      // DELETE /items/trash/:id -> remove this item permanently
+      await api.delete(`/items/trash/${item._id}`);
 
-      // Remove item from state by filtering it out
-      setItems((prev) => prev.filter((item) => item._id !== id));
+      dropFromList([item._id]);
 
-      // Show success toast
       Toast.fire({ icon: "success", title: "Item deleted" });
     } catch {
-      // Show error dialog if API call fails
       Swal.fire({ icon: "error", title: "Failed to delete" });
     }
   };
 
-  // Edit an item (opens a SweetAlert dialog with two inputs)
-  const handleEdit = async (item) => {
-    // Show a SweetAlert with two input fields pre-filled with current values
+  // Trash view: permanently delete everything in the Trash
+  const handleEmptyTrash = async () => {
     const result = await Swal.fire({
-      title: "Edit item",
-      // Custom HTML for two inputs; we sanitize values with escapeHtml to avoid injection
-      html: `
-        <input id="swal-title" class="swal2-input" placeholder="Title" value="${escapeHtml(
-          item.title || ""
-        )}">
-        <input id="swal-desc" class="swal2-input" placeholder="Description" value="${escapeHtml(
-          item.description || ""
-        )}">
-      `,
-      focusConfirm: false,                           // Don't auto-focus the confirm button
-      showCancelButton: true,                        // Show "Cancel" button
-      confirmButtonText: "Save",                     // Confirm button text
-      cancelButtonText: "Cancel",                    // Cancel button text
-      // Validate and collect input values before closing
-      preConfirm: () => {
-        const titleEl = document.getElementById("swal-title"); // Grab the title input
-        const descEl = document.getElementById("swal-desc");   // Grab the desc input
-        const t = titleEl.value.trim();                        // Trim title
-        const d = descEl.value.trim();                         // Trim description
-
-        // If either is empty, show a validation message and keep the dialog open
-        if (!t || !d) {
-          Swal.showValidationMessage("Both fields are required");
-          return;                                              // Returning nothing cancels confirm
-        }
-
-        // Return the new values; SweetAlert will put this in result.value
-        return { title: t, description: d };
-      },
+      icon: "warning",
+      title: "Empty the Trash?",
+      text: `${total} item${total !== 1 ? "s" : ""} will be deleted forever. This action cannot be undone.`,
+      showCancelButton: true,
+      confirmButtonText: "Empty Trash",
+      cancelButtonText: "Cancel",
+      confirmButtonColor: "#ef4444",
+      reverseButtons: true,
     });
+    if (!result.isConfirmed) return;
+
+    try {
+      // DELETE /items/trash
+      await api.delete("/items/trash");
 
-    // If the user canceled or validation failed, do nothing
-    if (!result.isConfirmed || !result.value) return;
+      setItems([]);
+      setNextCursor(null);
+      setTotal(0);
+
+      Toast.fire({ icon: "success", title: "Trash emptied" });
+    } catch {
+      Swal.fire({ icon: "error", title: "Failed to empty trash" });
+    }
+  };
+
+  // Edit an item (opens the edit dialog with its fields).
+  // `draft` pre-fills the dialog (defaults to the item itself; the merge flow passes merged values).
+  const handleEdit = (item, draft = item) => {
+    setEditing({ item, draft });
+  };
+
+  // Stable so the dialog's Escape listener isn't re-attached on every render
+  const closeEditor = useCallback(() => setEditing(null), []);
+
+  // The dialog's Save: close it and send the values (conflicts are handled by saveEdit)
+  const handleEditorSave = async (values) => {
+    const { item } = editing;
+    setEditing(null);
+    await saveEdit(item, values);
+  };
+
+  // Show an updated item everywhere (dropping it from the list if it left the tag filter)
+  const showUpdated = (updated) => {
+    if (activeTag && !updated.tags.includes(activeTag)) {
+      dropFromList([updated._id]);
+    } else {
+      setItems((prev) => prev.map((it) => (it._id === updated._id ? withSharing(it, updated) : it)));
+    }
+    // Search results show the new text without stale highlights
+    setResults((prev) =>
+      prev.map((r) => (r.item._id === updated._id ? { ...r, item: withSharing(r.item, updated), highlights: null } : r))
+    );
+    loadTags();                                      // Tags may have been added or removed
+  };
+
+  // Save edited values. If-Match carries the version the edit started from, so a change
+  // made elsewhere in the meantime comes back as a 409 instead of being overwritten.
+  const saveEdit = async (item, values) => {
+    // Offline (or earlier changes to it are still queued): save it here, send it later
+    if (!navigator.onLine || pendingRef.current.has(item._id)) {
+      await saveEditOffline(item, values);
+      return;
+    }
 
     try {
       // PUT /items/:id with the new values -> update on server
-      const res = await api.put(`/items/${item._id}`, result.value);
-
-      // Update the item in local state to reflect changes
-      setItems((prev) => prev.map((it) => (it._id === item._id ? res.data.item : it)));
+      const res = await api.put(`/items/${item._id}`, values, {
+        headers: { "If-Match": `"${item.version ?? 0}"` },
+      });
+      showUpdated(res.data.item);
 
       // Show success toast
       Toast.fire({ icon: "success", title: "Item updated" });
+    } catch (err) {
+      if (isNetworkError(err)) {
+        await saveEditOffline(item, values);
+        return;
+      }
+
+      // Someone else saved first: let the user decide what wins
+      if (err?.response?.data?.code === "VERSION_CONFLICT") {
+        await resolveConflict(item, values, err.response.data.current);
+        return;
+      }
+
+      // Show error dialog if update fails, listing any field problems from the API
+      const errors = Object.values(fieldErrors(err));
+      Swal.fire({
+        icon: "error",
+        title: "Update failed",
+        text: errors.length > 0 ? errors.join(" ") : errorMessage(err, ""),
+      });
+    }
+  };
+
+  // Conflict view: `base` is the copy the edit started from, `mine` the edited values,
+  // `theirs` the server's current copy
+  const resolveConflict = async (base, mine, theirs) => {
+    const choice = await Swal.fire({
+      icon: "warning",
+      title: "This item was changed elsewhere",
+      html: conflictHtml(mine, theirs),             // Side-by-side table of the fields that differ
+      width: 720,
+      showDenyButton: true,
+      showCancelButton: true,
+      confirmButtonText: "Keep mine",
+      denyButtonText: "Take server's",
+      cancelButtonText: "Merge…",
+      allowOutsideClick: false,
+    });
+
+    if (choice.isConfirmed) {
+      // Overwrite, now based on the server's version
+      await saveEdit(theirs, mine);
+    } else if (choice.isDenied) {
+      // Drop my changes and show the server's copy
+      showUpdated(theirs);
+      Toast.fire({ icon: "info", title: "Showing the latest version" });
+    } else if (choice.dismiss === Swal.DismissReason.cancel) {
+      // Edit a merge of both, based on the server's version
+      handleEdit(theirs, mergeEdits(base, mine, theirs));
+    } else {
+      // Closed with Escape: keep nothing of mine, but don't leave a stale card behind
+      showUpdated(theirs);
+    }
+  };
+
+  // Stable so the panel's Escape listener isn't re-attached on every render
+  const closeHistory = useCallback(() => setHistoryItem(null), []);
+
+  // A revision was restored from the History panel: show the restored content everywhere
+  const handleRestored = (updated) => {
+    setItems((prev) => prev.map((it) => (it._id === updated._id ? withSharing(it, updated) : it)));
+    setResults((prev) =>
+      prev.map((r) => (r.item._id === updated._id ? { ...r, item: withSharing(r.item, updated), highlights: null } : r))
+    );
+    setHistoryItem((prev) => withSharing(prev, updated)); // Keeps the panel open on the new history
+    loadTags();
+  };
+
+  // Stable so the panel's Escape listener isn't re-attached on every render
+  const closeSharing = useCallback(() => setSharingItem(null), []);
+
+  // The Share panel changed who has access: keep the card's share list (and count) current
+  const handleSharesChanged = (itemId, shares) => {
+    const list = shares.map(({ userId, role, sharedAt }) => ({ userId, role, sharedAt }));
+    setItems((prev) => prev.map((it) => (it._id === itemId ? { ...it, shares: list } : it)));
+    setResults((prev) => prev.map((r) => (r.item._id === itemId ? { ...r, item: { ...r.item, shares: list } } : r)));
+  };
+
+  // Remove an item someone shared with us from our "Shared with me" list
+  const handleLeave = async (item) => {
+    const result = await Swal.fire({
+      icon: "question",
+      title: "Remove shared item?",
+      text: `You will lose access to “${item.title}” until ${item.owner?.name || "its owner"} shares it again.`,
+      showCancelButton: true,
+      confirmButtonText: "Remove",
+      confirmButtonColor: "#ef4444",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      // DELETE /items/:id/shares/me
+      await api.delete(`/items/${item._id}/shares/me`);
+      dropFromList([item._id]);
+      Toast.fire({ icon: "success", title: "Removed from your list" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to remove", text: errorMessage(err, "") });
+    }
+  };
+
+  // -----------------------------
+  // Offline outbox: add/edit/delete without a connection are applied here, queued on this
+  // device (outbox.js) and sent in order once the server is reachable again
+  // -----------------------------
+
+  // Re-read which items have queued changes (for the "pending sync" badges)
+  const refreshPending = useCallback(() => pendingItems().then(setPending).catch(console.error), []);
+
+  // Queue an edit and show it right away
+  const saveEditOffline = async (item, values) => {
+    try {
+      await enqueue({ kind: "update", id: item._id, values, base: item });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Update failed", text: errorMessage(err, "") });
+      return;
+    }
+    const updated = { ...item, ...values, updatedAt: new Date().toISOString() };
+    saveItems([updated]);
+    showUpdated(updated);
+    refreshPending();
+    Toast.fire(OFFLINE_TOAST);
+    syncRef.current();                               // Online but queued behind earlier changes: send now
+  };
+
+  // Queue a delete and take the card away (no Undo until the server has it)
+  const deleteOffline = async (item) => {
+    const neverSent = pendingRef.current.get(item._id) === "create";
+    try {
+      await enqueue({ kind: "delete", id: item._id, title: item.title });
     } catch {
-      // Show error dialog if update fails
-      Swal.fire({ icon: "error", title: "Update failed" });
+      Swal.fire({ icon: "error", title: "Failed to delete" });
+      return;
+    }
+    if (neverSent) removeItems([item._id]);          // It never reached the server, so no Trash either
+    else saveItems([{ ...item, deletedAt: new Date().toISOString() }]);
+    dropFromList([item._id]);
+    setResults((prev) => prev.filter((r) => r.item._id !== item._id));
+    refreshPending();
+    Toast.fire(OFFLINE_TOAST);
+    syncRef.current();
+  };
+
+  // Send the outbox. Refusals are listed in one dialog (then the list is reloaded from the
+  // server); edit conflicts open the usual conflict dialog, one item at a time.
+  syncRef.current = async () => {
+    if (!navigator.onLine) return;
+    const conflicts = [];
+    const failures = [];
+    try {
+      await replayOutbox({
+        onApplied: (op, item) => item && applyServerItem(op.kind === "create" ? "created" : "updated", item),
+        onConflict: (op, current) => conflicts.push({ op, current }),
+        onFailed: (op, err) => failures.push(`“${op.values?.title || op.title}”: ${errorMessage(err, "Not saved")}`),
+      });
+    } catch (err) {
+      console.error(err);                           // IndexedDB trouble; the next attempt may work
+    }
+    refreshPending();
+
+    if (failures.length > 0) {
+      await Swal.fire({
+        icon: "warning",
+        title: "Some offline changes couldn't be saved",
+        html: failures.map(escapeHtml).join("<br>"),
+      });
+      loadPage(null).catch(handleLoadError);
+    }
+    for (const { op, current } of conflicts) {
+      applyServerItem("updated", current);
+      await resolveConflict(op.base, op.values, current);
     }
   };
 
-  // Logout flow (confirmation -> clear storage -> redirect to login)
+  // Effect: follow the connection; send queued changes on start, when the browser comes back
+  // online, and every so often in case the server was the one that was down
+  useEffect(() => {
+    if (!signedIn) return;
+
+    const sync = () => syncRef.current();
+    const goOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+
+    refreshPending();
+    sync();                                          // Left over from an earlier visit
+    const timer = setInterval(sync, OUTBOX_RETRY_MS);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      clearInterval(timer);
+    };
+  }, [signedIn, refreshPending]);
+
+  // Tick/untick a checklist box on a card: PATCH the description with If-Match, so a box
+  // ticked on a stale copy never overwrites newer text
+  const handleToggleTask = async (item, index, checked) => {
+    const description = toggleTask(item.description || "", index, checked);
+    if (description === item.description) return;
+
+    try {
+      const res = await api.patch(`/items/${item._id}`, { description }, {
+        headers: { "If-Match": `"${item.version ?? 0}"` },
+      });
+      showUpdated(res.data.item);
+    } catch (err) {
+      if (err?.response?.data?.code === "VERSION_CONFLICT") {
+        showUpdated(err.response.data.current);        // Show the latest text; the user can tick again
+        Toast.fire({ icon: "info", title: "This item was changed elsewhere" });
+        return;
+      }
+      Swal.fire({ icon: "error", title: "Failed to update", text: errorMessage(err, "") });
+    }
+  };
+
+  // Pin/unpin an item; pinned items float to the top of the list
+  const handleTogglePin = async (item) => {
+    try {
+      // PATCH /items/:id { pinned } -> change just this flag
+      const res = await api.patch(`/items/${item._id}`, { pinned: !item.pinned });
+      const updated = res.data.item;
+
+      setItems((prev) => pinnedFirst(prev.map((it) => (it._id === item._id ? updated : it))));
+      setResults((prev) => prev.map((r) => (r.item._id === item._id ? { ...r, item: updated } : r)));
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to update", text: errorMessage(err, "") });
+    }
+  };
+
+  // Archive an item (or bring it back from the Archive); either way it leaves the current view
+  const handleToggleArchive = async (item) => {
+    try {
+      // PATCH /items/:id { archived }
+      const res = await api.patch(`/items/${item._id}`, { archived: !item.archived });
+      const updated = res.data.item;
+
+      dropFromList([item._id]);
+      setResults((prev) => prev.map((r) => (r.item._id === item._id ? { ...r, item: updated } : r)));
+      loadTags();                                    // Counts only include unarchived items
+
+      Toast.fire({ icon: "success", title: updated.archived ? "Item archived" : "Item restored" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to update", text: errorMessage(err, "") });
+    }
+  };
+
+  // Change a tag's color from the sidebar
+  const handleTagColor = async (name, color) => {
+    setTags((prev) => prev.map((t) => (t.name === name ? { ...t, color } : t))); // Show it right away
+    try {
+      // PUT /tags/:name { color }
+      await api.put(`/tags/${encodeURIComponent(name)}`, { color });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to change color", text: errorMessage(err, "") });
+      loadTags();                                    // Put the saved color back
+    }
+  };
+
+  // Import from a file (with a dry-run preview); reload the list if anything was added
+  const handleImport = async () => {
+    const imported = await importItems();
+    if (imported === 0) return;
+
+    setLoading(true);
+    loadPage(null)
+      .catch(handleLoadError)
+      .finally(() => setLoading(false));
+    loadTags();
+  };
+
+  // Logout flow (confirmation -> revoke on server -> clear storage -> redirect to login)
   const handleLogout = async () => {
-    // Ask for confirmation
+    // Ask for confirmation; the deny button signs out every device
+    const unsent = pending.size;                     // Offline changes are deleted with this device's copy
     const result = await Swal.fire({
       icon: "question",
       title: "Log out?",
-      text: "You will need to log in again.",
+      text: unsent > 0
+        ? `${unsent} item${unsent !== 1 ? "s have" : " has"} changes that haven't been sent yet; they will be lost.`
+        : "You will need to log in again.",
       showCancelButton: true,
+      showDenyButton: true,
       confirmButtonText: "Logout",
+      denyButtonText: "Logout everywhere",
       cancelButtonText: "Stay",
       confirmButtonColor: "#ef4444",
       reverseButtons: true,
     });
 
     // If user canceled, stop here
-    if (!result.isConfirmed) return;
+    if (!result.isConfirmed && !result.isDenied) return;
+
+    try {
+      // POST /logout revokes this session; DELETE /sessions revokes all of them
+      if (result.isDenied) await api.delete("/sessions");
+      else await api.post("/logout");
+    } catch (err) {
+      // Still log out locally; the session may already be gone
+      console.error(err);
+    }
 
-    // Remove the saved userId to "log out" locally
-    localStorage.removeItem("userId");
+    // Remove this device's copy of the items (needs the token to know whose), then the tokens
+    await clearOfflineData().catch(console.error);
+    clearTokens();
 
     // Show a quick success message
     await Swal.fire({
@@ -217,6 +1001,410 @@ const Home = () => {
     navigate("/login");
   };
 
+  // -----------------------------
+  // Notifications (reminders)
+  // -----------------------------
+
+  // Mark one notification read here and on the server
+  const handleReadNotification = async (notification) => {
+    if (notification.readAt) return;
+    const readAt = new Date().toISOString();
+    setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, readAt } : n)));
+    setUnread((n) => Math.max(0, n - 1));
+    try {
+      // POST /notifications/:id/read
+      await api.post(`/notifications/${notification._id}/read`);
+    } catch (err) {
+      console.error(err);                            // Still unread on the server; shows again next load
+    }
+  };
+
+  // Open a reminder: mark it read and search for its item
+  const handleOpenNotification = (notification) => {
+    handleReadNotification(notification);
+    setSearchInput(notification.title);
+  };
+
+  const handleReadAllNotifications = async () => {
+    const readAt = new Date().toISOString();
+    setNotifications((prev) => prev.map((n) => (n.readAt ? n : { ...n, readAt })));
+    setUnread(0);
+    try {
+      // POST /notifications/read
+      await api.post("/notifications/read");
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleDismissNotification = async (notification) => {
+    setNotifications((prev) => prev.filter((n) => n._id !== notification._id));
+    if (!notification.readAt) setUnread((n) => Math.max(0, n - 1));
+    try {
+      // DELETE /notifications/:id
+      await api.delete(`/notifications/${notification._id}`);
+    } catch (err) {
+      if (err?.response?.status !== 404) console.error(err);
+    }
+  };
+
+  // -----------------------------
+  // Attachments (📎 button or drag-and-drop onto a card)
+  // -----------------------------
+
+  // Upload files to an item: POST /items/:id/attachments (multipart, field "files")
+  const uploadAttachments = async (item, files) => {
+    const form = new FormData();
+    files.forEach((file) => form.append("files", file));
+
+    try {
+      const res = await api.post(`/items/${item._id}/attachments`, form);
+      setAttachments((prev) => ({ ...prev, [item._id]: [...(prev[item._id] || []), ...res.data.attachments] }));
+      Toast.fire({ icon: "success", title: `Attached ${files.length} file${files.length !== 1 ? "s" : ""}` });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Upload failed", text: errorMessage(err, "") });
+    }
+  };
+
+  // Remove one attachment (after confirming)
+  const handleDeleteAttachment = async (att) => {
+    const result = await Swal.fire({
+      icon: "warning",
+      title: "Remove attachment?",
+      text: att.filename,
+      showCancelButton: true,
+      confirmButtonText: "Remove",
+      confirmButtonColor: "#ef4444",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      // DELETE /items/:id/attachments/:attachmentId
+      await api.delete(`/items/${att.itemId}/attachments/${att._id}`);
+      setAttachments((prev) => ({ ...prev, [att.itemId]: (prev[att.itemId] || []).filter((a) => a._id !== att._id) }));
+      Toast.fire({ icon: "success", title: "Attachment removed" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Failed to remove", text: errorMessage(err, "") });
+    }
+  };
+
+  // Drag-and-drop handlers for one card (only reacts to files, not dragged text)
+  const dropHandlers = (item) => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes("Files")) return;
+      e.preventDefault();                            // Allow dropping here
+      e.dataTransfer.dropEffect = "copy";
+      if (dropTarget !== item._id) setDropTarget(item._id);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+    },
+    onDrop: (e) => {
+      if (!e.dataTransfer.types.includes("Files")) return;
+      e.preventDefault();                            // Don't let the browser open the file
+      setDropTarget(null);
+      const files = [...e.dataTransfer.files];
+      if (files.length > 0) uploadAttachments(item, files);
+    },
+  });
+
+  // Sidebar navigation; switching clears the search (and the selection) so the chosen view is visible
+  const selectView = (next) => {
+    setView(next);
+    setSearchInput("");
+    setSelected(new Set());
+  };
+  const selectTag = (tag) => {
+    if (tag && view === "shared") setView("all");    // Tags belong to your own items
+    setActiveTag(tag);
+    setSearchInput("");
+    setSelected(new Set());
+  };
+
+  // -----------------------------
+  // Multi-select + bulk actions (one POST /items/batch request each)
+  // -----------------------------
+
+  // The cards currently on screen, and the checked ones among them
+  const visibleItems = query ? results.map((r) => r.item) : items;
+  const selectedItems = visibleItems.filter((it) => selected.has(it._id));
+
+  const toggleSelect = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Send the operations; returns the per-operation results (same order), or null on failure
+  const runBatch = async (operations) => {
+    setBulkBusy(true);
+    try {
+      const res = await api.post("/items/batch", { operations });
+      return res.data.results;
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Bulk action failed", text: errorMessage(err, "") });
+      return null;
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // After a batch: failed items stay selected, and the user hears about them
+  const finishBatch = (results, targets) => {
+    const failedIds = new Set(targets.filter((_, i) => results[i].code).map((it) => it._id));
+    setSelected(failedIds);
+    loadTags();
+
+    // Conflicts come back with the server's copy; show that instead of our stale one
+    const current = new Map(results.filter((r) => r.current).map((r) => [r.current._id, r.current]));
+    if (current.size > 0) {
+      setItems((prev) => prev.map((it) => current.get(it._id) || it));
+      setResults((prev) => prev.map((r) => (current.has(r.item._id) ? { ...r, item: current.get(r.item._id) } : r)));
+    }
+
+    if (failedIds.size > 0) {
+      const messages = [...new Set(results.filter((r) => r.code).map((r) => r.message))];
+      Swal.fire({
+        icon: "warning",
+        title: `${failedIds.size} of ${targets.length} item${targets.length !== 1 ? "s" : ""} failed`,
+        text: `${messages.join(" ")} They are still selected.`,
+      });
+    }
+    return results.filter((r) => !r.code).map((r) => r.item);
+  };
+
+  // Bulk delete: everything selected moves to the Trash
+  const handleBulkDelete = async () => {
+    const targets = selectedItems;
+    const results = await runBatch(targets.map((it) => ({ op: "delete", id: it._id })));
+    if (!results) return;
+
+    const done = new Set(finishBatch(results, targets).map((it) => it._id));
+    dropFromList(done);
+    setResults((prev) => prev.filter((r) => !done.has(r.item._id)));
+    if (done.size > 0) Toast.fire({ icon: "success", title: `Moved ${done.size} to Trash` });
+  };
+
+  // Bulk archive (or unarchive, in the Archive view)
+  const handleBulkArchive = async () => {
+    const archived = view !== "archive";
+    const targets = selectedItems;
+    const results = await runBatch(targets.map((it) => ({ op: "update", id: it._id, data: { archived } })));
+    if (!results) return;
+
+    const updated = finishBatch(results, targets);
+    const byId = new Map(updated.map((it) => [it._id, it]));
+    dropFromList(new Set(byId.keys()));
+    setResults((prev) => prev.map((r) => (byId.has(r.item._id) ? { ...r, item: byId.get(r.item._id) } : r)));
+    if (updated.length > 0) {
+      Toast.fire({ icon: "success", title: `${archived ? "Archived" : "Restored"} ${updated.length}` });
+    }
+  };
+
+  // Bulk tag: add one tag to everything selected (versions guard against overwriting newer edits)
+  const handleBulkTag = async () => {
+    const { value: tag } = await Swal.fire({
+      title: `Tag ${selectedItems.length} item${selectedItems.length !== 1 ? "s" : ""}`,
+      input: "text",
+      inputPlaceholder: "Tag name",
+      inputAttributes: { maxlength: String(LIMITS.tag) },
+      showCancelButton: true,
+      confirmButtonText: "Add tag",
+      inputValidator: (v) => (!v.trim() ? "Enter a tag" : undefined),
+    });
+    if (!tag) return;
+
+    const name = tag.trim();
+    const has = (it) => (it.tags || []).some((t) => t.toLowerCase() === name.toLowerCase());
+    const targets = selectedItems.filter((it) => !has(it));
+    if (targets.length === 0) {
+      Toast.fire({ icon: "info", title: `Already tagged “${name}”` });
+      return;
+    }
+
+    const results = await runBatch(
+      targets.map((it) => ({
+        op: "update",
+        id: it._id,
+        version: it.version ?? 0,
+        data: { tags: [...(it.tags || []), name] },
+      }))
+    );
+    if (!results) return;
+
+    const byId = new Map(finishBatch(results, targets).map((it) => [it._id, it]));
+    setItems((prev) => prev.map((it) => byId.get(it._id) || it));
+    setResults((prev) => prev.map((r) => (byId.has(r.item._id) ? { ...r, item: byId.get(r.item._id) } : r)));
+    if (byId.size > 0) Toast.fire({ icon: "success", title: `Tagged ${byId.size}` });
+  };
+
+  // One item card; `highlights` (from search) replaces the plain title/description when given.
+  // Items shared with us show their owner; viewers get a read-only card.
+  const renderCard = (item, highlights) => {
+    const access = item.access || "owner";          // Own items don't carry `access`
+    const isOwner = access === "owner";
+    const canEdit = access !== "viewer" && !item.deletedAt;
+    const shareCount = item.shares?.length || 0;
+    const due = item.deletedAt ? null : dueState(item.dueAt, now); // "overdue" | "soon" | "later"
+
+    return (
+      <div
+        className={`item-card glass-card ${item.pinned ? "pinned" : ""} ${due === "overdue" ? "overdue" : ""} ${dropTarget === item._id ? "drop-target" : ""}`}
+        key={item._id}
+        {...(canEdit ? dropHandlers(item) : {})} // Trashed and view-only items take no new files
+      >
+        <div className="item-header">
+          <div className="item-title">
+            {!item.deletedAt && isOwner && (       // Multi-select checkbox (own items, not in the Trash)
+              <input
+                type="checkbox"
+                checked={selected.has(item._id)}
+                onChange={() => toggleSelect(item._id)}
+                aria-label={`Select ${item.title}`}
+              />
+            )}
+            <h4>{highlights ? <Highlighted segments={highlights.title} /> : item.title}</h4>
+          </div>
+          {item.deletedAt ? (
+            <div className="actions">        {/* Trash: Restore / Delete forever */}
+              <button
+                className="icon-btn"
+                onClick={() => handleRestore(item)} // Back to the normal listing
+                title="Restore"
+              >
+                ♻️
+              </button>
+              <button
+                className="icon-btn danger"
+                onClick={() => handlePurge(item)} // Confirm + delete permanently
+                title="Delete forever"
+              >
+                ❌
+              </button>
+            </div>
+            ) : (
+            <div className="actions">        {/* Pin/Archive/Share/History/Edit/Delete buttons */}
+              {isOwner ? (
+                <>
+                  <button
+                    className={`icon-btn ${item.pinned ? "active" : ""}`}
+                    onClick={() => handleTogglePin(item)} // Pin to / unpin from the top
+                    title={item.pinned ? "Unpin" : "Pin"}
+                  >
+                    📌
+                  </button>
+                  <button
+                    className="icon-btn"
+                    onClick={() => handleToggleArchive(item)} // Move to / out of the Archive
+                    title={item.archived ? "Unarchive" : "Archive"}
+                  >
+                    {item.archived ? "📤" : "🗄️"}
+                  </button>
+                  <button
+                    className={`icon-btn ${shareCount > 0 ? "active" : ""}`}
+                    onClick={() => setSharingItem(item)} // Open the Share panel
+                    title={shareCount > 0 ? `Shared with ${shareCount}` : "Share"}
+                  >
+                    👥{shareCount > 0 && <span className="share-count">{shareCount}</span>}
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="icon-btn"
+                  onClick={() => handleLeave(item)} // Drop it from "Shared with me"
+                  title="Remove from my list"
+                >
+                  🚪
+                </button>
+              )}
+              <button
+                className="icon-btn"
+                onClick={() => setHistoryItem(item)} // Open the History panel
+                title="History"
+              >
+                🕘
+              </button>
+              <button
+                className="icon-btn"
+                onClick={() => handleEdit(item)} // Open edit dialog for this item
+                disabled={!canEdit}              // View-only share
+                title={canEdit ? "Edit" : "View only"}
+              >
+                ✏️
+              </button>
+              <button
+                className="icon-btn danger"
+                onClick={() => handleDelete(item)} // Move to the Trash (with Undo)
+                disabled={!canEdit}
+                title={canEdit ? "Delete" : "View only"}
+              >
+                🗑️
+              </button>
+            </div>
+          )}
+        </div>
+        {pending.has(item._id) && (           // Changed offline; the server doesn't have it yet
+          <small className="pending-badge" title="Saved on this device; sent when the connection is back">
+            ⏳ Pending sync
+          </small>
+        )}
+        {item.dueAt && (                      // Due date (highlighted when soon or overdue) + pending reminder
+          <small
+            className={`due-chip ${due || ""}`}
+            title={item.remindAt && !item.reminderSentAt ? `Reminder at ${formatDateTime(item.remindAt)}` : undefined}
+          >
+            📅 {due === "overdue" ? "Overdue · " : ""}{formatDateTime(item.dueAt)}
+            {item.remindAt && !item.reminderSentAt && " ⏰"}
+          </small>
+        )}
+        {item.owner && (                      // Shared with us: whose it is and what we may do
+          <small className="muted small shared-by">
+            👤 {item.owner.name} · {access === "editor" ? "can edit" : "view only"}
+          </small>
+        )}
+        {highlights ? (                       // Search: the matching snippet as plain text
+          <p className="muted">
+            <Highlighted segments={highlights.description} />
+          </p>
+        ) : (                                 // Description as Markdown (checkboxes tickable if editable)
+          <Markdown
+            className="muted"
+            text={item.description}
+            onToggleTask={canEdit ? (index, checked) => handleToggleTask(item, index, checked) : undefined}
+          />
+        )}
+        {item.tags?.length > 0 && (
+          <div className="tag-list">         {/* Tag chips; clicking one filters by it */}
+            {item.tags.map((tag) => (
+              <button
+                className="tag-chip"
+                key={tag}
+                style={{ "--tag-color": tagColors[tag] || "#8b5cf6" }}
+                onClick={() => selectTag(tag)}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+        <Attachments                         // Files (read-only in the Trash and for viewers)
+          attachments={attachments[item._id]}
+          readOnly={!canEdit}
+          onAdd={(files) => uploadAttachments(item, files)}
+          onDelete={handleDeleteAttachment}
+        />
+        {item.purgeAt && (                    // Trash: when it goes away for good
+          <small className="muted small">
+            Deleted forever on {new Date(item.purgeAt).toLocaleDateString()}
+          </small>
+        )}
+      </div>
+    );
+  };
+
   // JSX to render the UI
   return (
     <div className="dashboard-page">                 {/* Page wrapper with background */}
@@ -232,101 +1420,323 @@ const Home = () => {
           <div className="brand">                    {/* App mini-branding */}
             <div className="logo">🗂️</div>          {/* Small gradient logo box */}
             <h2>Your Dashboard</h2>                  {/* Page title */}
-            <p className="muted">                    {/* Subtext with item count */}
-              {items.length} item{items.length !== 1 ? "s" : ""}
+            <p className="muted">                    {/* Subtext with the server-side item count */}
+              {total} {view === "archive" ? "archived " : ""}item{total !== 1 ? "s" : ""}
+              {{ trash: " in the Trash", shared: " shared with you" }[view] || ""}
+              {activeTag ? ` tagged “${activeTag}”` : ""}
             </p>
           </div>
 
-          <button className="btn btn-ghost" onClick={handleLogout}>
-            Logout
-          </button>
+          <div className="header-actions">
+            {pending.size > 0 && (                       // Changes made offline, not sent yet
+              <span className="pending-count" title="Sent automatically when the connection is back">
+                ⏳ {pending.size} to sync
+              </span>
+            )}
+            <NotificationTray
+              notifications={notifications}
+              unread={unread}
+              onOpen={handleOpenNotification}
+              onRead={handleReadNotification}
+              onReadAll={handleReadAllNotifications}
+              onDismiss={handleDismissNotification}
+            />
+            <span
+              className={`live-status ${online ? liveStatus : "offline"}`} // Green dot once live changes are coming in
+              title={liveStatus === "live" ? "Changes from other tabs and devices appear here live" : "Reconnecting…"}
+            >
+              {!online ? "Offline" : liveStatus === "live" ? "Live" : "Reconnecting…"}
+            </span>
+            {me?.permissions.includes("users:manage") && (
+              <button className="btn btn-ghost" onClick={() => navigate("/admin")}>
+                🛡️ Admin
+              </button>
+            )}
+            {me?.permissions.includes("employees:manage") && (
+              <button className="btn btn-ghost" onClick={() => navigate("/directory")}>
+                🏢 Directory
+              </button>
+            )}
+            <button className="btn btn-ghost" onClick={() => navigate("/settings")}>
+              ⚙️ Settings
+            </button>
+            <button className="btn btn-ghost" onClick={handleImport}>
+              Import
+            </button>
+            <button className="btn btn-ghost" onClick={exportItems}>
+              Export
+            </button>
+            {view === "trash" && total > 0 && (
+              <button className="btn btn-ghost" onClick={handleEmptyTrash}>
+                Empty Trash
+              </button>
+            )}
+            <button className="btn btn-ghost" onClick={handleLogout}>
+              Logout
+            </button>
+          </div>
         </header>
 
-        {/* Add new item card */}
-        <section className="glass-card add-card">
-          <h3>Add Item</h3>
-          <div className="fields">                   {/* Grid: title, description, button */}
-            <div className="input with-icon">        {/* Styled input wrapper with icon */}
-              <span className="icon">📝</span>       {/* Icon for title */}
-              <input
-                placeholder="Title"                  // Input placeholder
-                value={title}                        // Controlled value from state
-                onChange={(e) => setTitle(e.target.value)} // Update state on change
-              />
-            </div>
+        <div className="dashboard-body">             {/* Grid: sidebar + main column */}
+          <TagSidebar
+            tags={tags}
+            view={view}
+            activeTag={activeTag}
+            onSelectView={selectView}
+            onSelectTag={selectTag}
+            onColorChange={handleTagColor}
+          />
+  
+          <main className="dashboard-main">
+            {/* Add new item card (not in the Trash or the shared list) */}
+            {view !== "trash" && view !== "shared" && (
+              <section className="glass-card add-card">
+                <h3>Add Item</h3>
+                <div className="fields">                   {/* Grid: title, description, tags, button */}
+                  <div>
+                    <div className="input with-icon">      {/* Styled input wrapper with icon */}
+                      <span className="icon">📝</span>     {/* Icon for title */}
+                      <input
+                        placeholder="Title"                // Input placeholder
+                        value={title}                      // Controlled value from state
+                        maxLength={LIMITS.title}           // Same limit as the API
+                        onChange={(e) => setTitle(e.target.value)} // Update state on change
+                      />
+                    </div>
+                    {addErrors.title && <small className="field-error">{addErrors.title}</small>}
+                  </div>
 
-            <div className="input with-icon">        {/* Styled input wrapper with icon */}
-              <span className="icon">💬</span>       {/* Icon for description */}
+                  <div>
+                    <div className="input with-icon">      {/* Styled input wrapper with icon */}
+                      <span className="icon">💬</span>     {/* Icon for description */}
+                      <textarea
+                        placeholder="Description (optional, Markdown)" // Input placeholder
+                        value={description}                // Controlled value
+                        rows={1}                           // Grows with Enter; the edit dialog has the preview
+                        maxLength={LIMITS.description}     // Same limit as the API
+                        onChange={(e) => setDescription(e.target.value)} // Update state
+                      />
+                    </div>
+                    {addErrors.description && <small className="field-error">{addErrors.description}</small>}
+                  </div>
+
+                  <div>
+                    <TagInput value={newTags} onChange={setNewTags} colors={tagColors} />
+                    {addErrors.tags && <small className="field-error">{addErrors.tags}</small>}
+                  </div>
+
+                  <div>
+                    <div className="input with-icon">      {/* Optional due date (reminders: in the edit dialog) */}
+                      <span className="icon">📅</span>
+                      <input
+                        type="datetime-local"
+                        value={newDue}
+                        onChange={(e) => setNewDue(e.target.value)}
+                        title="Due date (optional)"
+                      />
+                    </div>
+                    {addErrors.dueAt && <small className="field-error">{addErrors.dueAt}</small>}
+                  </div>
+
+                  <button
+                    className="btn btn-primary"            // Gradient button
+                    onClick={handleAdd}                    // Call add handler
+                    disabled={adding || !title.trim()}     // Disable if invalid/adding
+                  >
+                    {adding ? <span className="spinner" /> : "Add"} {/* Show spinner while adding */}
+                  </button>
+                </div>
+              </section>
+            )}
+
+            {/* Offline: the list is this device's saved copy */}
+            {offlineCopy && (
+              <div className="glass-card offline-banner">
+                📴 You're offline — showing the items saved on this device. New items, edits and deletes
+                are sent when the connection is back.
+              </div>
+            )}
+
+            {/* Search box (debounced; the query is kept in the URL as ?q=) */}
+            <div className="input with-icon search-box">
+              <span className="icon">🔍</span>
               <input
-                placeholder="Description"            // Input placeholder
-                value={description}                  // Controlled value
-                onChange={(e) => setDescription(e.target.value)} // Update state
+                type="search"
+                placeholder='Search items… (use "quotes" for phrases, pre* for prefixes)'
+                value={searchInput}
+                maxLength={200}
+                onChange={(e) => setSearchInput(e.target.value)}
               />
             </div>
 
-            <button
-              className="btn btn-primary"            // Gradient button
-              onClick={handleAdd}                    // Call add handler
-              disabled={adding || !title.trim() || !description.trim()} // Disable if invalid/adding
-            >
-              {adding ? <span className="spinner" /> : "Add"} {/* Show spinner while adding */}
-            </button>
-          </div>
-        </section>
+            {/* Bulk actions for the checked cards */}
+            {selectedItems.length > 0 && (
+              <div className="glass-card bulk-bar">
+                <span>{selectedItems.length} selected</span>
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => setSelected(new Set(visibleItems.filter((it) => !it.owner).map((it) => it._id)))}
+                  disabled={bulkBusy}
+                >
+                  Select all
+                </button>
+                <button className="btn btn-ghost" onClick={handleBulkTag} disabled={bulkBusy}>
+                  🏷️ Tag…
+                </button>
+                <button className="btn btn-ghost" onClick={handleBulkArchive} disabled={bulkBusy}>
+                  {view === "archive" ? "📤 Unarchive" : "🗄️ Archive"}
+                </button>
+                <button className="btn btn-ghost danger" onClick={handleBulkDelete} disabled={bulkBusy}>
+                  🗑️ Delete
+                </button>
+                <button className="btn btn-ghost" onClick={() => setSelected(new Set())} disabled={bulkBusy}>
+                  Clear
+                </button>
+                {bulkBusy && <span className="spinner" />}
+              </div>
+            )}
 
-        {/* Items list (loading -> empty -> grid) */}
-        <section>
-          {loading ? (                               // If still fetching, show spinner
-            <div className="center">
-              <span className="spinner lg" />
-            </div>
-          ) : items.length === 0 ? (                 // If no items, show empty state
-            <div className="empty">
-              <div className="logo">✨</div>
-              <h4>No items yet</h4>
-              <p className="muted">Add your first item using the form above.</p>
-            </div>
-          ) : (                                      // Otherwise, show items in a grid
-            <div className="items-grid">
-              {items.map((item) => (                 // Loop through items
-                <div className="item-card glass-card" key={item._id}>
-                  <div className="item-header">
-                    <h4>{item.title}</h4>            {/* Item title */}
-                    <div className="actions">        {/* Edit/Delete buttons */}
-                      <button
-                        className="icon-btn"
-                        onClick={() => handleEdit(item)} // Open edit dialog for this item
-                        title="Edit"
-                      >
-                        ✏️
-                      </button>
-                      <button
-                        className="icon-btn danger"
-                        onClick={() => handleDelete(item._id)} // Confirm + delete
-                        title="Delete"
-                      >
-                        🗑️
-                      </button>
-                    </div>
+            {/* Items list (search results, or loading -> empty -> grid) */}
+            <section>
+              {query ? (                                 // Searching: show ranked results instead
+                searching ? (
+                  <div className="center">
+                    <span className="spinner lg" />
                   </div>
-                  <p className="muted">{item.description}</p> {/* Item description */}
+                ) : results.length === 0 ? (
+                  <div className="empty">
+                    <div className="logo">🔎</div>
+                    <h4>No matches</h4>
+                    <p className="muted">Nothing matches “{query}”.</p>
+                  </div>
+                ) : (
+                  <div className="items-grid">
+                    {results.map((r) => renderCard(r.item, r.highlights))}
+                  </div>
+                )
+              ) : loading ? (                               // If still fetching, show spinner
+                <div className="center">
+                  <span className="spinner lg" />
                 </div>
-              ))}
-            </div>
-          )}
-        </section>
+              ) : items.length === 0 ? (                 // If no items, show empty state
+                <div className="empty">
+                  <div className="logo">{{ archive: "🗄️", trash: "🗑️", shared: "🤝" }[view] || "✨"}</div>
+                  <h4>
+                    {{ archive: "Nothing archived", trash: "Trash is empty", shared: "Nothing shared with you" }[view] ||
+                      "No items yet"}
+                  </h4>
+                  <p className="muted">
+                    {view === "trash"
+                      ? "Deleted items stay here for a while before they're removed for good."
+                      : view === "shared"
+                        ? "Items other people share with you show up here."
+                        : activeTag
+                        ? `No items tagged “${activeTag}” here.`
+                        : view === "archive"
+                          ? "Archived items show up here."
+                          : "Add your first item using the form above."}
+                  </p>
+                </div>
+              ) : (                                      // Otherwise, show items in a grid
+                <div className="items-grid">
+                  {items.map((item) => renderCard(item))} {/* Loop through items */}
+                </div>
+              )}
+
+              {/* Infinite scroll: more items load when this comes into view */}
+              {!query && <div ref={sentinelRef} />}
+              {loadingMore && (
+                <div className="center" style={{ height: 80 }}>
+                  <span className="spinner" />
+                </div>
+              )}
+            </section>
+          </main>
+        </div>
       </div>
+
+      {/* Edit dialog (opened from a card, or by "Merge…" after a conflict) */}
+      {editing && (
+        <ItemEditor
+          draft={editing.draft}
+          colors={tagColors}
+          onSave={handleEditorSave}
+          onClose={closeEditor}
+        />
+      )}
+
+      {/* Who an item is shared with (opened from one of your cards) */}
+      {sharingItem && (
+        <SharePanel
+          item={sharingItem}
+          onClose={closeSharing}
+          onChange={(shares) => handleSharesChanged(sharingItem._id, shares)}
+        />
+      )}
+
+      {/* Revision history of one item (opened from a card) */}
+      {historyItem && (
+        <HistoryPanel
+          item={historyItem}
+          colors={tagColors}
+          readOnly={historyItem.access === "viewer"}
+          onClose={closeHistory}
+          onRestored={handleRestored}
+        />
+      )}
     </div>
   );
 };
 
 export default Home;                                   // Export component as default
 
-// Utility: escape HTML special characters to avoid breaking the SweetAlert input HTML.
-// This prevents XSS or malformed HTML when we inject existing values into the dialog.
-function escapeHtml(str = "") {
-  // Replace characters like <, >, &, " and ' with their HTML-escaped versions
-  return str.replace(/[&<>"']/g, (m) => (
-    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]
-  ));
-}
\ No newline at end of file
+// Render search highlight segments; matches are wrapped in <mark> (plain text, no HTML injection)
+function Highlighted({ segments = [] }) {
+  return segments.map((seg, i) => (seg.match ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>));
+}
+
+// Three-way merge of an edit (base = copy the edit started from). A field changed on only
+// one side keeps that change; when both sides changed it, tags are combined, the title
+// keeps mine and the description keeps both texts (server's first, as separate paragraphs)
+// so nothing is lost.
+function mergeEdits(base, mine, theirs) {
+  const sameText = (a = "", b = "") => a === b;
+  const sameTags = (a = [], b = []) => a.join("\n") === b.join("\n");
+  const pick = (field, same, both) => {
+    if (!(field in mine) || same(mine[field], base[field])) return theirs[field];
+    if (same(theirs[field], base[field]) || same(mine[field], theirs[field])) return mine[field];
+    return both(mine[field], theirs[field]);
+  };
+
+  const sameDate = (a, b) => (a || null) === (b || null);
+
+  return {
+    title: pick("title", sameText, (m) => m),
+    description: pick("description", sameText, (m, t) => `${t}\n\n${m}`),
+    tags: pick("tags", sameTags, (m = [], t = []) => [...new Set([...t, ...m])]),
+    dueAt: pick("dueAt", sameDate, (m) => m),
+    remindAt: pick("remindAt", sameDate, (m) => m),
+  };
+}
+
+// Conflict dialog body: the fields where my edit and the server's copy differ
+function conflictHtml(mine, theirs) {
+  const rows = [
+    ["Title", mine.title, theirs.title],
+    ["Description", mine.description, theirs.description],
+    ["Tags", (mine.tags || []).join(", "), (theirs.tags || []).join(", ")],
+    ["Due", mine.dueAt ? formatDateTime(mine.dueAt) : "", theirs.dueAt ? formatDateTime(theirs.dueAt) : ""],
+  ].filter(([, m, t]) => (m || "") !== (t || ""));
+
+  if (rows.length === 0) return "<p>Your text matches the latest version; only other details changed.</p>";
+  return `
+    <table class="conflict-table">
+      <thead><tr><th></th><th>Yours</th><th>Server</th></tr></thead>
+      <tbody>
+        ${rows
+          .map(([label, m, t]) => `<tr><th>${label}</th><td>${escapeHtml(m || "")}</td><td>${escapeHtml(t || "")}</td></tr>`)
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,144 @@
+// ItemEditor.jsx — Edit dialog for one item (modal)
+// Title, Markdown description with live preview, tags, and an optional due date + reminder
+// (a preset relative to the due date, or a time of its own). `draft` pre-fills the fields
+// (the merge flow passes merged values); Save hands the values to the parent, which sends
+// them with If-Match. Ctrl/⌘+Enter saves, Escape closes.
+
+import React, { useEffect, useState } from "react";
+import TagInput from "./TagInput";
+import MarkdownEditor from "./MarkdownEditor";
+import { LIMITS } from "./validation";
+import { REMINDER_OPTIONS, toLocalInput, fromLocalInput, reminderOption, reminderTime } from "./dates";
+
+const ItemEditor = ({ draft, colors = {}, onSave, onClose }) => {
+  const [title, setTitle] = useState(draft.title || "");
+  const [description, setDescription] = useState(draft.description || "");
+  const [tags, setTags] = useState(draft.tags || []);
+  const [due, setDue] = useState(toLocalInput(draft.dueAt));      // datetime-local value ("" = none)
+  const [reminder, setReminder] = useState(reminderOption(draft.dueAt, draft.remindAt));
+  const [remindCustom, setRemindCustom] = useState(toLocalInput(draft.remindAt));
+  const [error, setError] = useState("");
+
+  const save = () => {
+    const t = title.trim();
+    if (!t) {
+      setError("Title is required");
+      return;
+    }
+    if (tags.length > LIMITS.tagsPerItem) {
+      setError(`At most ${LIMITS.tagsPerItem} tags`);
+      return;
+    }
+    const dueAt = fromLocalInput(due);
+    const remindAt = reminderTime(reminder, dueAt, remindCustom);
+    if (reminder !== "none" && !remindAt) {
+      setError(reminder === "custom" ? "Pick a reminder time" : "Set a due date for this reminder");
+      return;
+    }
+    onSave({ title: t, description: description.trim(), tags, dueAt, remindAt });
+  };
+
+  // Effect: close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-content glass-card item-editor" onKeyDown={handleKeyDown}>
+        <div className="item-header">
+          <h3>Edit item</h3>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            ✖️
+          </button>
+        </div>
+
+        <div className="input with-icon">
+          <span className="icon">📝</span>
+          <input
+            placeholder="Title"
+            value={title}
+            maxLength={LIMITS.title}
+            onChange={(e) => {
+              setTitle(e.target.value);
+              setError("");
+            }}
+          />
+        </div>
+
+        <MarkdownEditor value={description} onChange={setDescription} maxLength={LIMITS.description} autoFocus />
+
+        <TagInput value={tags} onChange={setTags} colors={colors} />
+
+        <div className="schedule-fields">
+          <label>
+            <span className="muted small">📅 Due</span>
+            <input
+              type="datetime-local"
+              className="schedule-input"
+              value={due}
+              onChange={(e) => {
+                setDue(e.target.value);
+                setError("");
+              }}
+            />
+          </label>
+          <label>
+            <span className="muted small">⏰ Reminder</span>
+            <select
+              className="schedule-input"
+              value={reminder}
+              onChange={(e) => {
+                setReminder(e.target.value);
+                setError("");
+              }}
+            >
+              {REMINDER_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value} disabled={!due && value !== "none" && value !== "custom"}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {reminder === "custom" && (
+            <label>
+              <span className="muted small">Remind me at</span>
+              <input
+                type="datetime-local"
+                className="schedule-input"
+                value={remindCustom}
+                onChange={(e) => {
+                  setRemindCustom(e.target.value);
+                  setError("");
+                }}
+              />
+            </label>
+          )}
+        </div>
+
+        {error && <small className="field-error">{error}</small>}
+
+        <div className="modal-actions">
+          <button className="btn btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={save} title="Save (Ctrl+Enter)">
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ItemEditor;
@@ -1,7 +1,9 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import axios from "axios";
 import Swal from 'sweetalert2';
+import { saveTokens } from "./api";
+import { resendVerification } from "./resendVerification";
 import "./App.css"; 
 
 const Login = () => {
@@ -11,6 +13,17 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
+  // Throttling: the server sends Retry-After when attempts are backing off / locked out
+  const [lockedUntil, setLockedUntil] = useState(0);   // Epoch ms when login is allowed again
+  const [now, setNow] = useState(() => Date.now());    // Ticks every second while locked
+  const lockSeconds = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+
+  useEffect(() => {
+    if (lockedUntil <= Date.now()) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [lockedUntil]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -18,7 +31,9 @@ const Login = () => {
     try {
       const res = await axios.post(import.meta.env.VITE_API_URL + "/login", { email, password });
       if (res.data.status === "Success") {
-        localStorage.setItem("userId", res.data.userId);
+        // Save the access + refresh tokens; Home sends them with every API call
+        saveTokens(res.data);
+        localStorage.removeItem("userId");               // Legacy key from before tokens
         await Swal.fire({
           icon: 'success',
           title: 'Login Successful!',
@@ -35,6 +50,44 @@ const Login = () => {
         });
       }
     } catch (err) {
+      // Start the countdown whenever the server asks us to wait
+      const retryAfter = parseInt(err?.response?.headers?.["retry-after"], 10);
+      if (retryAfter > 0) {
+        setNow(Date.now());
+        setLockedUntil(Date.now() + retryAfter * 1000);
+      }
+
+      // Locked out: the inline notice below the button shows the remaining time
+      if (err?.response?.status === 429) return;
+
+      // Right password, unconfirmed email: offer to send the link again
+      if (err?.response?.data?.code === "EMAIL_NOT_VERIFIED") {
+        const result = await Swal.fire({
+          icon: 'info',
+          title: 'Verify your email',
+          text: err.response.data.message,
+          showCancelButton: true,
+          confirmButtonText: 'Resend email',
+          cancelButtonText: 'Close'
+        });
+        if (result.isConfirmed) await resendVerification(email);
+        return;
+      }
+
+      // An admin required a new password: the reset page takes it from here
+      if (err?.response?.data?.code === "PASSWORD_RESET_REQUIRED") {
+        const result = await Swal.fire({
+          icon: 'info',
+          title: 'New password needed',
+          text: err.response.data.message,
+          showCancelButton: true,
+          confirmButtonText: 'Get a new link',
+          cancelButtonText: 'Close'
+        });
+        if (result.isConfirmed) navigate("/reset-password");
+        return;
+      }
+
       await Swal.fire({
         icon: 'error',
         title: 'Error',
@@ -101,14 +154,20 @@ const Login = () => {
           </div>
         </div>
 
-        <button className="submit" type="submit" disabled={loading || !email || !password}>
+        <button className="submit" type="submit" disabled={loading || !email || !password || lockSeconds > 0}>
           {loading ? <span className="spinner" /> : "Login"}
         </button>
 
+        {lockSeconds > 0 && (
+          <div className="alert" role="status" style={{ marginTop: 14 }}>
+            Too many failed attempts. Try again in {formatWait(lockSeconds)}.
+          </div>
+        )}
+
         <div className="meta">
-          <a className="muted" href="#" onClick={(e) => e.preventDefault()}>
+          <Link className="muted" to="/reset-password">
             Forgot password?
-          </a>
+          </Link>
           <span className="muted">
             New here? <Link to="/register">Create an account</Link>
           </span>
@@ -118,4 +177,11 @@ const Login = () => {
   );
 };
 
-export default Login;
\ No newline at end of file
+export default Login;
+
+// Turn a number of seconds into "45s" or "4m 05s"
+function formatWait(seconds) {
+  const m = Math.floor(seconds / 60);
+  const sec = seconds % 60;
+  return m > 0 ? `${m}m ${String(sec).padStart(2, "0")}s` : `${sec}s`;
+}
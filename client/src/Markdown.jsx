@@ -0,0 +1,30 @@
+// Markdown.jsx — Renders an item description as sanitized Markdown (see markdown.js)
+// With `onToggleTask`, checklist boxes can be ticked right on the card; without it they
+// are read-only (e.g. in the editor preview).
+
+import React, { useMemo } from "react";
+import { renderMarkdown } from "./markdown";
+
+const Markdown = ({ text, className = "", onToggleTask }) => {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+
+  // Clicks on checklist boxes go to the parent, which saves the new text. The box itself
+  // stays as it was until the saved description comes back (so a failed save shows nothing).
+  const handleClick = (e) => {
+    const box = e.target.closest?.("input.task-check");
+    if (!box) return;
+    e.preventDefault();
+    if (onToggleTask) onToggleTask(Number(box.dataset.task), box.checked);
+  };
+
+  if (!text) return null;
+  return (
+    <div
+      className={`markdown ${className}`}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}    // Sanitized by DOMPurify in renderMarkdown
+    />
+  );
+};
+
+export default Markdown;
@@ -0,0 +1,64 @@
+// MarkdownEditor.jsx — Multi-line Markdown textarea with a live preview next to it
+// The toolbar inserts the syntax people forget (checklist, code block, link) at the cursor.
+
+import React, { useRef } from "react";
+import Markdown from "./Markdown";
+
+// [label, title, text to insert before the selection, text after it]
+const SNIPPETS = [
+  ["☑", "Checklist item", "- [ ] ", ""],
+  ["</>", "Code block", "```\n", "\n```"],
+  ["🔗", "Link", "[", "](https://)"],
+  ["B", "Bold", "**", "**"],
+];
+
+const MarkdownEditor = ({ value, onChange, maxLength, placeholder = "Description (Markdown supported)", rows = 10, autoFocus }) => {
+  const textRef = useRef(null);
+
+  // Wrap the selection (or insert at the cursor) and keep the cursor inside the snippet
+  const insert = (before, after) => {
+    const el = textRef.current;
+    const start = el.selectionStart;
+    const end = el.selectionEnd;
+    const next = value.slice(0, start) + before + value.slice(start, end) + after + value.slice(end);
+    if (maxLength && next.length > maxLength) return;
+    onChange(next);
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(start + before.length, end + before.length);
+    });
+  };
+
+  return (
+    <div className="md-editor">
+      <div className="md-write">
+        <div className="md-toolbar">
+          {SNIPPETS.map(([label, title, before, after]) => (
+            <button type="button" className="icon-btn small" key={title} title={title} onClick={() => insert(before, after)}>
+              {label}
+            </button>
+          ))}
+          {maxLength && (
+            <span className="muted small md-count">
+              {value.length}/{maxLength}
+            </span>
+          )}
+        </div>
+        <textarea
+          ref={textRef}
+          value={value}
+          rows={rows}
+          maxLength={maxLength}
+          placeholder={placeholder}
+          autoFocus={autoFocus}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </div>
+      <div className="md-preview">                   {/* Live preview (checkboxes read-only here) */}
+        {value.trim() ? <Markdown text={value} /> : <p className="muted small">Preview</p>}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,86 @@
+// NotificationTray.jsx — Header bell with the unread count and a dropdown of in-app notifications
+// (reminders). Clicking one marks it read and hands it to `onOpen`; each can be dismissed.
+// Closes on outside clicks and Escape.
+
+import React, { useState, useEffect, useRef } from "react";
+import { formatDateTime } from "./dates";
+
+const NotificationTray = ({ notifications, unread, onOpen, onRead, onReadAll, onDismiss }) => {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onClick);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  return (
+    <div className="notification-tray" ref={rootRef}>
+      <button
+        className="btn btn-ghost bell"
+        onClick={() => setOpen((o) => !o)}
+        title="Notifications"
+        aria-expanded={open}
+      >
+        🔔{unread > 0 && <span className="unread-count">{unread > 99 ? "99+" : unread}</span>}
+      </button>
+
+      {open && (
+        <div className="tray-panel glass-card">
+          <div className="tray-header">
+            <strong>Notifications</strong>
+            <button className="link-btn" onClick={onReadAll} disabled={unread === 0}>
+              Mark all read
+            </button>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="muted small">Nothing yet. Reminders you set on items show up here.</p>
+          ) : (
+            <ul className="tray-list">
+              {notifications.map((n) => (
+                <li key={n._id} className={n.readAt ? "" : "unread"}>
+                  <button
+                    className="tray-item"
+                    onClick={() => {
+                      setOpen(false);
+                      onOpen(n);
+                    }}
+                  >
+                    <span>⏰ {n.title}</span>
+                    <small className="muted">
+                      {n.dueAt ? `Due ${formatDateTime(n.dueAt)}` : `Reminder for ${formatDateTime(n.firesAt)}`}
+                    </small>
+                  </button>
+                  <div className="tray-actions">
+                    {!n.readAt && (
+                      <button className="icon-btn" onClick={() => onRead(n)} title="Mark read">
+                        ✓
+                      </button>
+                    )}
+                    <button className="icon-btn" onClick={() => onDismiss(n)} title="Dismiss">
+                      ✕
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationTray;
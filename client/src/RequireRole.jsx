@@ -0,0 +1,53 @@
+// RequireRole.jsx — Route guard for pages that need a permission (the admin console, the directory)
+// Signed-out visitors go to /login. Otherwise GET /me says what the account's role allows;
+// without `permission` the visitor is sent back to the dashboard. The server checks every
+// request again, so this only keeps people off pages that would just show errors.
+
+import React, { useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import Swal from "sweetalert2";
+import api, { TOKEN_KEY } from "./api";
+
+const RequireRole = ({ permission, children }) => {
+  const signedIn = Boolean(localStorage.getItem(TOKEN_KEY));
+  const [status, setStatus] = useState("checking"); // "checking" | "allowed" | "denied" | "signed-out"
+
+  useEffect(() => {
+    if (!signedIn) return;
+    let cancelled = false;
+    api
+      .get("/me")
+      .then((res) => {
+        if (cancelled) return;
+        if (res.data.user.permissions.includes(permission)) {
+          setStatus("allowed");
+        } else {
+          setStatus("denied");
+          Swal.fire({ icon: "error", title: "Admins only", text: "Your account can't open that page." });
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        // 401 after a failed refresh: the session is gone
+        setStatus(err?.response?.status === 401 || !localStorage.getItem(TOKEN_KEY) ? "signed-out" : "denied");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [signedIn, permission]);
+
+  if (!signedIn || status === "signed-out") return <Navigate to="/login" replace />;
+  if (status === "denied") return <Navigate to="/home" replace />;
+  if (status === "checking") {
+    return (
+      <div className="dashboard-page">
+        <div className="center">
+          <span className="spinner lg" />
+        </div>
+      </div>
+    );
+  }
+  return children;
+};
+
+export default RequireRole;
@@ -0,0 +1,190 @@
+// ResetPassword.jsx — "Forgot password?" flow
+// Without ?token=... in the URL it asks for an email and requests a reset link.
+// With a token (from the emailed link) it lets the user choose a new password.
+
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import Swal from "sweetalert2";
+import "./App.css";
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");            // Present when opened from the email link
+
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [showPass, setShowPass] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const passwordsMatch = confirm === password || confirm.length === 0;
+
+  // Step 1: ask the server to email a reset link
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const res = await axios.post(`${API_URL}/password/forgot`, { email: email.trim() });
+      await Swal.fire({
+        icon: "success",
+        title: "Check your inbox",
+        text: res.data.message,
+      });
+      navigate("/login");
+    } catch (err) {
+      Swal.fire({
+        icon: "error",
+        title: "Error",
+        text: err?.response?.data?.message || "Could not send reset email",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: send the token with the new password
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    if (!passwordsMatch) {
+      Swal.fire({ icon: "error", title: "Passwords do not match" });
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const res = await axios.post(`${API_URL}/password/reset`, { token, password });
+      await Swal.fire({
+        icon: "success",
+        title: "Password updated",
+        text: res.data.message,
+        timer: 1800,
+        showConfirmButton: false,
+      });
+      navigate("/login");
+    } catch (err) {
+      Swal.fire({
+        icon: "error",
+        title: "Reset failed",
+        text: err?.response?.data?.message || "Error resetting password",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="gradient-bg">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+
+      {token ? (
+        <form className="login-card" onSubmit={handleReset}>
+          <div className="brand">
+            <div className="logo">🔑</div>
+            <h2>Choose a new password</h2>
+            <p>You'll be signed out on every device</p>
+          </div>
+
+          <div className="field">
+            <label htmlFor="password">New password</label>
+            <div className="input">
+              <span className="icon">🔒</span>
+              <input
+                id="password"
+                type={showPass ? "text" : "password"}
+                placeholder="8+ characters, mix of types"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+              />
+              <button
+                type="button"
+                className="toggle"
+                onClick={() => setShowPass((s) => !s)}
+                aria-label={showPass ? "Hide password" : "Show password"}
+              >
+                {showPass ? "🙈" : "👁️"}
+              </button>
+            </div>
+          </div>
+
+          <div className="field">
+            <label htmlFor="confirm">Confirm password</label>
+            <div className="input">
+              <span className="icon">✅</span>
+              <input
+                id="confirm"
+                type={showPass ? "text" : "password"}
+                placeholder="Re-enter password"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                required
+                autoComplete="new-password"
+              />
+            </div>
+            {!passwordsMatch && (
+              <small style={{ color: "#fecaca" }}>Passwords do not match</small>
+            )}
+          </div>
+
+          <button
+            className="submit"
+            type="submit"
+            disabled={loading || !password || !confirm || !passwordsMatch}
+          >
+            {loading ? <span className="spinner" /> : "Update password"}
+          </button>
+
+          <div className="meta">
+            <Link className="muted" to="/login">Back to login</Link>
+          </div>
+        </form>
+      ) : (
+        <form className="login-card" onSubmit={handleRequest}>
+          <div className="brand">
+            <div className="logo">📨</div>
+            <h2>Forgot password?</h2>
+            <p>We'll email you a reset link</p>
+          </div>
+
+          <div className="field">
+            <label htmlFor="email">Email</label>
+            <div className="input">
+              <span className="icon">📧</span>
+              <input
+                id="email"
+                type="email"
+                placeholder="you@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                autoComplete="email"
+              />
+            </div>
+          </div>
+
+          <button className="submit" type="submit" disabled={loading || !email.trim()}>
+            {loading ? <span className="spinner" /> : "Send reset link"}
+          </button>
+
+          <div className="meta">
+            <Link className="muted" to="/login">Back to login</Link>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ResetPassword;
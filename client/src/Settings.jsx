@@ -0,0 +1,351 @@
+// Settings.jsx — Account settings (route /settings, reachable from the dashboard header)
+// Profile: display name. Email: a new address only takes over once its emailed link is followed
+// (VerifyEmail.jsx with ?change=1); until then it shows as pending and can be cancelled.
+// Password: needs the current one; other devices are signed out. Danger zone: deleting the
+// account needs the password and the word DELETE, then signs out here as well.
+
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import Swal from "sweetalert2";
+import api, { TOKEN_KEY, clearTokens } from "./api";
+import { clearOfflineData } from "./offlineStore";
+import { LIMITS, fieldErrors, errorMessage } from "./validation";
+import "./App.css";
+
+const Toast = Swal.mixin({
+  toast: true,
+  position: "top-end",
+  timer: 2000,
+  timerProgressBar: true,
+  showConfirmButton: false,
+});
+
+// Field errors from a failed request ({ form } when none of them belong to an input)
+function errorsFrom(err, fallback) {
+  const found = fieldErrors(err);
+  if (err?.response?.data?.code === "EMAIL_TAKEN") found.email = err.response.data.message;
+  return Object.keys(found).length > 0 ? found : { form: errorMessage(err, fallback) };
+}
+
+// One labelled input with its error below
+const Field = ({ label, error, ...props }) => (
+  <label className="employee-field">
+    <span className="muted small">{label}</span>
+    <div className="input">
+      <input {...props} />
+    </div>
+    {error && <small className="field-error">{error}</small>}
+  </label>
+);
+
+const Settings = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);           // GET /account
+
+  // Values per form (errors are kept per form too)
+  const [profile, setProfile] = useState({ name: "" });
+  const [email, setEmail] = useState({ email: "", password: "" });
+  const [password, setPassword] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [removal, setRemoval] = useState({ password: "", confirm: "" });
+  const [errors, setErrors] = useState({});         // { profile: {...}, email: {...}, password: {...}, removal: {...} }
+  const [saving, setSaving] = useState(null);       // Form with a request in flight
+
+  // Effect: no token -> login; otherwise load the account
+  useEffect(() => {
+    if (!localStorage.getItem(TOKEN_KEY)) {
+      navigate("/login");
+      return;
+    }
+    api
+      .get("/account")
+      .then((res) => {
+        setUser(res.data.user);
+        setProfile({ name: res.data.user.name });
+      })
+      .catch((err) => {
+        if (err?.response?.status === 401) navigate("/login");
+        else Swal.fire({ icon: "error", title: "Failed to load your account", text: errorMessage(err, "") });
+      });
+  }, [navigate]);
+
+  // onChange for a field of one form (clears that field's error)
+  const change = (form, setValues, field) => (e) => {
+    setValues((v) => ({ ...v, [field]: e.target.value }));
+    setErrors((prev) => ({ ...prev, [form]: { ...prev[form], [field]: undefined, form: undefined } }));
+  };
+
+  // Run one form's request; failures land in that form's errors
+  const submit = (form, request, fallback) => async (e) => {
+    e.preventDefault();
+    setSaving(form);
+    setErrors((prev) => ({ ...prev, [form]: {} }));
+    try {
+      await request();
+    } catch (err) {
+      setErrors((prev) => ({ ...prev, [form]: errorsFrom(err, fallback) }));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  // PATCH /account
+  const saveProfile = submit(
+    "profile",
+    async () => {
+      const res = await api.patch("/account", profile);
+      setUser(res.data.user);
+      Toast.fire({ icon: "success", title: "Profile saved" });
+    },
+    "Could not save your profile"
+  );
+
+  // POST /account/email
+  const changeEmail = submit(
+    "email",
+    async () => {
+      const res = await api.post("/account/email", email);
+      setUser(res.data.user);
+      setEmail({ email: "", password: "" });
+      Swal.fire({ icon: "info", title: "Check your inbox", text: res.data.message });
+    },
+    "Could not change your email"
+  );
+
+  // DELETE /account/email
+  const cancelEmailChange = async () => {
+    try {
+      const res = await api.delete("/account/email");
+      setUser(res.data.user);
+      Toast.fire({ icon: "success", title: "Email change cancelled" });
+    } catch (err) {
+      Swal.fire({ icon: "error", title: "Could not cancel", text: errorMessage(err, "Please try again.") });
+    }
+  };
+
+  // PUT /account/password (the confirmation only exists here)
+  const changePassword = async (e) => {
+    if (password.newPassword !== password.confirmPassword) {
+      e.preventDefault();
+      setErrors((prev) => ({ ...prev, password: { confirmPassword: "Passwords don't match" } }));
+      return;
+    }
+    await submit(
+      "password",
+      async () => {
+        const { currentPassword, newPassword } = password;
+        const res = await api.put("/account/password", { currentPassword, newPassword });
+        setPassword({ currentPassword: "", newPassword: "", confirmPassword: "" });
+        Toast.fire({
+          icon: "success",
+          title: res.data.signedOut > 0 ? `Password changed; ${res.data.signedOut} other device(s) signed out` : "Password changed",
+        });
+      },
+      "Could not change your password"
+    )(e);
+  };
+
+  // DELETE /account, then forget this device's copy and tokens like a logout
+  const deleteAccount = submit(
+    "removal",
+    async () => {
+      const result = await Swal.fire({
+        icon: "warning",
+        title: "Delete your account?",
+        text: "Your items, tags and attachments are deleted for good. This can't be undone.",
+        showCancelButton: true,
+        confirmButtonText: "Delete my account",
+        confirmButtonColor: "#ef4444",
+        reverseButtons: true,
+      });
+      if (!result.isConfirmed) return;
+
+      await api.delete("/account", { data: removal });
+      await clearOfflineData().catch(console.error);
+      clearTokens();
+      await Swal.fire({ icon: "success", title: "Account deleted", timer: 1500, showConfirmButton: false });
+      navigate("/");
+    },
+    "Could not delete your account"
+  );
+
+  const err = (form) => errors[form] || {};
+
+  return (
+    <div className="dashboard-page">
+      <div className="gradient-bg">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+
+      <div className="dashboard settings">
+        <header className="dashboard-header">
+          <div className="brand">
+            <div className="logo">⚙️</div>
+            <h2>Settings</h2>
+            <p className="muted">{user ? user.email : "Loading…"}</p>
+          </div>
+          <div className="header-actions">
+            <button className="btn btn-ghost" onClick={() => navigate("/home")}>
+              ← Dashboard
+            </button>
+          </div>
+        </header>
+
+        {!user ? (
+          <div className="center">
+            <span className="spinner lg" />
+          </div>
+        ) : (
+          <>
+            <form className="glass-card admin-card settings-section" onSubmit={saveProfile}>
+              <h4>Profile</h4>
+              <Field
+                label="Name"
+                value={profile.name}
+                onChange={change("profile", setProfile, "name")}
+                required
+                maxLength={LIMITS.name}
+                error={err("profile").name}
+              />
+              {err("profile").form && <small className="field-error">{err("profile").form}</small>}
+              <div className="modal-actions">
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={saving === "profile" || profile.name.trim() === user.name}
+                >
+                  {saving === "profile" ? <span className="spinner" /> : "Save"}
+                </button>
+              </div>
+            </form>
+
+            <form className="glass-card admin-card settings-section" onSubmit={changeEmail}>
+              <h4>Email</h4>
+              <p className="muted small">
+                Currently <strong>{user.email}</strong>. We&apos;ll send a link to the new address; your email
+                changes once you follow it.
+              </p>
+              {user.pendingEmail && (
+                <p className="small settings-pending">
+                  Waiting for confirmation of <strong>{user.pendingEmail}</strong> ·{" "}
+                  <button type="button" className="link-btn" onClick={cancelEmailChange}>
+                    Cancel
+                  </button>
+                </p>
+              )}
+              <div className="employee-fields">
+                <Field
+                  label="New email"
+                  type="email"
+                  value={email.email}
+                  onChange={change("email", setEmail, "email")}
+                  required
+                  maxLength={LIMITS.email}
+                  error={err("email").email}
+                />
+                <Field
+                  label="Current password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={email.password}
+                  onChange={change("email", setEmail, "password")}
+                  required
+                  error={err("email").password}
+                />
+              </div>
+              {err("email").form && <small className="field-error">{err("email").form}</small>}
+              <div className="modal-actions">
+                <button type="submit" className="btn btn-primary" disabled={saving === "email"}>
+                  {saving === "email" ? <span className="spinner" /> : "Send confirmation link"}
+                </button>
+              </div>
+            </form>
+
+            <form className="glass-card admin-card settings-section" onSubmit={changePassword}>
+              <h4>Password</h4>
+              <p className="muted small">Other devices are signed out; this one stays signed in.</p>
+              <div className="employee-fields">
+                <Field
+                  label="Current password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password.currentPassword}
+                  onChange={change("password", setPassword, "currentPassword")}
+                  required
+                  error={err("password").currentPassword}
+                />
+                <span />
+                <Field
+                  label="New password"
+                  type="password"
+                  autoComplete="new-password"
+                  value={password.newPassword}
+                  onChange={change("password", setPassword, "newPassword")}
+                  required
+                  minLength={LIMITS.passwordMin}
+                  maxLength={LIMITS.passwordMax}
+                  error={err("password").newPassword}
+                />
+                <Field
+                  label="Repeat new password"
+                  type="password"
+                  autoComplete="new-password"
+                  value={password.confirmPassword}
+                  onChange={change("password", setPassword, "confirmPassword")}
+                  required
+                  error={err("password").confirmPassword}
+                />
+              </div>
+              {err("password").form && <small className="field-error">{err("password").form}</small>}
+              <div className="modal-actions">
+                <button type="submit" className="btn btn-primary" disabled={saving === "password"}>
+                  {saving === "password" ? <span className="spinner" /> : "Change password"}
+                </button>
+              </div>
+            </form>
+
+            <form className="glass-card admin-card settings-section danger-zone" onSubmit={deleteAccount}>
+              <h4>Delete account</h4>
+              <p className="muted small">
+                Deletes your account with all your items, tags, attachments and history. Items other people
+                shared with you stay with them.
+              </p>
+              <div className="employee-fields">
+                <Field
+                  label="Current password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={removal.password}
+                  onChange={change("removal", setRemoval, "password")}
+                  required
+                  error={err("removal").password}
+                />
+                <Field
+                  label="Type DELETE to confirm"
+                  value={removal.confirm}
+                  onChange={change("removal", setRemoval, "confirm")}
+                  required
+                  autoComplete="off"
+                  error={err("removal").confirm}
+                />
+              </div>
+              {err("removal").form && <small className="field-error">{err("removal").form}</small>}
+              <div className="modal-actions">
+                <button
+                  type="submit"
+                  className="btn btn-ghost danger"
+                  disabled={saving === "removal" || removal.confirm !== "DELETE"}
+                >
+                  {saving === "removal" ? <span className="spinner" /> : "Delete my account"}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
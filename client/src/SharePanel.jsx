@@ -0,0 +1,168 @@
+// SharePanel.jsx — Share one item with other users (modal, owner only)
+// Lists GET /items/:id/shares; people are added by email as viewer or editor, their role can
+// be changed in place, and access can be revoked. `onChange` gets the new share list so the
+// card's share count stays current.
+
+import React, { useEffect, useState } from "react";
+import Swal from "sweetalert2";
+import api from "./api";
+import { LIMITS, fieldErrors, errorMessage } from "./validation";
+
+const ROLES = [
+  ["viewer", "Can view"],
+  ["editor", "Can edit"],
+];
+
+const SharePanel = ({ item, onClose, onChange }) => {
+  const [shares, setShares] = useState([]);        // [{ userId, name, email, role, sharedAt }]
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // Effect: load the current share list
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/items/${item._id}/shares`)
+      .then((res) => {
+        if (!cancelled) setShares(res.data.shares);
+      })
+      .catch((err) => {
+        if (!cancelled) Swal.fire({ icon: "error", title: "Failed to load sharing", text: errorMessage(err, "") });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [item._id]);
+
+  // Effect: close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const update = (next) => {
+    setShares(next);
+    onChange(next);
+  };
+
+  // POST /items/:id/shares { email, role } -> adds the person, or changes their role
+  const share = async (shareEmail, shareRole) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await api.post(`/items/${item._id}/shares`, { email: shareEmail, role: shareRole });
+      const added = res.data.share;
+      const exists = shares.some((s) => s.userId === added.userId);
+      update(exists ? shares.map((s) => (s.userId === added.userId ? added : s)) : [...shares, added]);
+      return true;
+    } catch (err) {
+      setError(fieldErrors(err).email || errorMessage(err, "Sharing failed"));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await share(email.trim(), role)) setEmail("");
+  };
+
+  // DELETE /items/:id/shares/:userId
+  const revoke = async (s) => {
+    setBusy(true);
+    try {
+      await api.delete(`/items/${item._id}/shares/${s.userId}`);
+      update(shares.filter((other) => other.userId !== s.userId));
+    } catch (err) {
+      setError(errorMessage(err, "Failed to remove access"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-content glass-card share-panel">
+        <div className="item-header">
+          <h3>Share — {item.title}</h3>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            ✖️
+          </button>
+        </div>
+
+        <form className="share-form" onSubmit={handleAdd}>
+          <div className="input with-icon">
+            <span className="icon">✉️</span>
+            <input
+              type="email"
+              placeholder="Email of a registered user"
+              value={email}
+              maxLength={LIMITS.email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError("");
+              }}
+            />
+          </div>
+          <select className="role-select" value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-primary" disabled={busy || !email.trim()}>
+            Share
+          </button>
+        </form>
+        {error && <small className="field-error">{error}</small>}
+
+        {loading ? (
+          <div className="center" style={{ height: 80 }}>
+            <span className="spinner" />
+          </div>
+        ) : shares.length === 0 ? (
+          <p className="muted">Only you can see this item.</p>
+        ) : (
+          <ul className="share-list">
+            {shares.map((s) => (
+              <li key={s.userId}>
+                <span>
+                  {s.name}
+                  <br />
+                  <span className="muted small">{s.email}</span>
+                </span>
+                <select
+                  className="role-select"
+                  value={s.role}
+                  disabled={busy}
+                  onChange={(e) => share(s.email, e.target.value)}
+                >
+                  {ROLES.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button className="btn btn-ghost danger" disabled={busy} onClick={() => revoke(s)}>
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharePanel;
@@ -1,10 +1,12 @@
 // Signup.jsx — Registration screen with SweetAlert2, strength meter, and show/hide password
 
 import React, { useState, useMemo } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link } from "react-router-dom";
 import axios from "axios";
 import Swal from "sweetalert2";
 import "sweetalert2/dist/sweetalert2.min.css";
+import { resendVerification } from "./resendVerification";
+import { LIMITS, fieldErrors, errorMessage } from "./validation";
 import "./App.css";
 
 // Create a reusable "toast"
@@ -17,8 +19,6 @@ const Toast = Swal.mixin({
 });
 
 const Signup = () => {
-  const navigate = useNavigate();
-
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
@@ -29,6 +29,12 @@ const Signup = () => {
 
   const [loading, setLoading] = useState(false);
 
+  // Field errors returned by the API ({ name, email, password }), shown under each input
+  const [errors, setErrors] = useState({});
+
+  // Set once the account is created; switches the page to the "check your inbox" screen
+  const [registeredEmail, setRegisteredEmail] = useState("");
+
   const strength = useMemo(() => getStrength(password), [password]);
   const passwordsMatch = confirm === password || confirm.length === 0;
 
@@ -46,6 +52,7 @@ const Signup = () => {
     }
 
     setLoading(true);
+    setErrors({});
 
     Swal.fire({
       title: "Creating your account...",
@@ -67,15 +74,8 @@ const Signup = () => {
       if (res.data.status === "Success") {
         Swal.close();
 
-        await Swal.fire({
-          icon: "success",
-          title: "Registration successful!",
-          text: "You can now log in.",
-          timer: 1400,
-          showConfirmButton: false,
-        });
-
-        navigate("/login");
+        // The account must be verified before /login accepts it
+        setRegisteredEmail(res.data.email);
       } else {
         Swal.fire({
           icon: "error",
@@ -84,16 +84,57 @@ const Signup = () => {
         });
       }
     } catch (err) {
-      Swal.fire({
-        icon: "error",
-        title: "Something went wrong",
-        text: err?.response?.data?.message || "Error registering",
-      });
+      // Field problems go inline next to the inputs; anything else gets a dialog
+      const fields = fieldErrors(err);
+      if (Object.keys(fields).length > 0) {
+        Swal.close();
+        setErrors(fields);
+      } else {
+        Swal.fire({
+          icon: "error",
+          title: "Something went wrong",
+          text: errorMessage(err, "Error registering"),
+        });
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  // After sign-up: ask the user to follow the emailed link
+  if (registeredEmail) {
+    return (
+      <div className="login-page">
+        <div className="gradient-bg">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+
+        <div className="login-card">
+          <div className="brand">
+            <div className="logo">📬</div>
+            <h2>Check your inbox</h2>
+            <p className="muted">
+              We sent a confirmation link to <strong>{registeredEmail}</strong>.
+              Follow it to activate your account, then log in.
+            </p>
+          </div>
+
+          <button className="submit" type="button" onClick={() => resendVerification(registeredEmail)}>
+            Resend email
+          </button>
+
+          <div className="meta" style={{ marginTop: 12 }}>
+            <span className="muted">
+              Already verified? <Link to="/login">Log in</Link>
+            </span>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-page">
       <div className="gradient-bg">
@@ -119,11 +160,13 @@ const Signup = () => {
               type="text"
               placeholder="Your name"
               value={name}
+              maxLength={LIMITS.name}
               onChange={(e) => setName(e.target.value)}
               required
               autoComplete="name"
             />
           </div>
+          {errors.name && <small className="field-error">{errors.name}</small>}
         </div>
 
         {/* Email */}
@@ -136,11 +179,13 @@ const Signup = () => {
               type="email"
               placeholder="you@example.com"
               value={email}
+              maxLength={LIMITS.email}
               onChange={(e) => setEmail(e.target.value)}
               required
               autoComplete="email"
             />
           </div>
+          {errors.email && <small className="field-error">{errors.email}</small>}
         </div>
 
         {/* Password */}
@@ -153,6 +198,7 @@ const Signup = () => {
               type={showPass ? "text" : "password"}
               placeholder="8+ characters, mix of types"
               value={password}
+              maxLength={LIMITS.passwordMax}
               onChange={(e) => setPassword(e.target.value)}
               required
               autoComplete="new-password"
@@ -175,6 +221,7 @@ const Signup = () => {
             </div>
             <small className="muted">{strength.label}</small>
           </div>
+          {errors.password && <small className="field-error">{errors.password}</small>}
         </div>
 
         {/* Confirm password */}
@@ -200,7 +247,7 @@ const Signup = () => {
             </button>
           </div>
           {!passwordsMatch && (
-            <small style={{ color: "#fecaca" }}>Passwords do not match</small>
+            <small className="field-error">Passwords do not match</small>
           )}
         </div>
 
@@ -0,0 +1,99 @@
+// TagInput.jsx — Chip-style tag editor with autocomplete from GET /tags?q=...
+// Enter or comma adds the typed tag, Backspace on an empty input removes the last one.
+
+import React, { useEffect, useState } from "react";
+import api from "./api";
+import { LIMITS } from "./validation";
+
+const SUGGEST_DEBOUNCE_MS = 200;
+
+const TagInput = ({ value, onChange, colors = {}, placeholder = "Add tags…" }) => {
+  const [text, setText] = useState("");             // What's being typed
+  const [suggestions, setSuggestions] = useState([]); // [{ name, color }] from the server
+
+  // Effect: fetch suggestions for the typed prefix (debounced)
+  useEffect(() => {
+    const q = text.trim();
+    if (!q) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const id = setTimeout(() => {
+      api
+        .get("/tags", { params: { q, limit: 8 } })
+        .then((res) => {
+          if (!cancelled) setSuggestions(res.data);
+        })
+        .catch(() => {
+          if (!cancelled) setSuggestions([]);
+        });
+    }, SUGGEST_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [text]);
+
+  const has = (name) => value.some((t) => t.toLowerCase() === name.toLowerCase());
+
+  const add = (name) => {
+    const tag = name.trim().slice(0, LIMITS.tag);
+    if (tag && !has(tag) && value.length < LIMITS.tagsPerItem) onChange([...value, tag]);
+    setText("");
+  };
+
+  const remove = (name) => onChange(value.filter((t) => t !== name));
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      add(text);
+    } else if (e.key === "Backspace" && !text && value.length > 0) {
+      remove(value[value.length - 1]);
+    }
+  };
+
+  const visible = suggestions.filter((s) => !has(s.name));
+
+  return (
+    <div className="tag-input-wrap">
+      <div className="input with-icon tag-input">
+        <span className="icon">🏷️</span>
+        {value.map((tag) => (
+          <span className="tag-chip" key={tag} style={{ "--tag-color": colors[tag] || "#8b5cf6" }}>
+            {tag}
+            <button type="button" onClick={() => remove(tag)} aria-label={`Remove tag ${tag}`}>
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          placeholder={value.length ? "" : placeholder}
+          value={text}
+          maxLength={LIMITS.tag}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text.trim() && add(text)}
+        />
+      </div>
+
+      {visible.length > 0 && (
+        <ul className="tag-suggestions glass-card">
+          {visible.map((s) => (
+            <li key={s.name}>
+              {/* onMouseDown so the pick happens before the input's blur */}
+              <button type="button" onMouseDown={(e) => { e.preventDefault(); add(s.name); }}>
+                <span className="tag-dot" style={{ background: s.color }} />
+                {s.name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,64 @@
+// TagSidebar.jsx — Dashboard sidebar: All / Shared with me / Archive / Trash views and the user's tags
+// Clicking a tag filters the list; the color swatch changes the tag's color.
+
+import React from "react";
+
+const TagSidebar = ({ tags, view, activeTag, onSelectView, onSelectTag, onColorChange }) => (
+  <aside className="sidebar glass-card">
+    <nav className="sidebar-section">
+      <button
+        className={`sidebar-link ${view === "all" && !activeTag ? "active" : ""}`}
+        onClick={() => { onSelectView("all"); onSelectTag(null); }}
+      >
+        🗂️ All items
+      </button>
+      <button
+        className={`sidebar-link ${view === "shared" ? "active" : ""}`}
+        onClick={() => { onSelectView("shared"); onSelectTag(null); }}
+      >
+        🤝 Shared with me
+      </button>
+      <button
+        className={`sidebar-link ${view === "archive" ? "active" : ""}`}
+        onClick={() => onSelectView("archive")}
+      >
+        🗄️ Archive
+      </button>
+      <button
+        className={`sidebar-link ${view === "trash" ? "active" : ""}`}
+        onClick={() => onSelectView("trash")}
+      >
+        🗑️ Trash
+      </button>
+    </nav>
+
+    <div className="sidebar-section">
+      <h5 className="muted">Tags</h5>
+      {tags.length === 0 ? (
+        <p className="muted small">No tags yet</p>
+      ) : (
+        tags.map((tag) => (
+          <div className={`sidebar-tag ${activeTag === tag.name ? "active" : ""}`} key={tag.name}>
+            {/* Native color picker, styled as a dot */}
+            <input
+              type="color"
+              className="tag-swatch"
+              value={tag.color}
+              onChange={(e) => onColorChange(tag.name, e.target.value)}
+              title="Change color"
+            />
+            <button
+              className="sidebar-link"
+              onClick={() => onSelectTag(activeTag === tag.name ? null : tag.name)}
+            >
+              {tag.name}
+              <span className="muted small">{tag.count}</span>
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  </aside>
+);
+
+export default TagSidebar;
@@ -0,0 +1,65 @@
+// VerifyEmail.jsx — Landing page for the emailed verification link (/verify-email?token=...)
+// Calls GET /verify-email once on mount and shows the outcome. Links confirming a changed
+// address (from Settings.jsx) carry &change=1 and go to GET /account/email/confirm instead.
+
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import "./App.css";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const isChange = searchParams.get("change") === "1";
+
+  // "pending" -> waiting for the server, "done" -> verified, "failed" -> bad/expired link
+  const [state, setState] = useState(token ? "pending" : "failed");
+  const [message, setMessage] = useState(token ? "" : "This verification link is incomplete.");
+  const sentFor = useRef(null);                     // Token already sent (the link works only once)
+
+  useEffect(() => {
+    // StrictMode runs effects twice in development; a second request would fail as "used"
+    if (!token || sentFor.current === token) return;
+    sentFor.current = token;
+
+    const path = isChange ? "/account/email/confirm" : "/verify-email";
+    axios
+      .get(`${import.meta.env.VITE_API_URL}${path}`, { params: { token } })
+      .then((res) => {
+        setState("done");
+        setMessage(res.data.message);
+      })
+      .catch((err) => {
+        setState("failed");
+        setMessage(err?.response?.data?.message || "Could not verify your email");
+      });
+  }, [token, isChange]);
+
+  return (
+    <div className="login-page">
+      <div className="gradient-bg">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+
+      <div className="login-card">
+        <div className="brand">
+          <div className="logo">{state === "done" ? "✅" : state === "failed" ? "⚠️" : "📨"}</div>
+          <h2>
+            {state === "done"
+              ? isChange ? "Email changed" : "Email verified"
+              : state === "failed" ? "Verification failed" : "Verifying..."}
+          </h2>
+          <p>{state === "pending" ? <span className="spinner" /> : message}</p>
+        </div>
+
+        <div className="meta">
+          <Link className="muted" to="/login">Go to login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,81 @@
+// api.js — Shared Axios instance for authenticated calls to the Express API
+// Every request carries the access token saved at login as "Authorization: Bearer <token>".
+// When the access token expires (401), the refresh token is exchanged once for a new pair
+// and the original request is retried transparently.
+
+import axios from "axios";
+
+// Keys used to persist tokens in localStorage
+export const TOKEN_KEY = "token";
+export const REFRESH_KEY = "refreshToken";
+
+const api = axios.create({
+  baseURL: import.meta.env.VITE_API_URL,            // Your Express server URL
+});
+
+// Save both tokens after /login or /refresh
+export function saveTokens({ token, refreshToken }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_KEY, refreshToken);
+}
+
+// Forget the local session (the server side is revoked separately via /logout)
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+}
+
+// Attach the saved token (if any) to every outgoing request
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Only one refresh at a time; concurrent 401s wait for the same promise
+let refreshing = null;
+
+// Exchange the refresh token for a new pair (also used by liveSync.js, which doesn't go through axios)
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = refreshTokens().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+async function refreshTokens() {
+  const sent = localStorage.getItem(REFRESH_KEY);
+  if (!sent) throw new Error("No refresh token");
+
+  try {
+    // Plain axios (not `api`) so this call never triggers the interceptor below
+    const res = await axios.post(`${import.meta.env.VITE_API_URL}/refresh`, { refreshToken: sent });
+    saveTokens(res.data);
+  } catch (err) {
+    // Another tab may have rotated the token in the meantime; use what it saved
+    if (localStorage.getItem(REFRESH_KEY) !== sent) return;
+    clearTokens();
+    throw err;
+  }
+}
+
+api.interceptors.response.use(
+  (res) => res,
+  async (err) => {
+    const original = err.config;
+
+    // Retry each request at most once, and only for auth failures
+    if (err?.response?.status !== 401 || !original || original._retried) {
+      throw err;
+    }
+    original._retried = true;
+
+    await refreshSession();                          // Throws (with tokens cleared) if the session ended
+
+    return api(original);                            // Request interceptor adds the new token
+  }
+);
+
+export default api;
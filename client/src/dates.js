@@ -0,0 +1,66 @@
+// dates.js — Due dates and reminders on the client
+// The API sends and takes ISO 8601 date-times (UTC); <input type="datetime-local"> shows and
+// returns local time without a zone ("2026-10-20T09:00"). These helpers convert between the
+// two and format dates for the cards and the notification tray.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ISO date-time -> value for a datetime-local input ("" for none)
+export function toLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Value of a datetime-local input (local time) -> ISO date-time, or null when empty
+export const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Short local date and time, e.g. "Tue, Oct 20, 09:00" (with the year when it isn't this one)
+export function formatDateTime(iso) {
+  const d = new Date(iso);
+  return d.toLocaleString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    ...(d.getFullYear() !== new Date().getFullYear() ? { year: "numeric" } : {}),
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Items due within this long count as "due soon"
+const SOON_MS = 24 * 60 * 60 * 1000;
+
+// "overdue" | "soon" | "later" for a due date (null without one)
+export function dueState(iso, now) {
+  if (!iso) return null;
+  const left = new Date(iso).getTime() - now;
+  if (left < 0) return "overdue";
+  return left <= SOON_MS ? "soon" : "later";
+}
+
+// Reminder choices in the edit dialog: minutes before the due date, or a time of your own
+export const REMINDER_OPTIONS = [
+  ["none", "No reminder"],
+  ["0", "At the due time"],
+  ["60", "1 hour before"],
+  ["1440", "1 day before"],
+  ["custom", "At a set time…"],
+];
+
+// Which option matches an existing reminder ("custom" when it isn't one of the offsets)
+export function reminderOption(dueAt, remindAt) {
+  if (!remindAt) return "none";
+  if (!dueAt) return "custom";
+  const minutes = (new Date(dueAt).getTime() - new Date(remindAt).getTime()) / 60000;
+  const match = REMINDER_OPTIONS.find(([value]) => value === String(minutes));
+  return match ? match[0] : "custom";
+}
+
+// The reminder time (ISO, or null) for an option; `custom` is the datetime-local value
+export function reminderTime(option, dueAt, custom) {
+  if (option === "none") return null;
+  if (option === "custom") return fromLocalInput(custom);
+  if (!dueAt) return null;
+  return new Date(new Date(dueAt).getTime() - Number(option) * 60000).toISOString();
+}
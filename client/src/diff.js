@@ -0,0 +1,73 @@
+// diff.js — Word-level text diff for the History panel
+// Splits both texts into words and whitespace runs, finds the longest common
+// subsequence and returns segments: [{ type: "same" | "added" | "removed", text }].
+
+// Above this many table cells, fall back to "everything removed, everything added"
+const MAX_CELLS = 4_000_000;
+
+const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+
+export function diffWords(before = "", after = "") {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // The common prefix/suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  a.slice(0, start).forEach((t) => push("same", t));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    midA.forEach((t) => push("removed", t));
+    midB.forEach((t) => push("added", t));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..] (flattened)
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push("same", midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        push("removed", midA[i++]);
+      } else {
+        push("added", midB[j++]);
+      }
+    }
+    while (i < n) push("removed", midA[i++]);
+    while (j < m) push("added", midB[j++]);
+  }
+
+  a.slice(endA).forEach((t) => push("same", t));
+  return segments;
+}
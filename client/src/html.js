@@ -0,0 +1,10 @@
+// html.js — Helpers for the few places that build HTML strings (SweetAlert dialogs)
+
+// Utility: escape HTML special characters to avoid breaking the SweetAlert input HTML.
+// This prevents XSS or malformed HTML when we inject existing values into the dialog.
+export function escapeHtml(str = "") {
+  // Replace characters like <, >, &, " and ' with their HTML-escaped versions
+  return str.replace(/[&<>"']/g, (m) => (
+    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]
+  ));
+}
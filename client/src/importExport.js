@@ -0,0 +1,139 @@
+// importExport.js — Dashboard Import / Export actions
+// Export downloads GET /items/export as a file; Import uploads a file to POST /items/import,
+// shows the dry-run report (new / duplicate / invalid rows) and imports on confirmation.
+
+import Swal from "sweetalert2";
+import api from "./api";
+import { errorMessage } from "./validation";
+import { escapeHtml } from "./html";
+
+const FORMAT_LABELS = {
+  json: "JSON (.json)",
+  csv: "CSV spreadsheet (.csv)",
+  markdown: "Markdown files (.zip)",
+};
+
+// Rows listed in the preview (the summary always counts all of them)
+const PREVIEW_ROWS = 50;
+
+// Pick the import format from the file name
+function formatOf(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  return { json: "json", csv: "csv", md: "markdown", markdown: "markdown", zip: "markdown" }[ext] || null;
+}
+
+// File name from Content-Disposition (exposed by the server's CORS config)
+function fileNameFrom(headers, fallback) {
+  const match = /filename="?([^";]+)"?/i.exec(headers["content-disposition"] || "");
+  return match ? match[1] : fallback;
+}
+
+// Ask for a format, then download every item in it
+export async function exportItems() {
+  const { value: format } = await Swal.fire({
+    title: "Export items",
+    input: "select",
+    inputOptions: FORMAT_LABELS,
+    inputValue: "json",
+    showCancelButton: true,
+    confirmButtonText: "Download",
+  });
+  if (!format) return;
+
+  try {
+    const res = await api.get("/items/export", { params: { format }, responseType: "blob" });
+
+    // Save the blob through a temporary link
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileNameFrom(res.headers, `items.${format === "markdown" ? "zip" : format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch {
+    Swal.fire({ icon: "error", title: "Export failed" });
+  }
+}
+
+// Upload one file to /items/import (raw body; the format travels in the query string)
+function uploadImport(file, format, dryRun) {
+  return api.post("/items/import", file, {
+    params: { format, dryRun },
+    headers: { "Content-Type": "application/octet-stream" },
+  });
+}
+
+// Preview table of the dry-run rows
+function previewHtml({ summary, rows }) {
+  const label = { new: "✅ New", duplicate: "♊ Duplicate", error: "⚠️ Invalid" };
+  const body = rows
+    .slice(0, PREVIEW_ROWS)
+    .map((r) => {
+      const problems = (r.errors || []).map((e) => `${e.field ? `${e.field}: ` : ""}${e.message}`).join("; ");
+      return `<tr>
+        <td>${r.file ? escapeHtml(r.file) : r.row}</td>
+        <td>${escapeHtml(r.title || "")}</td>
+        <td>${label[r.status]}${problems ? `<br><small>${escapeHtml(problems)}</small>` : ""}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `
+    <p>${summary.rows} row${summary.rows !== 1 ? "s" : ""}: <b>${summary.new}</b> new,
+      <b>${summary.duplicates}</b> duplicate (skipped), <b>${summary.errors}</b> invalid (skipped)</p>
+    <table class="conflict-table">
+      <thead><tr><th>Row</th><th>Title</th><th>Result</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    ${rows.length > PREVIEW_ROWS ? `<p><small>… and ${rows.length - PREVIEW_ROWS} more</small></p>` : ""}
+  `;
+}
+
+// Pick a file, preview the import, then run it. Resolves to the number of imported items.
+export async function importItems() {
+  const { value: file } = await Swal.fire({
+    title: "Import items",
+    text: "JSON, CSV, or Markdown (.md or a .zip of .md files)",
+    input: "file",
+    inputAttributes: { accept: ".json,.csv,.md,.markdown,.zip" },
+    showCancelButton: true,
+    confirmButtonText: "Preview",
+    inputValidator: (f) => (!f ? "Choose a file" : !formatOf(f) ? "Unsupported file type" : undefined),
+  });
+  if (!file) return 0;
+
+  const format = formatOf(file);
+  try {
+    // Dry run first: nothing is written, every row is checked
+    const preview = await uploadImport(file, format, true);
+    const { summary } = preview.data;
+
+    const confirm = await Swal.fire({
+      title: "Import preview",
+      html: previewHtml(preview.data),
+      width: 760,
+      showCancelButton: true,
+      confirmButtonText: `Import ${summary.new} item${summary.new !== 1 ? "s" : ""}`,
+      showConfirmButton: summary.new > 0,
+      cancelButtonText: summary.new > 0 ? "Cancel" : "Close",
+    });
+    if (!confirm.isConfirmed) return 0;
+
+    const res = await uploadImport(file, format, false);
+    const { imported } = res.data.summary;
+    Swal.fire({
+      toast: true,
+      position: "top-end",
+      timer: 2000,
+      showConfirmButton: false,
+      icon: "success",
+      title: `Imported ${imported} item${imported !== 1 ? "s" : ""}`,
+    });
+    return imported;
+  } catch (err) {
+    Swal.fire({ icon: "error", title: "Import failed", text: errorMessage(err, "") });
+    return 0;
+  }
+}
@@ -0,0 +1,111 @@
+// liveSync.js — Live item changes from GET /events (Server-Sent Events)
+// EventSource can't send an Authorization header, so the stream is read with fetch instead.
+// The last event id is kept across reconnects, so the server replays whatever was missed;
+// when it can't, it sends "reset" and the caller reloads. Reconnects back off from 1s to 30s,
+// and an expired access token is refreshed like any other API call (see api.js).
+// The same stream carries in-app notifications (reminders); those have no id and aren't replayed.
+
+import { TOKEN_KEY, refreshSession } from "./api";
+
+const MIN_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Split one SSE message ("field: value" lines) into { id, event, data }
+function parseMessage(block) {
+  const message = { id: null, event: "message", data: [] };
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue;     // Blank or comment (heartbeat)
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "id") message.id = value;
+    else if (field === "event") message.event = value;
+    else if (field === "data") message.data.push(value);
+  }
+  return { ...message, data: message.data.join("\n") };
+}
+
+// Open the stream and keep it open until the returned function is called.
+// Callbacks: onEvent({ type, item }), onNotification(notification), onReset(),
+// onStatus("connecting" | "live"), onSessionEnded() (the refresh token was rejected too;
+// nothing is retried after that).
+export function connectLiveSync({ onEvent, onNotification, onReset, onStatus, onSessionEnded }) {
+  let stopped = false;
+  let lastEventId = null;
+  let attempt = 0;
+  let timer = null;
+  let controller = null;
+
+  const retry = () => {
+    if (stopped) return;
+    onStatus("connecting");
+    const delay = Math.min(MAX_DELAY_MS, MIN_DELAY_MS * 2 ** attempt);
+    attempt += 1;
+    timer = setTimeout(open, delay);
+  };
+
+  const handle = (message) => {
+    if (message.id) lastEventId = message.id;
+    if (message.event === "ready") {
+      attempt = 0;                                   // Connected: the next drop retries quickly again
+      onStatus("live");
+    } else if (message.event === "reset") {
+      onReset();
+    } else if (message.event === "item") {
+      onEvent(JSON.parse(message.data));
+    } else if (message.event === "notification") {
+      onNotification?.(JSON.parse(message.data));
+    }
+  };
+
+  async function open() {
+    controller = new AbortController();
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_URL}/events`, {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}`,
+          Accept: "text/event-stream",
+          ...(lastEventId ? { "Last-Event-ID": lastEventId } : {}),
+        },
+        signal: controller.signal,
+      });
+
+      if (res.status === 401) {
+        try {
+          await refreshSession();
+        } catch {
+          if (!stopped) onSessionEnded();
+          return;
+        }
+        retry();                                     // With the new token (after a short wait)
+        return;
+      }
+      if (!res.ok || !res.body) throw new Error(`Event stream failed (${res.status})`);
+
+      // Messages end with a blank line; keep any partial one for the next chunk
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n?/g, "\n");
+        const blocks = buffer.split("\n\n");
+        buffer = blocks.pop();
+        blocks.forEach((block) => handle(parseMessage(block)));
+      }
+    } catch (err) {
+      if (stopped) return;                           // Aborted by stop()
+      console.error(err);
+    }
+    retry();                                         // The stream ended (server restart, token expiry, network)
+  }
+
+  onStatus("connecting");
+  open();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
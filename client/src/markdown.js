@@ -0,0 +1,72 @@
+// markdown.js — Markdown for item descriptions (GitHub flavour: checklists, fenced code, links)
+// Descriptions are stored as plain Markdown text; they're turned into HTML here and always
+// passed through DOMPurify before reaching the page, so stored content can't run script.
+
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+
+// Checklist boxes are numbered in document order so a click can be mapped back to the source
+let taskIndex = 0;
+
+const marked = new Marked({
+  gfm: true,                                        // Task lists, tables, autolinks, ~~strike~~
+  breaks: true,                                     // A single newline is a line break (like the old plain text)
+  renderer: {
+    checkbox({ checked }) {
+      return `<input type="checkbox" class="task-check" data-task="${taskIndex++}"${checked ? " checked" : ""}> `;
+    },
+  },
+});
+
+// Raw HTML in a description may only add checkboxes, nothing else that takes input
+DOMPurify.addHook("uponSanitizeElement", (node, data) => {
+  if (data.tagName === "input" && node.getAttribute("type") !== "checkbox") node.remove();
+});
+
+// Links open in a new tab without giving the page access to ours
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && node.hasAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+// Markdown text -> sanitized HTML string
+export function renderMarkdown(text = "") {
+  taskIndex = 0;
+  const html = marked.parse(text);
+  return DOMPurify.sanitize(html, {
+    FORBID_TAGS: ["style", "form", "button", "select", "textarea"],
+    FORBID_ATTR: ["style"],
+  });
+}
+
+// A checklist line: "- [ ] todo", "1. [x] done", also inside block quotes ("> - [ ] ...")
+const TASK_LINE = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\](?:\s|$))/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Tick (or untick) the index-th checklist box in the source text; lines inside fenced code
+// blocks are skipped, matching what the renderer shows as checkboxes
+export function toggleTask(text, index, checked) {
+  let seen = 0;
+  let fence = null;
+  const lines = text.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = FENCE.exec(lines[i]);
+    if (open) {
+      if (!fence) fence = open[1];
+      else if (open[1] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const match = TASK_LINE.exec(lines[i]);
+    if (!match) continue;
+    if (seen++ === index) {
+      lines[i] = lines[i].replace(TASK_LINE, `$1${checked ? "x" : " "}$3`);
+      return lines.join("\n");
+    }
+  }
+  return text;                                      // Box not found: leave the text alone
+}
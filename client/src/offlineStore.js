@@ -0,0 +1,128 @@
+// offlineStore.js — The signed-in user's data kept on this device (IndexedDB)
+// - "items": the last known copy of every item the dashboard has seen (by _id), so the lists
+//   still open without a connection
+// - "outbox": changes made offline, in the order they were made (see outbox.js)
+// Each account gets its own database, named after the user id in the access token.
+
+import { TOKEN_KEY } from "./api";
+
+const DB_VERSION = 1;
+
+// The user id ("sub") from the saved access token, or null when signed out
+function currentUserId() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (!token) return null;
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).sub || null;
+  } catch {
+    return null;
+  }
+}
+
+const dbNameFor = (userId) => `items-${userId}`;
+
+// One open connection per account
+const connections = new Map();
+
+function openDb() {
+  const userId = currentUserId();
+  if (!userId) return Promise.reject(new Error("Not signed in"));
+  if (!connections.has(userId)) {
+    const opening = new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbNameFor(userId), DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore("items", { keyPath: "_id" });
+        req.result.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+      };
+      req.onsuccess = () => {
+        // Another tab logging out deletes the database; let it
+        req.result.onversionchange = () => {
+          req.result.close();
+          connections.delete(userId);
+        };
+        resolve(req.result);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    opening.catch(() => connections.delete(userId));  // Let the next call try again
+    connections.set(userId, opening);
+  }
+  return connections.get(userId);
+}
+
+// Run `work(store)` in one transaction; resolves with the result of the request it returns
+async function withStore(name, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = work(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// -----------------------------
+// Items (a cache: failures are logged, never thrown)
+// -----------------------------
+
+// Remember the latest copy of these items (attachments are listed separately, so not kept)
+export function saveItems(list) {
+  if (list.length === 0) return Promise.resolve();
+  return withStore("items", "readwrite", (store) => {
+    list.forEach((item) => {
+      const copy = { ...item };
+      delete copy.attachments;
+      store.put(copy);
+    });
+  }).catch(console.error);
+}
+
+// Forget items that no longer exist (or that we lost access to)
+export function removeItems(ids) {
+  if (ids.length === 0) return Promise.resolve();
+  return withStore("items", "readwrite", (store) => {
+    ids.forEach((id) => store.delete(id));
+  }).catch(console.error);
+}
+
+// Every saved item ([] if the database can't be read)
+export function savedItems() {
+  return withStore("items", "readonly", (store) => store.getAll()).catch((err) => {
+    console.error(err);
+    return [];
+  });
+}
+
+// -----------------------------
+// Outbox
+// -----------------------------
+
+// Queued changes, oldest first
+export const queuedOps = () => withStore("outbox", "readonly", (store) => store.getAll());
+
+// Append a change; resolves with its sequence number
+export const queueOp = (op) => withStore("outbox", "readwrite", (store) => store.add(op));
+
+// Rewrite a queued change in place (keeps its position)
+export const replaceOp = (op) => withStore("outbox", "readwrite", (store) => store.put(op));
+
+// Drop queued changes by sequence number
+export const removeOps = (seqs) =>
+  withStore("outbox", "readwrite", (store) => {
+    seqs.forEach((seq) => store.delete(seq));
+  });
+
+// Delete everything kept for the signed-in account (at logout)
+export async function clearOfflineData() {
+  const userId = currentUserId();
+  if (!userId) return;
+  const db = await connections.get(userId)?.catch(() => null);
+  db?.close();
+  connections.delete(userId);
+  await new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(dbNameFor(userId));
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
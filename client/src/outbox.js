@@ -0,0 +1,133 @@
+// outbox.js — Item changes made without a connection, sent once the API is reachable again
+// Queued operations (stored by offlineStore.js), oldest first:
+//   { seq, kind: "create", id, values }                 -> POST /items (with the client-made _id)
+//   { seq, kind: "update", id, values, base }           -> PUT /items/:id, If-Match: base.version
+//   { seq, kind: "delete", id, title }                  -> DELETE /items/:id
+// `base` is the copy the edit started from, for the conflict dialog. Replays are idempotent:
+// a create that already happened returns the same item, an update whose text is already on
+// the server counts as done, and deleting an item that's already gone is fine.
+
+import api from "./api";
+import { queuedOps, queueOp, replaceOp, removeOps } from "./offlineStore";
+
+// The request never reached the server (offline, DNS, CORS preflight failing, ...)
+export const isNetworkError = (err) => Boolean(err) && !err.response && err.code !== "ERR_CANCELED";
+
+// A new item id in MongoDB ObjectId format (seconds since 1970 + 8 random bytes), so items
+// created offline keep their id when they reach the server
+export function newItemId() {
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, "0");
+  const random = [...crypto.getRandomValues(new Uint8Array(8))].map((b) => b.toString(16).padStart(2, "0"));
+  return seconds + random.join("");
+}
+
+// Sequence number of the change being sent right now (too late to fold anything into it)
+let sending = null;
+
+// Queue a change. Changes to an item that still has an unsent create/update are folded into
+// it, and deleting an item that was never sent just drops its queued changes.
+export async function enqueue(op) {
+  const ops = await queuedOps();
+  const forItem = ops.filter((o) => o.id === op.id && o.seq !== sending);
+  const pending = forItem.find((o) => o.kind === "create" || o.kind === "update");
+
+  if (op.kind === "update" && pending) {
+    await replaceOp({ ...pending, values: { ...pending.values, ...op.values } });
+    return;
+  }
+  if (op.kind === "delete") {
+    await removeOps(forItem.map((o) => o.seq));
+    if (forItem.some((o) => o.kind === "create")) return;       // The server never saw it
+  }
+  await queueOp({ ...op, queuedAt: new Date().toISOString() });
+}
+
+// Ids of the items with queued changes -> the kind of the first one
+export async function pendingItems() {
+  return new Map((await queuedOps()).reverse().map((op) => [op.id, op.kind]));
+}
+
+// Does the server's copy already have the values an update wanted to write?
+const alreadyApplied = (values, current) =>
+  Object.entries(values).every(([key, value]) => JSON.stringify(current[key] ?? "") === JSON.stringify(value ?? ""));
+
+// Send one queued change; resolves with the server's copy of the item (null once deleted).
+// `version` is what If-Match names for an update.
+async function send(op, version) {
+  if (op.kind === "create") {
+    const res = await api.post("/items", { _id: op.id, ...op.values });
+    return res.data.item;
+  }
+  if (op.kind === "update") {
+    try {
+      const res = await api.put(`/items/${op.id}`, op.values, {
+        headers: { "If-Match": `"${version}"` },
+      });
+      return res.data.item;
+    } catch (err) {
+      const current = err?.response?.data?.current;
+      if (current && alreadyApplied(op.values, current)) return current; // Sent before, answer lost
+      throw err;
+    }
+  }
+  try {
+    await api.delete(`/items/${op.id}`);
+  } catch (err) {
+    if (err?.response?.status !== 404) throw err;                     // 404: already gone
+  }
+  return null;
+}
+
+// Only one replay at a time (the "online" event and a retry timer may both ask for one)
+let replaying = null;
+
+// Send queued changes in order (including any queued meanwhile), removing each one once the
+// server has answered. Stops at the first change that can't reach the server (it stays
+// queued, with everything after it). Callbacks: onApplied(op, item), onConflict(op, current)
+// for a version conflict, onFailed(op, err) for any other refusal (e.g. deleted elsewhere).
+// Resolves with the number of changes still queued.
+export function replayOutbox(callbacks) {
+  if (!replaying) {
+    replaying = runReplay(callbacks).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function runReplay({ onApplied, onConflict, onFailed }) {
+  // Versions our own replayed changes produced: a later queued edit of the same item builds
+  // on them rather than conflicting with them
+  const versions = new Map();
+
+  for (;;) {
+    const ops = await queuedOps();
+    if (ops.length === 0) return 0;
+    const [op] = ops;
+
+    let item;
+    let error = null;
+    sending = op.seq;
+    try {
+      item = await send(op, versions.get(op.id) ?? op.base?.version ?? 0);
+    } catch (err) {
+      // Offline again, or signed out: try again later
+      if (isNetworkError(err) || err?.response?.status === 401) {
+        sending = null;
+        return ops.length;
+      }
+      error = err;
+    }
+    await removeOps([op.seq]);                                        // Answered either way
+    sending = null;
+
+    if (!error) {
+      if (item) versions.set(op.id, item.version);
+      onApplied(op, item);
+    } else if (error.response?.data?.code === "VERSION_CONFLICT") {
+      onConflict(op, error.response.data.current);
+    } else {
+      onFailed(op, error);
+    }
+  }
+}
@@ -0,0 +1,19 @@
+// resendVerification.js — Ask the server for a new email-verification link
+// Shared by Login (unverified account) and Signup ("check your inbox" screen).
+
+import axios from "axios";
+import Swal from "sweetalert2";
+
+export async function resendVerification(email) {
+  try {
+    const res = await axios.post(`${import.meta.env.VITE_API_URL}/verify-email/resend`, { email });
+    await Swal.fire({ icon: "success", title: "Email sent", text: res.data.message });
+  } catch (err) {
+    // 429 means the per-account limit kicked in; the message says how long to wait
+    await Swal.fire({
+      icon: err?.response?.status === 429 ? "info" : "error",
+      title: err?.response?.status === 429 ? "Slow down" : "Error",
+      text: err?.response?.data?.message || "Could not send verification email",
+    });
+  }
+}
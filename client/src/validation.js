@@ -0,0 +1,32 @@
+// validation.js — Client-side mirror of the API's field limits + helpers for its error envelope
+// Error responses look like { status: "error", code, message, details: [{ location, field, message }] }
+// (see server/utils/errors.js).
+
+// Keep in sync with LIMITS in server/middleware/validate.js
+export const LIMITS = {
+  title: 200,
+  description: 5000,
+  name: 100,
+  email: 254,
+  passwordMin: 8,
+  passwordMax: 72,
+  tag: 30,
+  tagsPerItem: 20,
+};
+
+// Map a failed request's VALIDATION_ERROR details to { field: message } (first message per field)
+export function fieldErrors(err) {
+  const details = err?.response?.data?.details;
+  if (!Array.isArray(details)) return {};
+
+  const errors = {};
+  for (const d of details) {
+    if (d.field && !errors[d.field]) errors[d.field] = d.message;
+  }
+  return errors;
+}
+
+// Best human-readable message for a failed request
+export function errorMessage(err, fallback) {
+  return err?.response?.data?.message || fallback;
+}
@@ -1,7 +1,39 @@
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the build's file list into dist/sw.js (public/sw.js has a placeholder), so the
+// service worker precaches the hashed bundles and each deploy gets a fresh cache
+function precacheManifest() {
+  const placeholder = 'const BUILD = { version: "dev", assets: [] };'
+  let outDir
+  let assets = []
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_options, bundle) {
+      assets = Object.keys(bundle)
+        .filter((file) => file !== 'index.html' && !file.endsWith('.map'))
+        .map((file) => `/${file}`)
+        .sort()
+    },
+    closeBundle() {
+      const file = resolve(outDir, 'sw.js')
+      const source = readFileSync(file, 'utf8')
+      if (!source.includes(placeholder)) throw new Error('sw.js: BUILD placeholder not found')
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+      writeFileSync(file, source.replace(placeholder, `const BUILD = ${JSON.stringify({ version, assets })};`))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })
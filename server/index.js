@@ -1,10 +1,34 @@
 // -----------------------------
 // Simple MERN API (Express + MongoDB via Mongoose)
-// Features: Register, Login, CRUD items per user
+// Features: Register, Login (JWT access token), CRUD items per signed-in user
 // Notes:
 // - This version keeps the same API shape your React app expects.
-// - Passwords are stored in plain text here for simplicity (NOT for production).
-//   See "Next steps" at the bottom for bcrypt + JWT.
+// - Passwords are hashed with bcrypt (cost from BCRYPT_ROUNDS). Legacy plain-text
+//   accounts are rehashed transparently on their next successful login.
+// - /login returns a JWT access token (JWT_SECRET, JWT_EXPIRES_IN); every /items
+//   route requires it as "Authorization: Bearer <token>" and takes the owner from it.
+// - /login also returns a rotating refresh token (REFRESH_TOKEN_TTL_DAYS) backed by a
+//   server-side session; POST /refresh exchanges it, /logout and /sessions revoke it.
+// - New accounts must confirm their email before logging in (GET /verify-email).
+// - Requests are validated per route (middleware/validate.js); every error uses the
+//   envelope documented in utils/errors.js.
+// - Password reset / verification emails go through ./mail (MAIL_TRANSPORT=smtp|outbox, CLIENT_URL for links).
+// - Deleted items go to a Trash and are purged after TRASH_RETENTION_DAYS (jobs/trashPurge.js).
+// - Items can be exported/imported as JSON, CSV or Markdown (IMPORT_MAX_MB, IMPORT_MAX_ROWS).
+// - Items can have file attachments (ATTACHMENT_MAX_MB, ATTACHMENTS_PER_ITEM), kept by ./storage
+//   (STORAGE_DRIVER=local, STORAGE_DIR).
+// - Items can be shared with other users as viewers or editors (routes/shares.js, GET /items/shared).
+// - Item changes are pushed to the user's open clients over Server-Sent Events (GET /events,
+//   EVENT_RETENTION_HOURS for catch-up after a reconnect).
+// - Items can have a due date and a reminder; jobs/reminders.js sends reminders through the
+//   channels in ./notifications (NOTIFY_CHANNELS, REMINDER_POLL_SECONDS) and GET /notifications
+//   lists them.
+// - Accounts are "user" or "admin" (middleware/permissions.js). Admins manage accounts under
+//   /admin (routes/admin.js), which keeps an audit trail; ADMIN_EMAILS (comma-separated) are
+//   made admins at startup so there is always a first one.
+// - Admins also manage an employee directory with an org chart (routes/employees.js).
+// - Users manage their own account under /account (routes/account.js): profile, email change
+//   (confirmed from the new address), password change and account deletion.
 // -----------------------------
 
 // Load core libraries
@@ -14,9 +38,27 @@ const mongoose = require("mongoose");
 const dotenv=require("dotenv")
  // MongoDB ODM
 
+// Load .env before any helper reads process.env
+dotenv.config();
+
+const User = require("./models/User");
+const Item = require("./models/Item");
+const Employee = require("./models/Employee");
+const logError = require("./utils/logError");
+const { sendError } = require("./utils/errors");
+const { startTrashPurge } = require("./jobs/trashPurge");
+const { startReminders } = require("./jobs/reminders");
+
+
 // Create an Express app instance
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), trust N hops so req.ip is the real client IP.
+// Login throttling keys on req.ip, so set TRUST_PROXY to the number of proxies in front.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middlewares (run for every request)
 app.use(express.json()); // Parse JSON request bodies into req.body
 app.use(cors({
@@ -25,9 +67,13 @@ app.use(cors({
     "http://localhost:5173",
     "http://localhost:3000"
   ],
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   credentials: true,
-  allowedHeaders: ["Content-Type", "Authorization"]
+  // Last-Event-ID: GET /events catch-up after a reconnect
+  allowedHeaders: ["Content-Type", "Authorization", "If-Match", "Last-Event-ID"],
+  // Retry-After: Login.jsx lockout countdown; X-Total-Count / X-Next-Cursor: GET /items paging;
+  // ETag: item versions for If-Match; Content-Disposition: export file names
+  exposedHeaders: ["Retry-After", "X-Total-Count", "X-Next-Cursor", "ETag", "Content-Disposition"]
 }));
 
 
@@ -40,8 +86,12 @@ app.get('/api/test', (req, res) => {
   res.json({ message: 'Backend is working!' });
 });
 
-dotenv.config();
-// Allow requests from your React app (default: all origins)
+
+// Refuse to start without a signing secret (tokens would be forgeable or unusable)
+if (!process.env.JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
 
 // -----------------------------
 // Connect to MongoDB
@@ -51,230 +101,108 @@ dotenv.config();
     // Use MongoDB Atlas URI from .env
     await mongoose.connect(process.env.MONGO_URI);
     console.log("✅ MongoDB Atlas connected");
-  } catch (err) {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1); // stop server if DB fails
-  }
-})();
-
-// -----------------------------
-// Mongoose Schemas and Models
-// -----------------------------
 
-// User Schema: represents a registered user
-const userSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true, trim: true },         // User's name
-    email: {
-      type: String,
-      required: true,
-      trim: true,
-      unique: true,                                             // Prevent duplicate emails
-      // unique creates an index; if you already have duplicates in DB, this can error on index build
-    },
-    password: { type: String, required: true },                 // Plain text here (for demo only)
-  },
-  { timestamps: true }                                          // Adds createdAt/updatedAt
-);
-
-// Build a User model from the schema
-const User = mongoose.model("User", userSchema);
-
-// Item Schema: represents a note/item that belongs to a user
-const itemSchema = new mongoose.Schema(
-  {
-    title: { type: String, required: true, trim: true },        // Item title
-    description: { type: String, trim: true, default: "" },     // Item description
-    // We store userId as a string to match what the frontend sends (user._id as string)
-    // In a more robust app, you'd use: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
-    userId: { type: String, required: true },
-  },
-  { timestamps: true }
-);
-
-// Build an Item model from the schema
-const Item = mongoose.model("Item", itemSchema);
+    // Accounts created before email verification existed have no `verified` field; keep them usable
+    await User.updateMany({ verified: { $exists: false } }, { $set: { verified: true } });
 
-// -----------------------------
-// AUTH ROUTES
-// -----------------------------
+    // Items created before pinning existed need an explicit `pinned: false` to sort correctly
+    await Item.updateMany({ pinned: { $exists: false } }, { $set: { pinned: false } });
 
-// POST /register
-// Purpose: Create a new user if the email doesn't already exist
-app.post("/register", async (req, res) => {
-  try {
-    // Read data from the request body
-    const { name, email, password } = req.body;
+    // Items from before optimistic concurrency start at version 0 (their ETag is "0")
+    await Item.updateMany({ version: { $exists: false } }, { $set: { version: 0 } });
 
-    // Basic validation (all required)
-    if (!name || !email || !password) {
-      return res.status(400).json({ status: "error", message: "All fields are required" });
-    }
+    // Directory entries used to carry a password field; they are not accounts, so drop it
+    await Employee.collection.updateMany({ password: { $exists: true } }, { $unset: { password: "" } });
 
-    // Check if a user with this email already exists
-    const existing = await User.findOne({ email }).lean();
-    if (existing) {
-      // Conflict: email already registered
-      return res.status(409).json({ status: "error", message: "Email already exists" });
+    // Bootstrap admins: whoever ADMIN_EMAILS lists (demoting someone is done in the console)
+    const adminEmails = (process.env.ADMIN_EMAILS || "").split(",").map((e) => e.trim()).filter(Boolean);
+    if (adminEmails.length > 0) {
+      await User.updateMany({ email: { $in: adminEmails }, role: { $ne: "admin" } }, { $set: { role: "admin" } });
     }
 
-    // Create the new user (plain text password for demo)
-    const user = await User.create({ name, email, password });
+    // Background job: permanently delete items that have been in the Trash too long
+    startTrashPurge();
 
-    // Respond with success and the new user's basic info
-    return res.status(201).json({
-      status: "Success",
-      userId: user._id,
-      name: user.name,
-      email: user.email,
-    });
+    // Background job: send due reminders (including any that fell due while we were down)
+    startReminders();
   } catch (err) {
-    // Handle duplicate key error if unique index triggers
-    if (err && err.code === 11000) {
-      return res.status(409).json({ status: "error", message: "Email already exists" });
-    }
-    console.error("Register error:", err);
-    return res.status(500).json({ status: "error", message: "Error registering user" });
+    console.error("❌ MongoDB connection error:", err);
+    process.exit(1); // stop server if DB fails
   }
-});
+})();
 
-// POST /login
-// Purpose: Verify email and password, then return user basic info
-app.post("/login", async (req, res) => {
-  try {
-    // Read credentials from request body
-    const { email, password } = req.body;
+// -----------------------------
+// AUTH & SESSION ROUTES
+// -----------------------------
 
-    // Basic validation
-    if (!email || !password) {
-      return res.status(400).json({ status: "error", message: "Email and password are required" });
-    }
+// /register, /login, /refresh, /logout live in ./routes/auth.js
+app.use("/", require("./routes/auth"));
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Not found: no user with that email
-      return res.status(404).json({ status: "error", message: "User not found" });
-    }
+// Active-session listing and remote sign-out live in ./routes/sessions.js
+app.use("/sessions", require("./routes/sessions"));
 
-    // Compare passwords (plain text check here; use bcrypt in production)
-    if (user.password !== password) {
-      // Unauthorized: wrong password
-      return res.status(401).json({ status: "error", message: "Incorrect password" });
-    }
+// Forgot/reset password flow lives in ./routes/password.js
+app.use("/password", require("./routes/password"));
 
-    // Success: send user's basic info
-    return res.json({
-      status: "Success",
-      userId: user._id,
-      name: user.name,
-      email: user.email,
-    });
-  } catch (err) {
-    console.error("Login error:", err);
-    return res.status(500).json({ status: "error", message: "Error logging in" });
-  }
-});
+// Email verification (confirm link + rate-limited resend) lives in ./routes/verification.js
+app.use("/verify-email", require("./routes/verification"));
+
+// Account settings (profile, email/password change, deletion) live in ./routes/account.js
+app.use("/account", require("./routes/account"));
 
 // -----------------------------
 // CRUD ROUTES (Items)
 // -----------------------------
 
-// POST /items
-// Purpose: Create a new item belonging to a user
-app.post("/items", async (req, res) => {
-  try {
-    // Read item data from the request body
-    const { title, description, userId } = req.body;
+// Import/export lives in ./routes/itemTransfer.js (mounted first: /items/export isn't an item id)
+app.use("/items", require("./routes/itemTransfer"));
 
-    // Validate required fields
-    if (!title || !userId) {
-      return res.status(400).json({ status: "error", message: "Title and userId are required" });
-    }
+// Item attachments (upload, download, delete) live in ./routes/attachments.js
+app.use("/items/:id/attachments", require("./routes/attachments"));
 
-    // Optionally, verify the user actually exists (skip for speed if you want)
-    // const userExists = await User.exists({ _id: userId });
-    // if (!userExists) return res.status(404).json({ status: "error", message: "User not found" });
+// Sharing an item with other users (viewer/editor) lives in ./routes/shares.js
+app.use("/items/:id/shares", require("./routes/shares"));
 
-    // Create and save the new item
-    const item = await Item.create({ title, description, userId });
+// Item routes live in ./routes/items.js (auth + ownership checks included)
+app.use("/items", require("./routes/items"));
 
-    // Respond with the created item
-    return res.status(201).json({ status: "Success", item });
-  } catch (err) {
-    console.error("Create item error:", err);
-    return res.status(500).json({ status: "error", message: err.message || "Error creating item" });
-  }
-});
+// Tag listing/autocomplete and colors live in ./routes/tags.js
+app.use("/tags", require("./routes/tags"));
 
-// GET /items/:userId
-// Purpose: Get all items for a specific user (returns a plain array as your frontend expects)
-app.get("/items/:userId", async (req, res) => {
-  try {
-    // Read userId from the URL params
-    const { userId } = req.params;
+// Live item changes (Server-Sent Events) live in ./routes/events.js
+app.use("/events", require("./routes/events"));
 
-    // Find all items that match this userId
-    const items = await Item.find({ userId }).sort({ createdAt: -1 });
+// The notification tray (reminders) lives in ./routes/notifications.js
+app.use("/notifications", require("./routes/notifications"));
 
-    // Return the array directly (your frontend expects res.data to be an array)
-    return res.json(items);
-  } catch (err) {
-    console.error("Get items error:", err);
-    return res.status(500).json({ status: "error", message: err.message || "Error fetching items" });
-  }
-});
+// -----------------------------
+// ADMIN ROUTES (user management + audit trail; admins only)
+// -----------------------------
 
-// PUT /items/:id
-// Purpose: Update an existing item by its MongoDB _id
-app.put("/items/:id", async (req, res) => {
-  try {
-    // Read item ID from URL and new data from body
-    const { id } = req.params;
-    const { title, description } = req.body;
+// Listing, disabling/enabling, forced password resets and roles live in ./routes/admin.js
+app.use("/admin", require("./routes/admin"));
 
-    // Validate required fields
-    if (!title || !description) {
-      return res.status(400).json({ status: "error", message: "Title and description are required" });
-    }
+// The employee directory (CRUD, search, org chart) lives in ./routes/employees.js
+app.use("/employees", require("./routes/employees"));
 
-    // Find and update the item; { new: true } returns the updated document
-    const item = await Item.findByIdAndUpdate(id, { title, description }, { new: true });
+// -----------------------------
+// Fallbacks: unknown routes and unexpected errors use the same error envelope (utils/errors.js)
+// -----------------------------
 
-    // If no item found with that ID
-    if (!item) {
-      return res.status(404).json({ status: "error", message: "Item not found" });
-    }
+// Nothing matched
+app.use((req, res) => sendError(res, 404, "NOT_FOUND", "Route not found"));
 
-    // Success: return the updated item
-    return res.json({ status: "Success", item });
-  } catch (err) {
-    console.error("Update item error:", err);
-    return res.status(500).json({ status: "error", message: err.message || "Error updating item" });
+// Errors thrown outside the routes' own try/catch (e.g. malformed JSON from express.json())
+// Express only treats a middleware as an error handler when it declares all four arguments
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
   }
-});
-
-// DELETE /items/:id
-// Purpose: Delete an item by its MongoDB _id
-app.delete("/items/:id", async (req, res) => {
-  try {
-    // Read item ID from URL
-    const { id } = req.params;
-
-    // Find and delete the item
-    const deleted = await Item.findByIdAndDelete(id);
-
-    // If no item found with that ID
-    if (!deleted) {
-      return res.status(404).json({ status: "error", message: "Item not found" });
-    }
-
-    // Success: confirm deletion
-    return res.json({ status: "Success", message: "Item deleted" });
-  } catch (err) {
-    console.error("Delete item error:", err);
-    return res.status(500).json({ status: "error", message: err.message || "Error deleting item" });
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "PAYLOAD_TOO_LARGE", "Request body is too large");
   }
+  logError("Unhandled error:", err);
+  return sendError(res, 500, "INTERNAL_ERROR", "Something went wrong");
 });
 
 // -----------------------------
@@ -0,0 +1,160 @@
+// -----------------------------
+// Reminder job
+// Runs at startup and every REMINDER_POLL_SECONDS (default 30), so reminders go out at most
+// that late, and the ones that fell due while the server was down go out on the first run.
+// Each run:
+// 1. Turns due reminders (remindAt passed, not sent yet, item not in the Trash) into
+//    Notification documents. There is one per item, owner and reminder time (unique index),
+//    so overlapping runs, several server instances, or a restart halfway through never make
+//    a second one. The item is then marked as done (reminderSentAt).
+// 2. Sends the notifications' pending channel deliveries (see ../notifications). A notification
+//    is locked (lockedUntil) while that happens; if the process dies meanwhile, the lock
+//    expires and a later run picks it up again. Failed deliveries are retried with a growing
+//    delay, up to MAX_ATTEMPTS times.
+// -----------------------------
+
+const Item = require("../models/Item");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { getChannel, channelNames } = require("../notifications");
+const logError = require("../utils/logError");
+
+// Items / notifications handled per step and run (the rest wait for the next run)
+const BATCH = 100;
+
+// How long a notification stays locked while its deliveries are sent
+const LOCK_MS = 5 * 60 * 1000;
+
+// Delivery attempts per channel before giving up, and the wait after the n-th failure
+const MAX_ATTEMPTS = 5;
+const retryDelayMs = (attempts) => attempts * 60 * 1000;
+
+// Step 1: one Notification per due reminder
+async function createDueNotifications(now = new Date()) {
+  const due = await Item.find({ remindAt: { $ne: null, $lte: now }, reminderSentAt: null, deletedAt: null })
+    .sort({ remindAt: 1 })
+    .limit(BATCH)
+    .lean();
+  const channels = channelNames();
+
+  for (const item of due) {
+    // $setOnInsert: if this reminder already has its notification, nothing changes
+    try {
+      await Notification.updateOne(
+        { itemId: item._id, userId: item.userId, firesAt: item.remindAt },
+        {
+          $setOnInsert: {
+            type: "reminder",
+            title: item.title,
+            dueAt: item.dueAt,
+            deliveries: channels.map((channel) => ({ channel, status: "pending", attempts: 0 })),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;                        // Another instance inserted it first
+    }
+
+    // Only if the reminder wasn't changed in the meantime; not an edit, so no version bump
+    await Item.updateOne(
+      { _id: item._id, remindAt: item.remindAt, reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { timestamps: false }
+    );
+  }
+  return due.length;
+}
+
+// Send one notification's pending deliveries (it is locked by the caller);
+// returns how many of them went out
+async function deliver(notification) {
+  const user = await User.findById(notification.userId).select("name email").lean();
+  let retryAt = null;
+  let sent = 0;
+
+  for (const delivery of notification.deliveries) {
+    if (delivery.status !== "pending") continue;
+    if (!user) {
+      delivery.status = "failed";
+      delivery.lastError = "Recipient no longer exists";
+      continue;
+    }
+
+    try {
+      await getChannel(delivery.channel).deliver(notification, user);
+      delivery.status = "sent";
+      delivery.sentAt = new Date();
+      sent += 1;
+    } catch (err) {
+      logError(`Reminder delivery error (${delivery.channel}):`, err);
+      delivery.attempts += 1;
+      delivery.lastError = String(err.message || err).slice(0, 500);
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = "failed";
+      } else {
+        const at = new Date(Date.now() + retryDelayMs(delivery.attempts));
+        if (!retryAt || at < retryAt) retryAt = at;
+      }
+    }
+  }
+
+  // Unlocked, or locked until the earliest retry
+  notification.lockedUntil = retryAt;
+  await notification.save();
+  return sent;
+}
+
+// Step 2: send pending deliveries, one locked notification at a time;
+// returns how many channel deliveries went out (failures waiting for a retry don't count)
+async function deliverPending(now = new Date()) {
+  let count = 0;
+  let delivered = 0;
+  while (count < BATCH) {
+    const notification = await Notification.findOneAndUpdate(
+      { "deliveries.status": "pending", $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!notification) break;
+
+    delivered += await deliver(notification);
+    count += 1;
+  }
+  return delivered;
+}
+
+// One full run: reminders queued as notifications, and channel deliveries sent
+async function runReminders(now = new Date()) {
+  const created = await createDueNotifications(now);
+  const delivered = await deliverPending(now);
+  return { created, delivered };
+}
+
+// Start the periodic job; returns the timer so callers can stop it
+function startReminders() {
+  const seconds = parseFloat(process.env.REMINDER_POLL_SECONDS);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 30) * 1000;
+
+  let running = false;                                          // Never overlap runs in this process
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { created, delivered } = await runReminders();
+      if (created > 0) console.log(`⏰ Queued ${created} reminder(s)`);
+      if (delivered > 0) console.log(`⏰ Delivered ${delivered} reminder notification(s)`);
+    } catch (err) {
+      logError("Reminder job error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();                                                // Never keep the process alive just for this
+  return timer;
+}
+
+module.exports = { runReminders, startReminders };
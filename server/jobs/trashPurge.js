@@ -0,0 +1,50 @@
+// -----------------------------
+// Trash purge job
+// Deleted items sit in the Trash (deletedAt set) for TRASH_RETENTION_DAYS (default 30)
+// and are then removed for good. The job runs once at startup and every
+// TRASH_PURGE_INTERVAL_MINUTES (default 60); it is idempotent, so overlapping runs from
+// several server instances are harmless.
+// -----------------------------
+
+const { purgeItems } = require("../utils/purgeItems");
+const logError = require("../utils/logError");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionDays() {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+// When a trashed item will be purged
+function purgeAt(item) {
+  return item.deletedAt ? new Date(item.deletedAt.getTime() + retentionDays() * DAY_MS) : null;
+}
+
+// Permanently delete everything that has been in the trash longer than the retention period
+async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+  return purgeItems({ deletedAt: { $ne: null, $lte: cutoff } });
+}
+
+// Start the periodic purge; returns the timer so callers (or tests) can stop it
+function startTrashPurge() {
+  const minutes = parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES);
+  const intervalMs = (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+
+  const run = async () => {
+    try {
+      const count = await purgeTrash();
+      if (count > 0) console.log(`🗑️ Purged ${count} trashed item(s)`);
+    } catch (err) {
+      logError("Trash purge error:", err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();                                  // Never keep the process alive just for this
+  return timer;
+}
+
+module.exports = { retentionDays, purgeAt, purgeTrash, startTrashPurge };
@@ -0,0 +1,37 @@
+// -----------------------------
+// Outgoing mail
+// Every transport implements the same interface:
+//   send({ to, subject, text, html }) -> Promise<void>
+// MAIL_TRANSPORT picks one:
+//   - "smtp"   -> real delivery through SMTP_* settings (see ./smtpTransport.js)
+//   - "outbox" -> default; writes each message to MAIL_OUTBOX_DIR and the console,
+//                 so flows like password reset work locally without a mail server
+// -----------------------------
+
+const createSmtpTransport = require("./smtpTransport");
+const createOutboxTransport = require("./outboxTransport");
+
+const transports = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+};
+
+let transport = null;
+
+// Build the configured transport once, on first use
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "outbox";
+    const create = transports[name];
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = create();
+  }
+  return transport;
+}
+
+// Send one message; fills in the configured From address
+function sendMail(message) {
+  return getTransport().send({ from: process.env.MAIL_FROM || "no-reply@localhost", ...message });
+}
+
+module.exports = { sendMail, getTransport };
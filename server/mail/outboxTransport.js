@@ -0,0 +1,25 @@
+// "Outbox" mail transport for local development
+// Each message is written as JSON to MAIL_OUTBOX_DIR (default ./outbox) and echoed
+// to the console, so links in reset/verification emails can be followed by hand.
+
+const fs = require("fs/promises");
+const path = require("path");
+
+function createOutboxTransport() {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox"));
+
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      // Timestamped file names keep the outbox sorted by send time
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = path.join(dir, `${stamp}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+      console.log(`📬 Mail to ${message.to}: ${message.subject}\n${message.text}\n(saved to ${file})`);
+    },
+  };
+}
+
+module.exports = createOutboxTransport;
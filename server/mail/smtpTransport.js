@@ -0,0 +1,26 @@
+// SMTP mail transport (nodemailer)
+// Settings: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+//           SMTP_USER, SMTP_PASS
+
+const nodemailer = require("nodemailer");
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not set");
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    async send({ from, to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    },
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,124 @@
+// Email bodies (plain text + minimal HTML)
+// CLIENT_URL is the React app's origin, used to build links back into it.
+
+function clientUrl(pathname, params = {}) {
+  const base = (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/+$/, "");
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ""}`;
+}
+
+function escapeHtml(str = "") {
+  return String(str).replace(/[&<>"']/g, (m) => (
+    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]
+  ));
+}
+
+// Password reset link
+// `forced`: an administrator requires a new password; the account can't log in until then
+function passwordResetEmail(user, token, ttlMinutes, { forced = false } = {}) {
+  const link = clientUrl("/reset-password", { token });
+  const intro = forced
+    ? "An administrator has asked you to choose a new password. You can't log in until you do."
+    : "Use the link below to choose a new password.";
+  const outro = forced
+    ? "If you didn't expect this, contact your administrator."
+    : "If you didn't ask for this, you can ignore this email.";
+  return {
+    to: user.email,
+    subject: forced ? "Please choose a new password" : "Reset your password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `${intro} The link works once and expires in ${ttlMinutes} minutes.\n\n` +
+      `${link}\n\n` +
+      outro,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>${intro} The link works once and expires in ${ttlMinutes} minutes.</p>` +
+      `<p><a href="${escapeHtml(link)}">Reset your password</a></p>` +
+      `<p>${outro}</p>`,
+  };
+}
+
+// Email verification link (sent at sign-up and on "resend")
+function verificationEmail(user, token, ttlHours) {
+  const link = clientUrl("/verify-email", { token });
+  return {
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address to finish creating your account. The link expires in ${ttlHours} hours.\n\n` +
+      `${link}\n\n` +
+      "If you didn't sign up, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm your email address to finish creating your account. The link expires in ${ttlHours} hours.</p>` +
+      `<p><a href="${escapeHtml(link)}">Confirm my email</a></p>` +
+      "<p>If you didn't sign up, you can ignore this email.</p>",
+  };
+}
+
+// Confirmation link for a new address (sent to that address; see routes/account.js)
+function emailChangeEmail(user, newEmail, token, ttlHours) {
+  const link = clientUrl("/verify-email", { token, change: "1" });
+  return {
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm that you want to use this address for your account. The link expires in ${ttlHours} hours.\n\n` +
+      `${link}\n\n` +
+      "If you didn't ask for this, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm that you want to use this address for your account. The link expires in ${ttlHours} hours.</p>` +
+      `<p><a href="${escapeHtml(link)}">Confirm my new email</a></p>` +
+      "<p>If you didn't ask for this, you can ignore this email.</p>",
+  };
+}
+
+// Heads-up to the old address once the change went through
+function emailChangedNotice(user, oldEmail) {
+  return {
+    to: oldEmail,
+    subject: "Your email address was changed",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Your account now uses ${user.email} instead of this address.\n\n` +
+      "If you didn't do this, reset your password right away and contact support.",
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Your account now uses ${escapeHtml(user.email)} instead of this address.</p>` +
+      "<p>If you didn't do this, reset your password right away and contact support.</p>",
+  };
+}
+
+// Reminder for an item (notifications/emailChannel.js). Times are in UTC: the server doesn't
+// know the recipient's timezone.
+function reminderEmail(user, notification) {
+  const link = clientUrl("/home", { q: notification.title });
+  const due = notification.dueAt ? `Due: ${new Date(notification.dueAt).toUTCString()}` : "";
+  return {
+    to: user.email,
+    subject: `Reminder: ${notification.title}`,
+    text:
+      `Hi ${user.name},\n\n` +
+      `This is your reminder for “${notification.title}”.\n` +
+      (due ? `${due}\n` : "") +
+      `\n${link}\n`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>This is your reminder for <strong>${escapeHtml(notification.title)}</strong>.</p>` +
+      (due ? `<p>${escapeHtml(due)}</p>` : "") +
+      `<p><a href="${escapeHtml(link)}">Open your dashboard</a></p>`,
+  };
+}
+
+module.exports = {
+  clientUrl,
+  passwordResetEmail,
+  verificationEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  reminderEmail,
+};
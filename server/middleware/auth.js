@@ -0,0 +1,70 @@
+// -----------------------------
+// Auth middleware
+// - Expects "Authorization: Bearer <access token>" (issued by POST /login)
+// - On success sets req.user to the signed-in user (no password) with a string `id`,
+//   and req.session to the session the token belongs to
+// - Any missing/invalid/expired token, a revoked/expired session, or a deleted user is a 401,
+//   and so is a user an admin has disabled (ACCOUNT_DISABLED)
+// -----------------------------
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { activeFilter } = require("../utils/sessions");
+const { verifyAccessToken } = require("../utils/tokens");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+// Don't write lastSeenAt on every request; once a minute is plenty for GET /sessions
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+async function requireAuth(req, res, next) {
+  // Read the bearer token from the Authorization header
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return sendError(res, 401, "AUTH_REQUIRED", "Authentication required");
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch {
+    return sendError(res, 401, "INVALID_TOKEN", "Invalid or expired token");
+  }
+
+  // Tokens issued before sessions existed carry no sid; they must not match "any session"
+  if (!mongoose.isValidObjectId(payload.sub) || !mongoose.isValidObjectId(payload.sid)) {
+    return sendError(res, 401, "INVALID_TOKEN", "Invalid or expired token");
+  }
+
+  try {
+    // The session must still be active (logout / remote sign-out revoke it immediately)
+    const session = await Session.findOne(activeFilter({ _id: payload.sid, userId: payload.sub })).lean();
+    if (!session) {
+      return sendError(res, 401, "SESSION_ENDED", "Session has ended");
+    }
+
+    // Make sure the account still exists before trusting the token
+    const user = await User.findById(payload.sub).lean();
+    if (!user) {
+      return sendError(res, 401, "INVALID_TOKEN", "Invalid or expired token");
+    }
+    if (user.disabledAt) {
+      return sendError(res, 401, "ACCOUNT_DISABLED", "This account has been disabled");
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+    }
+
+    req.user = { ...user, id: String(user._id) };
+    req.session = session;
+    return next();
+  } catch (err) {
+    logError("Auth error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error authenticating");
+  }
+}
+
+module.exports = requireAuth;
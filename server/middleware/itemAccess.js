@@ -0,0 +1,85 @@
+// -----------------------------
+// Item authorization
+// - Runs after requireAuth on routes that address a single item (/items/:id)
+// - Malformed ids are a 400 (instead of a Mongoose CastError bubbling up as a 500)
+// - Items the caller has no access to are a 404, exactly like missing ones, so ids can't be probed
+// - Items shared with the caller (utils/sharing.js) load too, but an action their role doesn't
+//   allow is a 403 FORBIDDEN
+// - On success the loaded document is available as req.item, the caller's level as req.access
+// - Live items: loadViewableItem (viewer+), loadEditableItem (editor+), loadOwnedItem (owner)
+// - Trashed items: loadRestorableItem (editor+), loadTrashedItem (owner)
+// - checkIfMatch (after a loader) rejects writes based on a stale ETag with a 409
+// -----------------------------
+
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+const { ifMatchAllows, sendVersionConflict } = require("../utils/itemVersion");
+const { accessLevel, allows, visibleTo } = require("../utils/sharing");
+
+// What a share that falls short was missing, for the 403 message
+const DENIED = {
+  editor: "You can only view this item",
+  owner: "Only the item's owner can do that",
+};
+
+// Build the middleware for one state (`deletedAt: null` also matches a missing field) and the
+// access level the route needs
+function itemLoader(stateFilter, required) {
+  return async function loadItem(req, res, next) {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Invalid item id", {
+        details: [{ location: "params", field: "id", message: "Invalid item id" }],
+      });
+    }
+
+    try {
+      // Scope the lookup to the caller so other users' items are indistinguishable from missing ones
+      const item = await Item.findOne({ _id: id, ...visibleTo(req.user.id), ...stateFilter });
+      if (!item) {
+        return sendError(res, 404, "NOT_FOUND", "Item not found");
+      }
+
+      const access = accessLevel(item, req.user.id);
+      if (!allows(access, required)) {
+        return sendError(res, 403, "FORBIDDEN", DENIED[required]);
+      }
+
+      req.item = item;
+      req.access = access;
+      return next();
+    } catch (err) {
+      logError("Load item error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error loading item");
+    }
+  };
+}
+
+const LIVE = { deletedAt: null };
+const TRASHED = { deletedAt: { $ne: null } };
+
+const loadViewableItem = itemLoader(LIVE, "viewer");
+const loadEditableItem = itemLoader(LIVE, "editor");
+const loadOwnedItem = itemLoader(LIVE, "owner");
+const loadRestorableItem = itemLoader(TRASHED, "editor");
+const loadTrashedItem = itemLoader(TRASHED, "owner");
+
+// If-Match must name the item's current version (when sent at all)
+function checkIfMatch(req, res, next) {
+  if (!ifMatchAllows(req.get("If-Match"), req.item)) {
+    return sendVersionConflict(res, req.item);
+  }
+  return next();
+}
+
+module.exports = {
+  loadViewableItem,
+  loadEditableItem,
+  loadOwnedItem,
+  loadRestorableItem,
+  loadTrashedItem,
+  checkIfMatch,
+};
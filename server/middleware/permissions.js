@@ -0,0 +1,40 @@
+// -----------------------------
+// Role-based permissions
+// - Every account has a role (models/User.js): "user" (the default) or "admin"
+// - Routes ask for a permission, never a role, so roles can grow without touching routes:
+//
+//     router.use(requireAuth, requirePermission("users:manage"))
+//
+// - Runs after requireAuth (the role is read from the database on every request, so a
+//   demotion takes effect immediately); a missing permission is a 403 FORBIDDEN
+// -----------------------------
+
+const { sendError } = require("../utils/errors");
+
+const ROLES = ["user", "admin"];
+
+// Role -> what it may do (beyond managing one's own items)
+const PERMISSIONS = {
+  user: [],
+  admin: ["users:read", "users:manage", "audit:read", "employees:manage"],
+};
+
+// Does this user (as loaded by requireAuth) have the permission?
+function can(user, permission) {
+  return (PERMISSIONS[user?.role || "user"] || []).includes(permission);
+}
+
+// Middleware: continue only when the caller has every listed permission
+function requirePermission(...permissions) {
+  return function checkPermission(req, res, next) {
+    if (!permissions.every((p) => can(req.user, p))) {
+      return sendError(res, 403, "FORBIDDEN", "You don't have permission to do that");
+    }
+    return next();
+  };
+}
+
+// Every permission a role grants (for GET /me, so the client can show what's allowed)
+const permissionsFor = (role) => PERMISSIONS[role] || [];
+
+module.exports = { ROLES, can, requirePermission, permissionsFor };
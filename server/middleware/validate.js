@@ -0,0 +1,121 @@
+// -----------------------------
+// Request validation (zod)
+// Routes declare what they accept:
+//
+//   router.post("/", validate({ body: z.strictObject({ title: fields.title }) }), handler)
+//
+// - body, params and query are each checked against their schema when given;
+//   strict objects reject unknown fields
+// - On success the parsed values replace the originals (so trimming/defaults apply)
+// - On failure the request ends with a 400 VALIDATION_ERROR envelope listing every
+//   problem per field (see utils/errors.js)
+// -----------------------------
+
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const { sendError } = require("../utils/errors");
+
+// Length limits shared by the API and mirrored in the client inputs
+const LIMITS = {
+  title: 200,
+  description: 5000,
+  name: 100,
+  email: 254,
+  passwordMin: 8,
+  passwordMax: 72,                                             // bcrypt ignores anything past 72 bytes
+  tag: 30,
+  tagsPerItem: 20,
+};
+
+// Non-empty, trimmed string with a maximum length
+function requiredText(label, max) {
+  return z
+    .string({ error: `${label} is required` })
+    .trim()
+    .min(1, `${label} is required`)
+    .max(max, `${label} must be at most ${max} characters`);
+}
+
+// Reusable field rules
+const fields = {
+  title: requiredText("Title", LIMITS.title),
+  description: z
+    .string({ error: "Description must be text" })
+    .trim()
+    .max(LIMITS.description, `Description must be at most ${LIMITS.description} characters`),
+  name: requiredText("Name", LIMITS.name),
+  email: requiredText("Email", LIMITS.email).pipe(z.email("Enter a valid email address")),
+  // New passwords (register / reset) must meet the minimum length
+  newPassword: z
+    .string({ error: "Password is required" })
+    .min(LIMITS.passwordMin, `Password must be at least ${LIMITS.passwordMin} characters`)
+    .max(LIMITS.passwordMax, `Password must be at most ${LIMITS.passwordMax} characters`),
+  // Existing passwords are only checked for presence (older accounts may be shorter)
+  password: z
+    .string({ error: "Password is required" })
+    .min(1, "Password is required")
+    .max(1024, "Password is too long"),
+  token: requiredText("Token", 512),
+  // No commas: they separate tags in CSV exports and in the client's tag input
+  tags: z
+    .array(requiredText("Tag", LIMITS.tag).refine((t) => !t.includes(","), "Tags can't contain commas"), {
+      error: "Tags must be a list",
+    })
+    .max(LIMITS.tagsPerItem, `At most ${LIMITS.tagsPerItem} tags per item`),
+  // ISO 8601 date-time with a timezone (e.g. "2026-10-20T09:00:00.000Z"), parsed to a Date
+  dateTime: z.iso
+    .datetime({ offset: true, error: "Must be a date and time (ISO 8601, with a timezone)" })
+    .transform((v) => new Date(v)),
+  // Calendar day ("2026-10-20"), parsed to a Date at UTC midnight
+  date: z.iso.date({ error: "Must be a date (YYYY-MM-DD)" }).transform((v) => new Date(`${v}T00:00:00.000Z`)),
+  // Query-string booleans ("true" / "false")
+  flag: z.enum(["true", "false"]).transform((v) => v === "true"),
+  objectId: z
+    .string({ error: "Id is required" })
+    .refine((v) => mongoose.isValidObjectId(v), "Invalid id"),
+};
+
+// Turn zod issues into envelope details: [{ location, field, message }]
+function toDetails(location, issues) {
+  const details = [];
+  for (const issue of issues) {
+    if (issue.code === "unrecognized_keys") {
+      for (const key of issue.keys) {
+        details.push({ location, field: [...issue.path, key].join("."), message: "Unknown field" });
+      }
+    } else {
+      details.push({ location, field: issue.path.join("."), message: issue.message });
+    }
+  }
+  return details;
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const location of ["params", "query", "body"]) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      // express.json() leaves req.body undefined when nothing was sent
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) parsed[location] = result.data;
+      else details.push(...toDetails(location, result.error.issues));
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, "VALIDATION_ERROR", details[0].message, { details });
+    }
+
+    if (parsed.params) req.params = parsed.params;
+    if (parsed.body) req.body = parsed.body;
+    // req.query is a getter in Express 5, so redefine it on the request itself
+    if (parsed.query) Object.defineProperty(req, "query", { value: parsed.query, writable: true });
+
+    return next();
+  };
+}
+
+module.exports = { validate, fields, requiredText, LIMITS, z };
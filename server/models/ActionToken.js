@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// ActionToken Schema: a single-use, expiring secret sent to a user by email
+// (password reset and email verification links). Only the SHA-256 hash of the secret is stored.
+const actionTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    purpose: { type: String, required: true, enum: ["password-reset", "email-verify", "email-change"] },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },                      // Set once consumed; never reusable
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes tokens once they expire
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build an ActionToken model from the schema
+const ActionToken = mongoose.model("ActionToken", actionTokenSchema);
+
+module.exports = ActionToken;
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Attachment Schema: a file attached to an item
+// The bytes live in the storage backend (see storage/index.js) under `storageKey`.
+const attachmentSchema = new mongoose.Schema(
+  {
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+    userId: { type: String, required: true },                   // Item owner (same format as Item.userId)
+    filename: { type: String, required: true },                 // Original file name, for display/download
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },                     // Bytes
+    storageKey: { type: String, required: true, select: false }, // Internal; never sent to clients
+  },
+  { timestamps: true }
+);
+
+// Attachments per item, oldest first
+attachmentSchema.index({ itemId: 1, createdAt: 1 });
+
+// Build an Attachment model from the schema
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// AuditLog Schema: one administrative action (who did what to which account or directory
+// entry, and when). Entries are only ever inserted; GET /admin/audit lists them.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorEmail: { type: String, default: "" },                 // Kept in case the actor is deleted later
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        "user.disable",
+        "user.enable",
+        "user.password-reset",
+        "user.role",
+        "employee.create",
+        "employee.update",
+        "employee.delete",
+      ],
+    },
+    // What the action was done to: a User, or an Employee in the directory (the action's prefix)
+    targetType: { type: String, enum: ["user", "employee"], default: "user" },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    targetEmail: { type: String, default: "" },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} }, // e.g. { reason } or { from, to }
+    ip: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Newest first, overall and per target user
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+// Build an AuditLog model from the schema
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
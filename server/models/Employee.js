@@ -1,11 +1,27 @@
-const mongoose = require('mongoose')
+const mongoose = require("mongoose");
 
-const EmployeeSchema = new mongoose.Schema({
-    name : String ,
-    email: String ,
-    password: String
-})
+// Employee Schema: one person in the company directory (managed by admins, see routes/employees.js)
+// Directory entries are not accounts: they have no password and can't log in.
+const employeeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    department: { type: String, required: true, trim: true },
+    title: { type: String, required: true, trim: true },         // Job title
+    // Who they report to (null at the top of the org chart)
+    managerId: { type: mongoose.Schema.Types.ObjectId, ref: "Employee", default: null },
+    phone: { type: String, trim: true, default: "" },
+    joinedAt: { type: Date, default: null },                     // Joining date (a day; stored at UTC midnight)
+  },
+  { timestamps: true }
+);
 
-const EmployeeModel = mongoose.model("employees" , EmployeeSchema )
+// Directory listing (A-Z, optionally per department) and the org chart's "who reports to X"
+employeeSchema.index({ department: 1, name: 1 });
+employeeSchema.index({ name: 1, _id: 1 });
+employeeSchema.index({ managerId: 1 });
 
-module.exports = EmployeeModel
\ No newline at end of file
+// Same collection as before ("employees"), so existing entries are kept
+const Employee = mongoose.model("Employee", employeeSchema, "employees");
+
+module.exports = Employee;
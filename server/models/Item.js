@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// One person an item is shared with (see routes/shares.js): viewers can read it,
+// editors can also change and delete it. Owner-only: sharing, pin/archive, Trash purge.
+const shareSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },                  // The other user's _id as a string
+    role: { type: String, enum: ["viewer", "editor"], required: true },
+    sharedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Item Schema: represents a note/item that belongs to a user
+const itemSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },        // Item title
+    description: { type: String, trim: true, default: "" },     // Item description
+    // Owner's user._id as a string (always taken from the access token, see requireAuth)
+    // In a more robust app, you'd use: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    userId: { type: String, required: true },
+    tags: { type: [String], default: [] },                     // Tag names (colors live in the Tag model)
+    pinned: { type: Boolean, default: false },                 // Pinned items float to the top of listings
+    archived: { type: Boolean, default: false },               // Archived items are hidden from the default view
+    deletedAt: { type: Date, default: null },                  // Set while the item is in the Trash (see jobs/trashPurge.js)
+    shares: { type: [shareSchema], default: [] },              // Other users with access (owner = userId)
+    dueAt: { type: Date, default: null },                      // Optional due date (overdue items are highlighted)
+    remindAt: { type: Date, default: null },                   // When to remind the owner (see jobs/reminders.js)
+    reminderSentAt: { type: Date, default: null },             // Set once that reminder went out; cleared when remindAt changes
+  },
+  {
+    timestamps: true,
+    // `version` goes up on every save, and a save based on an outdated copy fails with a
+    // VersionError (see utils/itemVersion.js; exposed to clients as the item's ETag)
+    versionKey: "version",
+    optimisticConcurrency: true,
+  }
+);
+
+// Indexes for the paginated listing (GET /items): pinned first, one per sort, _id as tie-breaker
+itemSchema.index({ userId: 1, archived: 1, pinned: -1, createdAt: -1, _id: -1 });
+itemSchema.index({ userId: 1, archived: 1, pinned: -1, updatedAt: -1, _id: -1 });
+itemSchema.index({ userId: 1, archived: 1, pinned: -1, title: 1, _id: 1 });
+itemSchema.index({ userId: 1, tags: 1 });
+
+// "Shared with me" (GET /items/shared), most recently updated first
+itemSchema.index({ "shares.userId": 1, updatedAt: -1, _id: -1 });
+
+// Trash: the purge job scans by deletedAt (only trashed items are indexed)
+itemSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+// Reminders: the job scans by remindAt (only items with a reminder are indexed)
+itemSchema.index({ remindAt: 1 }, { partialFilterExpression: { remindAt: { $type: "date" } } });
+
+// Full-text index for GET /items/search (title matches weigh more than description matches)
+itemSchema.index(
+  { title: "text", description: "text" },
+  { name: "item_text", weights: { title: 3, description: 1 } }
+);
+
+// Build an Item model from the schema
+const Item = mongoose.model("Item", itemSchema);
+
+module.exports = Item;
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// ItemEvent Schema: one change to an item, as delivered to one user's open clients
+// Written by utils/itemEvents.js; GET /events replays the ones a reconnecting client missed
+// (in _id order, which is creation order). Kept for EVENT_RETENTION_HOURS.
+const itemEventSchema = new mongoose.Schema({
+  userId: { type: String, required: true },                     // Recipient (owner or someone it's shared with)
+  type: { type: String, enum: ["created", "updated", "deleted"], required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  item: { type: mongoose.Schema.Types.Mixed, required: true },  // The item as the recipient sees it
+  expiresAt: { type: Date, required: true },
+});
+
+// Catch-up: a user's events after a given id
+itemEventSchema.index({ userId: 1, _id: 1 });
+
+// TTL index: MongoDB removes events once they expire
+itemEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build an ItemEvent model from the schema
+const ItemEvent = mongoose.model("ItemEvent", itemEventSchema);
+
+module.exports = ItemEvent;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// LoginThrottle Schema: failed-login counter for one key
+// Keys look like "ip:203.0.113.7" or "account:someone@example.com".
+// Stored in MongoDB (not memory) so backoff and lockouts survive restarts.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },                     // Consecutive failures in the current window
+    lockedUntil: { type: Date, default: null },                 // No attempts accepted before this time
+    expiresAt: { type: Date, required: true },                  // Counter is forgotten after a quiet period
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes counters once they expire
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build a LoginThrottle model from the schema
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// How one channel delivered a notification (see ../notifications)
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, required: true },                 // "inApp", "email", ...
+    status: { type: String, enum: ["pending", "sent", "failed"], default: "pending" },
+    attempts: { type: Number, default: 0 },                    // Failed attempts so far
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Notification Schema: one message to one user (for now: an item's reminder)
+// Created by jobs/reminders.js, listed in the dashboard's tray (routes/notifications.js).
+// Kept for NOTIFICATION_RETENTION_DAYS (default 90).
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },                  // Recipient
+    type: { type: String, enum: ["reminder"], required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    title: { type: String, required: true },                   // The item's title when it fired
+    dueAt: { type: Date, default: null },                      // The item's due date when it fired
+    firesAt: { type: Date, required: true },                   // The reminder time this is for
+    readAt: { type: Date, default: null },                     // Set when opened in the tray
+    deliveries: { type: [deliverySchema], default: [] },
+    // While set and in the future, deliveries are being sent (or wait for a retry)
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One notification per item, recipient and reminder time: the job can never make two
+notificationSchema.index({ itemId: 1, userId: 1, firesAt: 1 }, { unique: true });
+
+// The tray: a user's notifications, newest first
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// The job: notifications with deliveries left to send
+notificationSchema.index(
+  { lockedUntil: 1 },
+  { partialFilterExpression: { "deliveries.status": "pending" } }
+);
+
+// TTL index: MongoDB removes old notifications
+const retentionDays = parseFloat(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: Math.round(retentionDays * 24 * 60 * 60) });
+
+// Build a Notification model from the schema
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
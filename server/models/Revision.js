@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Revision Schema: a snapshot of an item's content after one change
+// Written by utils/revisions.js whenever title, description or tags change; never updated.
+const revisionSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+  userId: { type: String, required: true },                     // Item owner (same format as Item.userId)
+  number: { type: Number, required: true },                     // 1, 2, 3, ... per item
+  authorId: { type: String, default: null },                    // Who made the change
+  authorName: { type: String, default: null },                  // Kept so history reads well even if the account goes away
+  title: { type: String, required: true },
+  description: { type: String, default: "" },
+  tags: { type: [String], default: [] },
+  restoredFrom: { type: Number, default: null },                // Set when this revision restored an older one
+  createdAt: { type: Date, default: Date.now },                 // When the change was made
+});
+
+// Newest-first history per item; numbers are unique per item
+revisionSchema.index({ itemId: 1, number: -1 }, { unique: true });
+
+// Build a Revision model from the schema
+const Revision = mongoose.model("Revision", revisionSchema);
+
+module.exports = Revision;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Session Schema: one signed-in device, identified by a rotating refresh token
+// Only SHA-256 hashes of refresh tokens are stored; the raw token lives on the client.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true },                // Hash of the current refresh token
+    previousTokenHash: { type: String, default: null },         // Hash of the token it replaced (reuse detection)
+    rotatedAt: { type: Date, default: null },                   // When tokenHash last changed
+    userAgent: { type: String, default: "" },                   // Device description shown in GET /sessions
+    ip: { type: String, default: "" },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },                  // Sliding expiry, pushed out on every refresh
+    revokedAt: { type: Date, default: null },                   // Set by logout / remote sign-out
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build a Session model from the schema
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
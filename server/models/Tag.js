@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Tag Schema: a user-defined label with a display color
+// Items store tag names (see Item.tags); this collection owns the colors and the
+// canonical spelling, matched case-insensitively through `key`.
+const tagSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },                   // Owner (same format as Item.userId)
+    name: { type: String, required: true, trim: true },         // Display name, e.g. "Work"
+    key: { type: String, required: true },                      // Lowercased name for lookups
+    color: { type: String, required: true },                    // "#rrggbb"
+  },
+  { timestamps: true }
+);
+
+// One tag per name per user
+tagSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Build a Tag model from the schema
+const Tag = mongoose.model("Tag", tagSchema);
+
+module.exports = Tag;
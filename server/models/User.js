@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { hashPassword } = require("../utils/password");
+
+// User Schema: represents a registered user
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },         // User's name
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,                                             // Prevent duplicate emails
+      // unique creates an index; if you already have duplicates in DB, this can error on index build
+    },
+    // bcrypt hash; select: false keeps it out of every query (lean() included)
+    // unless a route explicitly asks for it with .select("+password")
+    password: { type: String, required: true, select: false },
+    // False until the emailed verification link is followed (see routes/verification.js)
+    verified: { type: Boolean, default: false },
+    // A new address waiting for its confirmation link (routes/account.js); `email` stays until then
+    pendingEmail: { type: String, trim: true, default: null },
+    // What the account may do (see middleware/permissions.js)
+    role: { type: String, enum: ["user", "admin"], default: "user" },
+    // Set by an admin: a disabled account can't log in, and its sessions were revoked
+    disabledAt: { type: Date, default: null },
+    disabledReason: { type: String, default: "" },
+    // Set by an admin: login is refused until the password is reset via the emailed link
+    passwordResetRequired: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,                                           // Adds createdAt/updatedAt
+    // Belt and braces: strip the hash if a document was loaded with it
+    toJSON: { transform: (doc, ret) => { delete ret.password; return ret; } },
+    toObject: { transform: (doc, ret) => { delete ret.password; return ret; } },
+  }
+);
+
+// Hash the password whenever it is set or changed. Always: a user may pick a password that
+// looks like a bcrypt hash. Code that needs to store an existing hash must write it with
+// updateOne, which skips this hook.
+userSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+  this.password = await hashPassword(this.password);
+});
+
+// Build a User model from the schema
+const User = mongoose.model("User", userSchema);
+
+module.exports = User;
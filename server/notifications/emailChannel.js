@@ -0,0 +1,14 @@
+// Email notification channel: sends the notification through ../mail (MAIL_TRANSPORT)
+
+const { sendMail } = require("../mail");
+const { reminderEmail } = require("../mail/templates");
+
+function createEmailChannel() {
+  return {
+    async deliver(notification, user) {
+      await sendMail(reminderEmail(user, notification));
+    },
+  };
+}
+
+module.exports = createEmailChannel;
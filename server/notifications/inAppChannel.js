@@ -0,0 +1,38 @@
+// In-app notification channel
+// The Notification document itself is what the dashboard's tray lists (routes/notifications.js),
+// so delivering only has to tell the recipient's open tabs about it (GET /events pushes it as
+// `event: notification`). Tabs opened later load it from the tray endpoint.
+
+const { EventEmitter } = require("events");
+
+// One channel per user id
+const bus = new EventEmitter();
+bus.setMaxListeners(0);                                         // One listener per open tab
+
+// What the dashboard gets for a notification (delivery bookkeeping stays on the server)
+const toClient = (n) => ({
+  _id: n._id,
+  type: n.type,
+  itemId: n.itemId,
+  title: n.title,
+  dueAt: n.dueAt,
+  firesAt: n.firesAt,
+  readAt: n.readAt,
+  createdAt: n.createdAt,
+});
+
+// Listen for a user's new notifications; returns the function that stops listening
+function subscribeNotifications(userId, listener) {
+  bus.on(userId, listener);
+  return () => bus.off(userId, listener);
+}
+
+function createInAppChannel() {
+  return {
+    async deliver(notification) {
+      bus.emit(notification.userId, toClient(notification));
+    },
+  };
+}
+
+module.exports = { createInAppChannel, subscribeNotifications, toClient };
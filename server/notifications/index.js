@@ -0,0 +1,41 @@
+// -----------------------------
+// Notification channels
+// Every channel implements the same interface:
+//   deliver(notification, user) -> Promise<void>   (rejects on failure; jobs/reminders.js retries)
+// `notification` is a Notification document, `user` its recipient (lean, with email and name).
+// NOTIFY_CHANNELS lists the channels reminders go through (comma-separated, default "inApp,email"):
+//   - "inApp" -> the tray in the dashboard, pushed live to open clients (./inAppChannel.js)
+//   - "email" -> an email through ../mail (./emailChannel.js)
+// -----------------------------
+
+const { createInAppChannel } = require("./inAppChannel");
+const createEmailChannel = require("./emailChannel");
+
+const factories = {
+  inApp: createInAppChannel,
+  email: createEmailChannel,
+};
+
+const channels = new Map();
+
+// The channel called `name`, built once on first use
+function getChannel(name) {
+  if (!channels.has(name)) {
+    const create = factories[name];
+    if (!create) throw new Error(`Unknown notification channel "${name}"`);
+    channels.set(name, create());
+  }
+  return channels.get(name);
+}
+
+// Names of the configured channels (throws on an unknown name, so a typo can't go unnoticed)
+function channelNames() {
+  const names = (process.env.NOTIFY_CHANNELS || "inApp,email")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  names.forEach(getChannel);
+  return [...new Set(names)];
+}
+
+module.exports = { getChannel, channelNames };
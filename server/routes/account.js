@@ -0,0 +1,238 @@
+// -----------------------------
+// ACCOUNT SETTINGS ROUTES — mounted at /account (the signed-in user's own account)
+// - GET    /account                  -> profile (incl. an email change waiting for confirmation)
+// - PATCH  /account { name }         -> update the profile
+// - POST   /account/email { email, password } -> email a confirmation link to the new address;
+//                                       the current address stays until it is followed
+// - DELETE /account/email           -> cancel that pending change
+// - GET    /account/email/confirm?token=...   -> switch to the new address (no auth: opened from the email)
+// - PUT    /account/password { currentPassword, newPassword } -> change the password, sign out
+//                                       every other session
+// - DELETE /account { password, confirm: "DELETE" } -> delete the account and everything it owns
+//                                       (utils/deleteAccount.js)
+// Routes that need the current password share the login throttle (utils/loginThrottle.js), so
+// a stolen access token can't be used to guess it.
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const User = require("../models/User");
+const requireAuth = require("../middleware/auth");
+const { verifyPassword } = require("../utils/password");
+const { loginWaitSeconds, recordLoginFailure, recordLoginSuccess } = require("../utils/loginThrottle");
+const { consumeActionToken } = require("../utils/actionTokens");
+const { CHANGE_PURPOSE, sendEmailChangeEmail } = require("../utils/emailVerification");
+const { revokeOtherSessions } = require("../utils/sessions");
+const { deleteAccount } = require("../utils/deleteAccount");
+const { sendMail } = require("../mail");
+const { emailChangedNotice } = require("../mail/templates");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// What the settings page shows
+function profileOf(user) {
+  const { _id, name, email, pendingEmail, role, createdAt } = user;
+  return { _id, name, email, pendingEmail: pendingEmail || null, role, createdAt };
+}
+
+// Check the signed-in user's password (field = the body field it came from).
+// Returns true, or sends 429 while throttled / 400 on the field when it's wrong.
+async function checkPassword(req, res, password, field) {
+  const { email } = req.user;
+
+  const wait = await loginWaitSeconds(req, email);
+  if (wait > 0) {
+    res.set("Retry-After", String(wait));
+    sendError(res, 429, "TOO_MANY_ATTEMPTS", "Too many failed attempts. Please try again later.", {
+      retryAfter: wait,
+    });
+    return false;
+  }
+
+  const user = await User.findById(req.user._id).select("+password").lean();
+  const { ok } = await verifyPassword(password, user.password);
+  if (!ok) {
+    const delay = await recordLoginFailure(req, email);
+    if (delay > 0) res.set("Retry-After", String(delay));
+    sendError(res, 400, "VALIDATION_ERROR", "Some fields are invalid", {
+      details: [{ location: "body", field, message: "Password is incorrect" }],
+      ...(delay > 0 ? { retryAfter: delay } : {}),
+    });
+    return false;
+  }
+
+  await recordLoginSuccess(req, email);
+  return true;
+}
+
+// GET /account/email/confirm
+// Purpose: Follow the link sent to a new address; the account switches to it.
+// Registered before requireAuth: the link may be opened on a device that isn't signed in.
+router.get("/email/confirm", validate({ query: z.strictObject({ token: fields.token }) }), async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const consumed = await consumeActionToken(token, CHANGE_PURPOSE);
+    const user = consumed && (await User.findById(consumed.userId));
+    if (!user || !user.pendingEmail) {
+      return sendError(res, 400, "INVALID_LINK", "Confirmation link is invalid or has expired");
+    }
+
+    // Someone may have registered the address since the link was sent
+    const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (taken) {
+      user.pendingEmail = null;
+      await user.save();
+      return sendError(res, 409, "EMAIL_TAKEN", "Email already exists");
+    }
+
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.verified = true;                                        // Following the link proves the new address works
+    await user.save();
+
+    // Let the old address know, in case this wasn't its owner
+    try {
+      await sendMail(emailChangedNotice(user, oldEmail));
+    } catch (mailErr) {
+      logError("Email changed notice error:", mailErr);
+    }
+
+    return res.json({ status: "Success", message: "Email address updated.", email: user.email });
+  } catch (err) {
+    logError("Confirm email change error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error confirming email change");
+  }
+});
+
+// Everything below is the signed-in user's own account
+router.use(requireAuth);
+
+// GET /account
+// Purpose: The profile shown on the settings page
+router.get("/", async (req, res) => {
+  return res.json({ status: "Success", user: profileOf(req.user) });
+});
+
+// PATCH /account
+// Purpose: Update the profile (currently just the display name)
+router.patch("/", validate({ body: z.strictObject({ name: fields.name }) }), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.user._id, { name: req.body.name }, { new: true }).lean();
+    return res.json({ status: "Success", user: profileOf(user) });
+  } catch (err) {
+    logError("Update profile error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating profile");
+  }
+});
+
+// POST /account/email
+// Purpose: Start an email change: remember the new address and email it a confirmation link
+const emailBody = z.strictObject({
+  email: fields.email,
+  password: fields.password,
+});
+
+router.post("/email", validate({ body: emailBody }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (email === req.user.email) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Some fields are invalid", {
+        details: [{ location: "body", field: "email", message: "That is already your email address" }],
+      });
+    }
+
+    if (!(await checkPassword(req, res, password, "password"))) return;
+
+    if (await User.exists({ email })) {
+      return sendError(res, 409, "EMAIL_TAKEN", "Email already exists");
+    }
+
+    // A newer request replaces an older one (sending a new link voids the previous one)
+    const user = await User.findByIdAndUpdate(req.user._id, { pendingEmail: email }, { new: true }).lean();
+    await sendEmailChangeEmail(user, email);
+
+    return res.json({
+      status: "Success",
+      message: `We sent a confirmation link to ${email}. Your email changes once you follow it.`,
+      user: profileOf(user),
+    });
+  } catch (err) {
+    logError("Change email error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error changing email");
+  }
+});
+
+// DELETE /account/email
+// Purpose: Cancel a pending email change (its link stops working)
+router.delete("/email", async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.user._id, { pendingEmail: null }, { new: true }).lean();
+    return res.json({ status: "Success", user: profileOf(user) });
+  } catch (err) {
+    logError("Cancel email change error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error cancelling email change");
+  }
+});
+
+// PUT /account/password
+// Purpose: Change the password; other devices are signed out, this one stays signed in
+const passwordBody = z.strictObject({
+  currentPassword: fields.password,
+  newPassword: fields.newPassword,
+});
+
+router.put("/password", validate({ body: passwordBody }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await checkPassword(req, res, currentPassword, "currentPassword"))) return;
+
+    // Load a document (not lean) so the pre-save hook hashes the new password
+    const user = await User.findById(req.user._id);
+    user.password = newPassword;
+    await user.save();
+
+    const signedOut = await revokeOtherSessions(user._id, req.session._id);
+
+    return res.json({ status: "Success", message: "Password changed.", signedOut });
+  } catch (err) {
+    logError("Change password error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error changing password");
+  }
+});
+
+// DELETE /account
+// Purpose: Delete the account with its items, tags, sessions and notifications.
+// Needs the password and the word DELETE, so a stray request can't do it.
+const deleteBody = z.strictObject({
+  password: fields.password,
+  confirm: z.literal("DELETE", { error: "Type DELETE to confirm" }),
+});
+
+router.delete("/", validate({ body: deleteBody }), async (req, res) => {
+  try {
+    if (!(await checkPassword(req, res, req.body.password, "password"))) return;
+
+    // Someone has to be left to manage accounts
+    if (req.user.role === "admin") {
+      const otherAdmins = await User.countDocuments({ role: "admin", disabledAt: null, _id: { $ne: req.user._id } });
+      if (otherAdmins === 0) {
+        return sendError(res, 409, "LAST_ADMIN", "Make someone else an admin before deleting this account");
+      }
+    }
+
+    const removed = await deleteAccount(req.user._id);
+
+    return res.json({ status: "Success", message: "Account deleted.", items: removed.items });
+  } catch (err) {
+    logError("Delete account error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting account");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+// -----------------------------
+// ADMIN ROUTES — mounted at /admin (role "admin" only, see middleware/permissions.js)
+// - GET  /admin/users                      -> search/filter accounts, paged like GET /items
+// - GET  /admin/users/:id                  -> one account + its latest audit entries
+// - POST /admin/users/:id/disable { reason } -> block logins and sign out every device
+// - POST /admin/users/:id/enable           -> allow logins again
+// - POST /admin/users/:id/password-reset   -> require a new password (emails a reset link,
+//                                             signs out every device)
+// - PUT  /admin/users/:id/role { role }    -> make an account an admin or a regular user
+// - GET  /admin/audit                      -> the audit trail, newest first
+// Every change is recorded in the audit trail (utils/audit.js). Admins can't disable or
+// demote themselves (409 SELF_ACTION), so there is always a way back in.
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const User = require("../models/User");
+const Item = require("../models/Item");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const requireAuth = require("../middleware/auth");
+const { ROLES, requirePermission } = require("../middleware/permissions");
+const { decodeCursor, paginate } = require("../utils/pagination");
+const { escapeRegex } = require("../utils/search");
+const { activeFilter, revokeAllSessions } = require("../utils/sessions");
+const { sendPasswordResetEmail } = require("../utils/passwordReset");
+const { recordAudit } = require("../utils/audit");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every /admin route requires a signed-in admin
+router.use(requireAuth, requirePermission("users:read"));
+
+const userParams = z.strictObject({ id: fields.objectId });
+
+// Same shape for every cursor error
+function invalidCursor(res) {
+  return sendError(res, 400, "VALIDATION_ERROR", "Invalid cursor", {
+    details: [{ location: "query", field: "cursor", message: "Invalid cursor" }],
+  });
+}
+
+// What the admin console shows for an account (never the password hash). Listings add
+// `stats` (from statsFor); replies to changes leave them out.
+function adminView(user, stats) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role || "user",
+    verified: Boolean(user.verified),
+    disabledAt: user.disabledAt || null,
+    disabledReason: user.disabledReason || "",
+    passwordResetRequired: Boolean(user.passwordResetRequired),
+    createdAt: user.createdAt,
+    ...(stats ? { itemCount: stats.itemCount || 0, lastSeenAt: stats.lastSeenAt || null } : {}),
+  };
+}
+
+// Live item counts and last activity for a page of users, by id
+async function statsFor(userIds) {
+  const ids = userIds.map(String);
+  const [items, sessions] = await Promise.all([
+    Item.aggregate([
+      { $match: { userId: { $in: ids }, deletedAt: null } },
+      { $group: { _id: "$userId", count: { $sum: 1 } } },
+    ]),
+    Session.aggregate([
+      { $match: { userId: { $in: userIds } } },
+      { $group: { _id: "$userId", lastSeenAt: { $max: "$lastSeenAt" } } },
+    ]),
+  ]);
+
+  const stats = new Map(ids.map((id) => [id, {}]));
+  items.forEach((row) => (stats.get(row._id).itemCount = row.count));
+  sessions.forEach((row) => (stats.get(String(row._id)).lastSeenAt = row.lastSeenAt));
+  return stats;
+}
+
+// Load the target account for a change (404 if missing); `self` actions are refused
+async function loadTarget(req, res, { allowSelf = true } = {}) {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    sendError(res, 404, "NOT_FOUND", "User not found");
+    return null;
+  }
+  if (!allowSelf && String(user._id) === req.user.id) {
+    sendError(res, 409, "SELF_ACTION", "You can't do that to your own account");
+    return null;
+  }
+  return user;
+}
+
+// -----------------------------
+// Users
+// -----------------------------
+
+// GET /admin/users
+// Purpose: One page of accounts, newest first.
+//   ?q=      -> name or email contains this (case-insensitive)
+//   ?role=   -> "user" | "admin"
+//   ?status= -> "active" | "disabled" | "reset" (a password reset is pending)
+// Paging: ?limit= and ?cursor=, with X-Total-Count / X-Next-Cursor like GET /items.
+const usersQuery = z.strictObject({
+  q: z.string().trim().max(100).optional(),
+  role: z.enum(ROLES).optional(),
+  status: z.enum(["active", "disabled", "reset"]).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+  cursor: z.string().max(512).optional(),
+});
+
+router.get("/users", validate({ query: usersQuery }), async (req, res) => {
+  try {
+    const { q, role, status, limit } = req.query;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, "created", "desc");
+      if (!cursor) return invalidCursor(res);
+    }
+
+    const filter = {};
+    if (q) {
+      const re = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ name: re }, { email: re }];
+    }
+    // Accounts from before roles existed have no `role` field; they are regular users
+    if (role) filter.role = role === "user" ? { $in: ["user", null] } : role;
+    if (status === "active") filter.disabledAt = null;
+    if (status === "disabled") filter.disabledAt = { $ne: null };
+    if (status === "reset") filter.passwordResetRequired = true;
+
+    const page = await paginate(User, filter, { sort: "created", order: "desc", limit, cursor });
+    const stats = await statsFor(page.items.map((u) => u._id));
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    return res.json(page.items.map((u) => adminView(u, stats.get(String(u._id)))));
+  } catch (err) {
+    logError("Admin list users error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching users");
+  }
+});
+
+// GET /admin/users/:id
+// Purpose: One account with its activity and the latest admin actions taken on it
+router.get("/users/:id", validate({ params: userParams }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).lean();
+    if (!user) {
+      return sendError(res, 404, "NOT_FOUND", "User not found");
+    }
+
+    const [stats, activeSessions, audit] = await Promise.all([
+      statsFor([user._id]),
+      Session.countDocuments(activeFilter({ userId: user._id })),
+      AuditLog.find({ targetId: user._id }).sort({ createdAt: -1 }).limit(20).lean(),
+    ]);
+
+    return res.json({
+      status: "Success",
+      user: { ...adminView(user, stats.get(String(user._id))), activeSessions },
+      audit,
+    });
+  } catch (err) {
+    logError("Admin get user error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching user");
+  }
+});
+
+// POST /admin/users/:id/disable
+// Purpose: Block the account. Its sessions end right away (open event streams close at their
+// next heartbeat); its items and shares stay as they are.
+const disableBody = z.strictObject({
+  reason: z.string().trim().max(500, "Reason must be at most 500 characters").default(""),
+});
+
+router.post(
+  "/users/:id/disable",
+  requirePermission("users:manage"),
+  validate({ params: userParams, body: disableBody }),
+  async (req, res) => {
+    try {
+      const user = await loadTarget(req, res, { allowSelf: false });
+      if (!user) return;
+
+      if (!user.disabledAt) {
+        user.disabledAt = new Date();
+        user.disabledReason = req.body.reason;
+        await user.save();
+        const signedOut = await revokeAllSessions(user._id);
+        await recordAudit(req, "user.disable", user, { reason: req.body.reason, signedOut });
+      }
+
+      return res.json({ status: "Success", user: adminView(user) });
+    } catch (err) {
+      logError("Admin disable user error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error disabling user");
+    }
+  }
+);
+
+// POST /admin/users/:id/enable
+// Purpose: Let a disabled account log in again
+router.post(
+  "/users/:id/enable",
+  requirePermission("users:manage"),
+  validate({ params: userParams, body: z.strictObject({}) }),
+  async (req, res) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      if (user.disabledAt) {
+        user.disabledAt = null;
+        user.disabledReason = "";
+        await user.save();
+        await recordAudit(req, "user.enable", user);
+      }
+
+      return res.json({ status: "Success", user: adminView(user) });
+    } catch (err) {
+      logError("Admin enable user error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error enabling user");
+    }
+  }
+);
+
+// POST /admin/users/:id/password-reset
+// Purpose: Require a new password: login is refused (403 PASSWORD_RESET_REQUIRED) until the
+// emailed link is used, and every device is signed out now
+router.post(
+  "/users/:id/password-reset",
+  requirePermission("users:manage"),
+  validate({ params: userParams, body: z.strictObject({}) }),
+  async (req, res) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      user.passwordResetRequired = true;
+      await user.save();
+      const signedOut = await revokeAllSessions(user._id);
+
+      // The flag stays set even if the email fails; the user can still use "Forgot password"
+      let emailed = true;
+      try {
+        await sendPasswordResetEmail(user, { forced: true });
+      } catch (mailErr) {
+        logError("Forced reset email error:", mailErr);
+        emailed = false;
+      }
+
+      await recordAudit(req, "user.password-reset", user, { signedOut, emailed });
+      return res.json({ status: "Success", user: adminView(user), emailed });
+    } catch (err) {
+      logError("Admin password reset error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error resetting password");
+    }
+  }
+);
+
+// PUT /admin/users/:id/role
+// Purpose: Change an account's role (takes effect on its next request)
+router.put(
+  "/users/:id/role",
+  requirePermission("users:manage"),
+  validate({ params: userParams, body: z.strictObject({ role: z.enum(ROLES) }) }),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      const user = await loadTarget(req, res, { allowSelf: false });
+      if (!user) return;
+
+      const from = user.role || "user";
+      if (from !== role) {
+        user.role = role;
+        await user.save();
+        await recordAudit(req, "user.role", user, { from, to: role });
+      }
+
+      return res.json({ status: "Success", user: adminView(user) });
+    } catch (err) {
+      logError("Admin change role error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error changing role");
+    }
+  }
+);
+
+// -----------------------------
+// Audit trail
+// -----------------------------
+
+// GET /admin/audit
+// Purpose: One page of admin actions, newest first; ?targetId= / ?actorId= / ?action= narrow it.
+// Paging: ?limit= and ?cursor=, with X-Total-Count / X-Next-Cursor.
+const auditQuery = z.strictObject({
+  targetId: fields.objectId.optional(),
+  actorId: fields.objectId.optional(),
+  action: z.enum(AuditLog.schema.path("action").enumValues).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+  cursor: z.string().max(512).optional(),
+});
+
+router.get("/audit", requirePermission("audit:read"), validate({ query: auditQuery }), async (req, res) => {
+  try {
+    const { targetId, actorId, action, limit } = req.query;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, "created", "desc");
+      if (!cursor) return invalidCursor(res);
+    }
+
+    const filter = {};
+    if (targetId) filter.targetId = targetId;
+    if (actorId) filter.actorId = actorId;
+    if (action) filter.action = action;
+
+    const page = await paginate(AuditLog, filter, { sort: "created", order: "desc", limit, cursor });
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    return res.json(page.items);
+  } catch (err) {
+    logError("Admin audit error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching audit trail");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+// -----------------------------
+// ATTACHMENT ROUTES — mounted at /items/:id/attachments
+// - GET    /items/:id/attachments                  -> the item's attachments (metadata)
+// - POST   /items/:id/attachments                  -> multipart upload, field "files" (one or more)
+// - GET    /items/:id/attachments/:attachmentId    -> the file itself, streamed (images inline)
+// - DELETE /items/:id/attachments/:attachmentId    -> remove one attachment
+// Same access rules as the item: anyone it's shared with can list and download, editors and
+// the owner can upload and delete (middleware/itemAccess.js). Size/type limits and storage
+// live in utils/attachments.js; attachments go away when their item is purged.
+// -----------------------------
+
+const express = require("express");
+const multer = require("multer");
+const { pipeline } = require("stream/promises");
+const { validate, fields, z } = require("../middleware/validate");
+const Attachment = require("../models/Attachment");
+const requireAuth = require("../middleware/auth");
+const { loadViewableItem, loadEditableItem } = require("../middleware/itemAccess");
+const { getStorage } = require("../storage");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+const {
+  MAX_BYTES,
+  MAX_PER_ITEM,
+  ALLOWED_TYPES,
+  isImage,
+  multerStorage,
+  attachmentJSON,
+} = require("../utils/attachments");
+
+// mergeParams: the item id comes from the mount path
+const router = express.Router({ mergeParams: true });
+
+// Every route requires a valid access token
+router.use(requireAuth);
+
+const itemParams = z.strictObject({ id: fields.objectId });
+const attachmentParams = z.strictObject({ id: fields.objectId, attachmentId: fields.objectId });
+
+// Files per upload request
+const MAX_FILES_PER_REQUEST = 10;
+
+// A file type outside the allow-list
+class UnsupportedTypeError extends Error {}
+
+const upload = multer({
+  storage: multerStorage(),
+  limits: { fileSize: MAX_BYTES, files: MAX_FILES_PER_REQUEST },
+  defParamCharset: "utf8",                                      // Browsers send file names as UTF-8
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.has(file.mimetype)) return cb(null, true);
+    return cb(new UnsupportedTypeError(`Files of type ${file.mimetype || "unknown"} can't be attached`));
+  },
+}).array("files", MAX_FILES_PER_REQUEST);
+
+// Run multer as a promise so its errors land in the route's own try/catch
+function receiveFiles(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, (err) => (err ? reject(err) : resolve(req.files || [])));
+  });
+}
+
+// Content-Disposition with both a plain and a UTF-8 file name (RFC 6266)
+function contentDisposition(type, filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// GET /items/:id/attachments
+// Purpose: List the item's attachments, oldest first
+router.get("/", validate({ params: itemParams }), loadViewableItem, async (req, res) => {
+  try {
+    const list = await Attachment.find({ itemId: req.item._id }).sort({ createdAt: 1 }).lean();
+    return res.json({ status: "Success", attachments: list.map(attachmentJSON) });
+  } catch (err) {
+    logError("List attachments error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching attachments");
+  }
+});
+
+// POST /items/:id/attachments
+// Purpose: Upload one or more files (multipart/form-data, field "files")
+router.post("/", validate({ params: itemParams }), loadEditableItem, async (req, res) => {
+  let files = [];
+  try {
+    files = await receiveFiles(req, res);
+    if (files.length === 0) {
+      return sendError(res, 400, "VALIDATION_ERROR", "No files were uploaded", {
+        details: [{ location: "body", field: "files", message: "No files were uploaded" }],
+      });
+    }
+
+    // Per-item cap (checked after the upload, since the count is only known now)
+    const existing = await Attachment.countDocuments({ itemId: req.item._id });
+    if (existing + files.length > MAX_PER_ITEM) {
+      await Promise.all(files.map((f) => getStorage().remove(f.storageKey)));
+      const message = `An item can have at most ${MAX_PER_ITEM} attachments`;
+      return sendError(res, 400, "VALIDATION_ERROR", message, {
+        details: [{ location: "body", field: "files", message }],
+      });
+    }
+
+    const created = await Attachment.insertMany(
+      files.map((f) => ({
+        itemId: req.item._id,
+        userId: req.item.userId,
+        filename: f.originalname.slice(0, 255) || "file",
+        mimeType: f.mimetype,
+        size: f.size,
+        storageKey: f.storageKey,
+      }))
+    );
+
+    return res.status(201).json({ status: "Success", attachments: created.map(attachmentJSON) });
+  } catch (err) {
+    if (err instanceof UnsupportedTypeError) {
+      return sendError(res, 415, "UNSUPPORTED_MEDIA_TYPE", err.message);
+    }
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return sendError(res, 413, "PAYLOAD_TOO_LARGE", `Files can be at most ${MAX_BYTES / 1024 / 1024} MB`);
+      }
+      const message = err.code === "LIMIT_FILE_COUNT"
+        ? `At most ${MAX_FILES_PER_REQUEST} files per upload`
+        : "Upload files in the \"files\" field";
+      return sendError(res, 400, "VALIDATION_ERROR", message, {
+        details: [{ location: "body", field: "files", message }],
+      });
+    }
+
+    // Stored files without a record would never be cleaned up
+    await Promise.all(files.map((f) => getStorage().remove(f.storageKey).catch(() => {})));
+    logError("Upload attachments error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error uploading attachments");
+  }
+});
+
+// GET /items/:id/attachments/:attachmentId
+// Purpose: Stream the file to someone who can see the item
+router.get("/:attachmentId", validate({ params: attachmentParams }), loadViewableItem, async (req, res) => {
+  try {
+    const att = await Attachment.findOne({ _id: req.params.attachmentId, itemId: req.item._id })
+      .select("+storageKey")
+      .lean();
+    if (!att) {
+      return sendError(res, 404, "NOT_FOUND", "Attachment not found");
+    }
+
+    res.set({
+      "Content-Type": att.mimeType,
+      "Content-Length": String(att.size),
+      "Content-Disposition": contentDisposition(isImage(att.mimeType) ? "inline" : "attachment", att.filename),
+      "X-Content-Type-Options": "nosniff",                    // Never let a browser reinterpret the bytes
+      "Cache-Control": "private, max-age=3600",
+    });
+    await pipeline(getStorage().createReadStream(att.storageKey), res);
+  } catch (err) {
+    if (res.headersSent) {
+      logError("Download attachment error:", err);
+      return res.destroy();
+    }
+    // Nothing sent yet: drop the file headers and answer with the error envelope
+    for (const header of ["Content-Type", "Content-Length", "Content-Disposition", "Cache-Control"]) {
+      res.removeHeader(header);
+    }
+    if (err.code === "ENOENT") {
+      return sendError(res, 404, "NOT_FOUND", "Attachment file is missing");
+    }
+    logError("Download attachment error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error downloading attachment");
+  }
+});
+
+// DELETE /items/:id/attachments/:attachmentId
+// Purpose: Remove one attachment (record and stored file)
+router.delete("/:attachmentId", validate({ params: attachmentParams }), loadEditableItem, async (req, res) => {
+  try {
+    const att = await Attachment.findOneAndDelete({ _id: req.params.attachmentId, itemId: req.item._id })
+      .select("+storageKey")
+      .lean();
+    if (!att) {
+      return sendError(res, 404, "NOT_FOUND", "Attachment not found");
+    }
+
+    await getStorage().remove(att.storageKey);
+    return res.json({ status: "Success", message: "Attachment deleted" });
+  } catch (err) {
+    logError("Delete attachment error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting attachment");
+  }
+});
+
+module.exports = router;
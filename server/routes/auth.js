@@ -0,0 +1,218 @@
+// -----------------------------
+// AUTH ROUTES — mounted at /
+// - POST /register -> create an unverified account and email a verification link
+// - POST /login    -> 403 EMAIL_NOT_VERIFIED until the link has been followed;
+//                     403 ACCOUNT_DISABLED / PASSWORD_RESET_REQUIRED after an admin action;
+//                     401 with one generic message for any bad credentials;
+//                     429 + Retry-After while throttled (see utils/loginThrottle.js)
+// - POST /refresh -> rotate a refresh token into a new access + refresh token pair
+// - POST /logout  -> revoke the current session on the server
+// - GET  /me      -> the signed-in account (incl. role and permissions)
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const User = require("../models/User");
+const requireAuth = require("../middleware/auth");
+const { verifyPassword, simulatePasswordCheck } = require("../utils/password");
+const { loginWaitSeconds, recordLoginFailure, recordLoginSuccess } = require("../utils/loginThrottle");
+const { signAccessToken } = require("../utils/tokens");
+const { permissionsFor } = require("../middleware/permissions");
+const { startSession, rotateSession, revokeSession } = require("../utils/sessions");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// POST /register
+// Purpose: Create a new (unverified) user if the email doesn't already exist
+const registerBody = z.strictObject({
+  name: fields.name,
+  email: fields.email,
+  password: fields.newPassword,
+});
+
+router.post("/register", validate({ body: registerBody }), async (req, res) => {
+  try {
+    // Read data from the (already validated) request body
+    const { name, email, password } = req.body;
+
+    // Check if a user with this email already exists
+    const existing = await User.findOne({ email }).lean();
+    if (existing) {
+      // Conflict: email already registered
+      return sendError(res, 409, "EMAIL_TAKEN", "Email already exists");
+    }
+
+    // Create the new user (the pre-save hook hashes the password)
+    const user = await User.create({ name, email, password });
+
+    // Email the verification link; the account exists either way and the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      logError("Verification email error:", mailErr);
+    }
+
+    // Respond with success and the new user's basic info
+    return res.status(201).json({
+      status: "Success",
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      verified: user.verified,
+    });
+  } catch (err) {
+    // Handle duplicate key error if unique index triggers
+    if (err && err.code === 11000) {
+      return sendError(res, 409, "EMAIL_TAKEN", "Email already exists");
+    }
+    logError("Register error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error registering user");
+  }
+});
+
+// Reply for throttled login attempts; Retry-After tells the client how long to wait
+function tooManyAttempts(res, seconds) {
+  res.set("Retry-After", String(seconds));
+  return sendError(res, 429, "TOO_MANY_ATTEMPTS", "Too many failed attempts. Please try again later.", {
+    retryAfter: seconds,
+  });
+}
+
+// POST /login
+// Purpose: Verify email and password, then return user basic info + access/refresh tokens
+const loginBody = z.strictObject({
+  email: fields.email,
+  password: fields.password,
+});
+
+router.post("/login", validate({ body: loginBody }), async (req, res) => {
+  try {
+    // Read credentials from the (already validated) request body
+    const { email, password } = req.body;
+
+    // Refuse early while this IP or account is backing off / locked out
+    const wait = await loginWaitSeconds(req, email);
+    if (wait > 0) return tooManyAttempts(res, wait);
+
+    // Find user by email (the hash is excluded by default, so ask for it here)
+    const user = await User.findOne({ email }).select("+password");
+
+    // Compare against the bcrypt hash (or a legacy plain-text value).
+    // Unknown emails still pay for a hash comparison so timing looks the same.
+    let ok = false;
+    let needsRehash = false;
+    if (user) {
+      ({ ok, needsRehash } = await verifyPassword(password, user.password));
+    } else {
+      await simulatePasswordCheck(password);
+    }
+
+    if (!ok) {
+      // Same answer for "no such user" and "wrong password", so accounts can't be enumerated
+      const delay = await recordLoginFailure(req, email);
+      if (delay > 0) res.set("Retry-After", String(delay));
+      return sendError(res, 401, "INVALID_CREDENTIALS", "Invalid email or password",
+        delay > 0 ? { retryAfter: delay } : {});
+    }
+
+    await recordLoginSuccess(req, email);
+
+    // Disabled by an admin: correct credentials, but no way in
+    if (user.disabledAt) {
+      return sendError(res, 403, "ACCOUNT_DISABLED", "This account has been disabled");
+    }
+
+    // Correct password but unconfirmed email: refuse with a distinct status the client can act on
+    if (!user.verified) {
+      return sendError(res, 403, "EMAIL_NOT_VERIFIED", "Please verify your email address before logging in");
+    }
+
+    // An admin required a new password: only the emailed reset link gets them in
+    if (user.passwordResetRequired) {
+      return sendError(res, 403, "PASSWORD_RESET_REQUIRED",
+        "You need to choose a new password. Use the link we emailed you, or request a new one.");
+    }
+
+    // Upgrade legacy plain-text records (or hashes with an outdated cost) in place
+    if (needsRehash) {
+      user.password = password;
+      await user.save();
+    }
+
+    // Start a server-side session for this device
+    const { session, refreshToken } = await startSession(user, req);
+
+    // Success: send user's basic info, a signed access token and the session's refresh token
+    return res.json({
+      status: "Success",
+      token: signAccessToken(user, session),
+      refreshToken,
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    });
+  } catch (err) {
+    logError("Login error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error logging in");
+  }
+});
+
+// POST /refresh
+// Purpose: Trade a refresh token for a fresh access token; the refresh token is rotated
+const refreshBody = z.strictObject({ refreshToken: fields.token });
+
+router.post("/refresh", validate({ body: refreshBody }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Invalid, expired, revoked or reused tokens all look the same to the client
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return sendError(res, 401, "SESSION_ENDED", "Session has ended");
+    }
+
+    // The account may have been removed (or disabled) since the session started
+    const user = await User.findById(rotated.session.userId).lean();
+    if (!user || user.disabledAt) {
+      await revokeSession(rotated.session.userId, rotated.session._id);
+      return sendError(res, 401, "SESSION_ENDED", "Session has ended");
+    }
+
+    return res.json({
+      status: "Success",
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    logError("Refresh error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error refreshing session");
+  }
+});
+
+// POST /logout
+// Purpose: Revoke the session behind the current access token
+router.post("/logout", requireAuth, validate({ body: z.strictObject({}) }), async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.session._id);
+    return res.json({ status: "Success", message: "Logged out" });
+  } catch (err) {
+    logError("Logout error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error logging out");
+  }
+});
+
+// GET /me
+// Purpose: Who is signed in, and what their role allows (the client shows admin links from this)
+router.get("/me", requireAuth, async (req, res) => {
+  const { _id, name, email, role, createdAt } = req.user;
+  return res.json({
+    status: "Success",
+    user: { _id, name, email, role, createdAt, permissions: permissionsFor(role) },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// -----------------------------
+// EMPLOYEE DIRECTORY ROUTES — mounted at /employees (admins only, "employees:manage")
+// - GET    /employees              -> search/filter the directory, A-Z, paged like GET /items
+// - GET    /employees/departments  -> every department with its head count
+// - GET    /employees/org-chart    -> the reporting tree (whole company, or under ?rootId=)
+// - GET    /employees/:id          -> one employee + their management chain and direct reports
+// - POST   /employees              -> add an employee
+// - PATCH  /employees/:id          -> change some fields
+// - DELETE /employees/:id          -> remove an employee; their reports move up to their manager
+// A manager must be another existing employee and can't be someone who (indirectly) reports
+// to the employee, so the hierarchy never has cycles. Changes go to the audit trail.
+// -----------------------------
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { validate, fields, requiredText, z } = require("../middleware/validate");
+const Employee = require("../models/Employee");
+const requireAuth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { decodeCursor, paginate } = require("../utils/pagination");
+const { escapeRegex } = require("../utils/search");
+const { summary, buildTree } = require("../utils/orgChart");
+const { recordAudit } = require("../utils/audit");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every /employees route requires a signed-in admin
+router.use(requireAuth, requirePermission("employees:manage"));
+
+// The directory is listed A-Z (see utils/pagination.js)
+const SORTS = { name: "name" };
+
+// Deepest reporting line the org chart follows
+const MAX_DEPTH = 50;
+
+// Request shapes shared by the routes below
+const employeeParams = z.strictObject({ id: fields.objectId });
+const employeeFields = {
+  name: fields.name,
+  email: fields.email.transform((v) => v.toLowerCase()),
+  department: requiredText("Department", 100),
+  title: requiredText("Job title", 100),
+  managerId: fields.objectId.nullable(),                       // null: reports to nobody
+  phone: z
+    .string({ error: "Phone must be text" })
+    .trim()
+    .regex(/^(\+?[0-9][0-9 ().-]{3,28}[0-9])?$/, "Enter a valid phone number"),
+  joinedAt: fields.date.nullable(),
+};
+
+// POST: name, email, department and job title are required; the rest default to empty
+const employeeBody = z.strictObject({
+  ...employeeFields,
+  managerId: employeeFields.managerId.default(null),
+  phone: employeeFields.phone.default(""),
+  joinedAt: employeeFields.joinedAt.default(null),
+});
+
+// PATCH accepts any subset of the fields (e.g. just { managerId })
+const employeePatch = z
+  .strictObject(employeeFields)
+  .partial()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+// Same shape as every other field error
+function invalidField(res, field, message, location = "body") {
+  return sendError(res, 400, "VALIDATION_ERROR", message, { details: [{ location, field, message }] });
+}
+
+// Entries from the old untyped "employees" collection can lack required fields. Saving one
+// fails until the PATCH fills them in; list what is missing instead of a 500.
+const FIELD_LABELS = { name: "Name", email: "Email", department: "Department", title: "Job title" };
+
+function missingFields(res, err) {
+  const details = Object.values(err.errors).map((e) => ({
+    location: "body",
+    field: e.path,
+    message: e.kind === "required" ? `${FIELD_LABELS[e.path] || e.path} is required` : "Invalid value",
+  }));
+  return sendError(res, 400, "VALIDATION_ERROR", "Some fields are invalid", { details });
+}
+
+// Can `managerId` manage employee `id` (null for a new employee)? Returns an error message or null.
+// $graphLookup walks up from the proposed manager; the employee must not be on that chain.
+async function managerProblem(managerId, id) {
+  if (!managerId) return null;
+  if (id && String(managerId) === String(id)) return "An employee can't be their own manager";
+
+  const [manager] = await Employee.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(managerId)) } },
+    {
+      $graphLookup: {
+        from: Employee.collection.name,
+        startWith: "$managerId",
+        connectFromField: "managerId",
+        connectToField: "_id",
+        as: "chain",
+        maxDepth: MAX_DEPTH,
+      },
+    },
+    { $project: { chain: "$chain._id" } },
+  ]);
+  if (!manager) return "Manager not found";
+  if (id && manager.chain.some((m) => String(m) === String(id))) {
+    return "That manager reports to this employee";
+  }
+  return null;
+}
+
+// -----------------------------
+// Directory
+// -----------------------------
+
+// GET /employees
+// Purpose: One page of the directory, A-Z.
+//   ?q=          -> name, email, job title, department or phone contains this
+//   ?department= -> exactly this department
+//   ?managerId=  -> direct reports of this employee
+// Paging: ?limit= and ?cursor=, with X-Total-Count / X-Next-Cursor like GET /items.
+const listQuery = z.strictObject({
+  q: z.string().trim().max(100).optional(),
+  department: z.string().trim().min(1).max(100).optional(),
+  managerId: fields.objectId.optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  cursor: z.string().max(512).optional(),
+});
+
+router.get("/", validate({ query: listQuery }), async (req, res) => {
+  try {
+    const { q, department, managerId, limit } = req.query;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, "name", "asc");
+      if (!cursor) return invalidField(res, "cursor", "Invalid cursor", "query");
+    }
+
+    const filter = {};
+    if (q) {
+      const re = new RegExp(escapeRegex(q), "i");
+      filter.$or = ["name", "email", "title", "department", "phone"].map((field) => ({ [field]: re }));
+    }
+    if (department) filter.department = department;
+    if (managerId) filter.managerId = managerId;
+
+    const page = await paginate(Employee, filter, { sort: "name", order: "asc", limit, cursor, sortFields: SORTS });
+
+    // Each entry names its manager (one lookup for the whole page)
+    const managerIds = [...new Set(page.items.map((e) => e.managerId).filter(Boolean).map(String))];
+    const managers = await Employee.find({ _id: { $in: managerIds } }).lean();
+    const managerById = new Map(managers.map((m) => [String(m._id), summary(m)]));
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    return res.json(
+      page.items.map((e) => ({ ...e.toJSON(), manager: e.managerId ? managerById.get(String(e.managerId)) || null : null }))
+    );
+  } catch (err) {
+    logError("List employees error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching employees");
+  }
+});
+
+// GET /employees/departments
+// Purpose: The department filter: [{ name, count }] A-Z
+router.get("/departments", async (req, res) => {
+  try {
+    const rows = await Employee.aggregate([
+      { $group: { _id: "$department", count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+    return res.json(rows.filter((r) => r._id).map((r) => ({ name: r._id, count: r.count })));
+  } catch (err) {
+    logError("List departments error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching departments");
+  }
+});
+
+// GET /employees/org-chart
+// Purpose: The reporting hierarchy as nested { _id, name, title, department, email, reports: [...] }.
+// Without ?rootId= every employee without a manager is a root; with it, just that employee and
+// everyone under them (found with $graphLookup, down to MAX_DEPTH levels).
+const chartQuery = z.strictObject({ rootId: fields.objectId.optional() });
+
+router.get("/org-chart", validate({ query: chartQuery }), async (req, res) => {
+  try {
+    const { rootId } = req.query;
+
+    if (!rootId) {
+      const everyone = await Employee.find().select("name title department email managerId").lean();
+      const roots = new Set(everyone.filter((e) => !e.managerId).map((e) => String(e._id)));
+      return res.json({ status: "Success", roots: buildTree(everyone, roots) });
+    }
+
+    const [root] = await Employee.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(rootId) } },
+      {
+        $graphLookup: {
+          from: Employee.collection.name,
+          startWith: "$_id",
+          connectFromField: "_id",
+          connectToField: "managerId",
+          as: "below",
+          maxDepth: MAX_DEPTH,
+        },
+      },
+    ]);
+    if (!root) {
+      return sendError(res, 404, "NOT_FOUND", "Employee not found");
+    }
+
+    const { below, ...top } = root;
+    return res.json({ status: "Success", roots: buildTree([top, ...below], new Set([String(top._id)])) });
+  } catch (err) {
+    logError("Org chart error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error building org chart");
+  }
+});
+
+// GET /employees/:id
+// Purpose: One employee, their management chain (direct manager first) and direct reports
+router.get("/:id", validate({ params: employeeParams }), async (req, res) => {
+  try {
+    const [employee] = await Employee.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
+      {
+        $graphLookup: {
+          from: Employee.collection.name,
+          startWith: "$managerId",
+          connectFromField: "managerId",
+          connectToField: "_id",
+          as: "chain",
+          depthField: "depth",
+          maxDepth: MAX_DEPTH,
+        },
+      },
+    ]);
+    if (!employee) {
+      return sendError(res, 404, "NOT_FOUND", "Employee not found");
+    }
+
+    const reports = await Employee.find({ managerId: employee._id }).sort({ name: 1 }).lean();
+    const { chain, ...rest } = employee;
+
+    return res.json({
+      status: "Success",
+      employee: rest,
+      managers: chain.sort((a, b) => a.depth - b.depth).map(summary),
+      reports: reports.map(summary),
+    });
+  } catch (err) {
+    logError("Get employee error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching employee");
+  }
+});
+
+// -----------------------------
+// Changes
+// -----------------------------
+
+// POST /employees
+// Purpose: Add someone to the directory
+router.post("/", validate({ body: employeeBody }), async (req, res) => {
+  try {
+    const problem = await managerProblem(req.body.managerId, null);
+    if (problem) return invalidField(res, "managerId", problem);
+
+    const employee = await Employee.create(req.body);
+    await recordAudit(req, "employee.create", employee, { name: employee.name });
+
+    return res.status(201).json({ status: "Success", employee });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return sendError(res, 409, "EMAIL_TAKEN", "An employee with that email already exists");
+    }
+    logError("Create employee error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error creating employee");
+  }
+});
+
+// PATCH /employees/:id
+// Purpose: Change some of an employee's fields (e.g. a new manager or department)
+router.patch("/:id", validate({ params: employeeParams, body: employeePatch }), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return sendError(res, 404, "NOT_FOUND", "Employee not found");
+    }
+
+    if (req.body.managerId !== undefined) {
+      const problem = await managerProblem(req.body.managerId, employee._id);
+      if (problem) return invalidField(res, "managerId", problem);
+    }
+
+    employee.set(req.body);
+    const changed = employee.modifiedPaths();
+    await employee.save();
+    if (changed.length > 0) await recordAudit(req, "employee.update", employee, { fields: changed });
+
+    return res.json({ status: "Success", employee });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return sendError(res, 409, "EMAIL_TAKEN", "An employee with that email already exists");
+    }
+    if (err instanceof mongoose.Error.ValidationError) return missingFields(res, err);
+    logError("Update employee error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating employee");
+  }
+});
+
+// DELETE /employees/:id
+// Purpose: Remove an employee; whoever reported to them now reports to their manager
+router.delete("/:id", validate({ params: employeeParams }), async (req, res) => {
+  try {
+    const employee = await Employee.findByIdAndDelete(req.params.id);
+    if (!employee) {
+      return sendError(res, 404, "NOT_FOUND", "Employee not found");
+    }
+
+    const moved = await Employee.updateMany({ managerId: employee._id }, { managerId: employee.managerId });
+    await recordAudit(req, "employee.delete", employee, { name: employee.name, reassigned: moved.modifiedCount });
+
+    return res.json({ status: "Success", message: "Employee removed", reassigned: moved.modifiedCount });
+  } catch (err) {
+    logError("Delete employee error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting employee");
+  }
+});
+
+module.exports = router;
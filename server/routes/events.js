@@ -0,0 +1,129 @@
+// -----------------------------
+// LIVE SYNC ROUTE — mounted at /events
+// - GET /events -> Server-Sent Events stream of item changes for the signed-in user
+//   (created / updated / deleted, see utils/itemEvents.js)
+// Wire format, one message per event:
+//   id: <event id>
+//   event: item
+//   data: { "type": "updated", "item": { ... } }
+// Reconnecting clients send the last id they saw (Last-Event-ID header, or ?lastEventId=)
+// and get what they missed first. When that's impossible (too old or too many) they get
+// `event: reset` and should reload. `event: ready` marks the switch to live events.
+// New notifications (reminders) come as `event: notification` with the notification as data;
+// they carry no id and aren't replayed (the tray loads them from GET /notifications).
+// The access token is checked again on every heartbeat; the stream ends once it expires
+// or the session is revoked, and the client reconnects with a fresh token.
+// -----------------------------
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { validate, z } = require("../middleware/validate");
+const requireAuth = require("../middleware/auth");
+const Session = require("../models/Session");
+const { activeFilter } = require("../utils/sessions");
+const { verifyAccessToken } = require("../utils/tokens");
+const { subscribe, eventsSince } = require("../utils/itemEvents");
+const { subscribeNotifications } = require("../notifications/inAppChannel");
+const logError = require("../utils/logError");
+
+const router = express.Router();
+
+// Every route requires a valid access token
+router.use(requireAuth);
+
+// Comment line sent this often, so proxies keep the connection open
+const HEARTBEAT_MS = 25 * 1000;
+
+// More missed events than this and the client is told to reload instead
+const CATCH_UP_LIMIT = 500;
+
+const streamQuery = z.strictObject({ lastEventId: z.string().max(64).optional() });
+
+// Is the token that opened the stream still good (not expired, session not revoked)?
+async function stillSignedIn(req) {
+  try {
+    verifyAccessToken(req.get("Authorization").split(" ")[1]);
+    return Boolean(await Session.exists(activeFilter({ _id: req.session._id, userId: req.user.id })));
+  } catch {
+    return false;
+  }
+}
+
+// GET /events
+// Purpose: Stream the user's item changes, replaying the ones missed since Last-Event-ID
+router.get("/", validate({ query: streamQuery }), async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",                                  // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");                                 // Reconnect delay for EventSource clients
+
+  // Where a reconnect resumes when nothing is replayed (anything stored from now on sorts after it)
+  const startId = String(new mongoose.Types.ObjectId());
+  let closed = false;
+  const send = (event) => {
+    if (closed) return;
+    res.write(`id: ${event._id}\nevent: item\ndata: ${JSON.stringify({ type: event.type, item: event.item })}\n\n`);
+  };
+
+  // Ids sent during catch-up. Live events held back meanwhile can repeat those, and only those:
+  // an id alone says nothing about when an event was published (ids are made before the write).
+  const replayed = new Set();
+
+  // Listen before catching up, holding live events back until the replay is done
+  let buffer = [];
+  const unsubscribe = subscribe(req.user.id, (event) => (buffer ? buffer.push(event) : send(event)));
+
+  const unsubscribeNotifications = subscribeNotifications(req.user.id, (notification) => {
+    if (!closed) res.write(`event: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+  });
+
+  const heartbeat = setInterval(async () => {
+    if (await stillSignedIn(req)) {
+      if (!closed) res.write(": ping\n\n");
+    } else {
+      res.end();
+    }
+  }, HEARTBEAT_MS);
+
+  // Client went away, or the stream was ended above
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeNotifications();
+  });
+
+  try {
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = await eventsSince(req.user.id, lastEventId, CATCH_UP_LIMIT);
+      if (missed) {
+        missed.forEach((event) => {
+          replayed.add(String(event._id));
+          send(event);
+        });
+      }
+      else if (!closed) res.write("event: reset\ndata: {}\n\n");
+    }
+
+    // Nothing replayed: hand out startId, so a reconnect only asks for what came after it
+    if (!closed) {
+      const idLine = replayed.size > 0 ? "" : `id: ${startId}\n`;
+      res.write(`${idLine}event: ready\ndata: {}\n\n`);
+    }
+
+    const held = buffer;
+    buffer = null;
+    held.filter((event) => !replayed.has(String(event._id))).forEach(send);
+    replayed.clear();
+  } catch (err) {
+    logError("Event stream error:", err);
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+// -----------------------------
+// IMPORT / EXPORT ROUTES — mounted at /items (before routes/items.js, so "export" and
+// "import" are never taken for item ids)
+// - GET  /items/export?format=json|csv|markdown -> streams the caller's items as a download
+//   (markdown: a zip with one .md file per item, metadata in front-matter)
+// - POST /items/import?format=...&dryRun=true   -> the file is the raw request body
+//   (Content-Type: application/octet-stream); every row is validated and checked for
+//   duplicates, and a per-row report comes back. Without dryRun the good rows are created.
+// Formats are described in utils/itemFormats.js.
+// -----------------------------
+
+const express = require("express");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const archiver = require("archiver");
+const yauzl = require("yauzl");
+const { validate, fields, z } = require("../middleware/validate");
+const Item = require("../models/Item");
+const requireAuth = require("../middleware/auth");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+const { ensureTags, tagKey } = require("../utils/tags");
+const { recordInitialRevisions } = require("../utils/revisions");
+const { publishItemEvents } = require("../utils/itemEvents");
+const {
+  exportRecord,
+  csvHeader,
+  csvRow,
+  parseCsv,
+  toMarkdown,
+  slugify,
+  parseMarkdown,
+} = require("../utils/itemFormats");
+
+const router = express.Router();
+
+// Every route here requires a valid access token
+router.use(requireAuth);
+
+// Uploads up to IMPORT_MAX_MB (default 10) and IMPORT_MAX_ROWS items (default 2000)
+const IMPORT_MAX_BYTES = (parseFloat(process.env.IMPORT_MAX_MB) || 10) * 1024 * 1024;
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 2000;
+
+const FORMATS = ["json", "csv", "markdown"];
+
+// A file that can't be read at all (as opposed to individual bad rows)
+class InvalidFileError extends Error {}
+
+// JSON export: one array, written item by item
+async function* jsonChunks(items) {
+  yield "[\n";
+  let first = true;
+  for await (const item of items) {
+    yield `${first ? "" : ",\n"}${JSON.stringify(exportRecord(item))}`;
+    first = false;
+  }
+  yield "\n]\n";
+}
+
+// CSV export: header (with a BOM so spreadsheets pick UTF-8), then one row per item
+async function* csvChunks(items) {
+  yield `\uFEFF${csvHeader()}`;
+  for await (const item of items) yield csvRow(item);
+}
+
+// The client went away mid-download (nothing to report; the cursor is closed anyway)
+const isAbort = (err) => err?.code === "ERR_STREAM_PREMATURE_CLOSE";
+
+// -----------------------------
+// EXPORT
+// -----------------------------
+
+// GET /items/export
+// Purpose: Download every (non-trashed) item, oldest first
+const exportQuery = z.strictObject({
+  format: z.enum(FORMATS, { error: "format must be json, csv or markdown" }).default("json"),
+  archived: z.enum(["true", "false", "all"]).default("all"),
+});
+
+router.get("/export", validate({ query: exportQuery }), async (req, res) => {
+  const { format, archived } = req.query;
+  const filter = { userId: req.user.id, deletedAt: null };
+  if (archived !== "all") filter.archived = archived === "true" ? true : { $ne: true };
+  const items = Item.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  // pipeline() waits while the client reads slowly and stops (closing the source) if it disconnects
+  try {
+    if (format === "json") {
+      res.type("application/json");
+      res.attachment(`items-${stamp}.json`);
+      return await pipeline(Readable.from(jsonChunks(items)), res);
+    }
+
+    if (format === "csv") {
+      res.type("text/csv; charset=utf-8");
+      res.attachment(`items-${stamp}.csv`);
+      return await pipeline(Readable.from(csvChunks(items)), res);
+    }
+
+    // Markdown: one file per item, named after the title (numbered when titles repeat)
+    res.type("application/zip");
+    res.attachment(`items-${stamp}.zip`);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const sent = pipeline(archive, res);
+    sent.catch(() => {});                                       // Awaited below; don't report it twice
+
+    const used = new Set();
+    for await (const item of items) {
+      if (res.destroyed) break;
+      const base = slugify(item.title);
+      let name = `${base}.md`;
+      for (let n = 2; used.has(name); n++) name = `${base}-${n}.md`;
+      used.add(name);
+      archive.append(toMarkdown(item), { name, date: item.updatedAt });
+    }
+    if (!res.destroyed) archive.finalize();
+    return await sent;
+  } catch (err) {
+    if (isAbort(err)) return undefined;
+    logError("Export items error:", err);
+    // Once the download has started the only way to signal failure is to cut it off
+    if (res.headersSent) return res.destroy();
+    return sendError(res, 500, "INTERNAL_ERROR", "Error exporting items");
+  } finally {
+    await items.close().catch(() => {});
+  }
+});
+
+// -----------------------------
+// IMPORT
+// -----------------------------
+
+// Read the .md files out of a zip upload (directories, dotfiles and __MACOSX are skipped)
+function readZipMarkdown(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (openErr, zip) => {
+      if (openErr) return reject(new InvalidFileError("The zip file can't be read"));
+
+      const files = [];
+      let totalBytes = 0;
+      const fail = (err) => {
+        zip.close();
+        reject(err);
+      };
+
+      zip.on("entry", (entry) => {
+        const name = entry.fileName;
+        const hidden = name.split("/").some((part) => part.startsWith(".") || part === "__MACOSX");
+        if (name.endsWith("/") || hidden || !/\.md$/i.test(name)) return zip.readEntry();
+
+        // Guard against zip bombs: limit both the file count and the unpacked size
+        totalBytes += entry.uncompressedSize;
+        if (files.length >= IMPORT_MAX_ROWS || totalBytes > IMPORT_MAX_BYTES * 4) {
+          return fail(new InvalidFileError("The zip file is too large"));
+        }
+
+        zip.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(new InvalidFileError(`Can't read ${name}`));
+          const chunks = [];
+          stream.on("data", (chunk) => chunks.push(chunk));
+          stream.on("error", () => fail(new InvalidFileError(`Can't read ${name}`)));
+          stream.on("end", () => {
+            files.push({ name, text: Buffer.concat(chunks).toString("utf8") });
+            zip.readEntry();
+          });
+        });
+      });
+      zip.on("end", () => resolve(files.sort((a, b) => a.name.localeCompare(b.name))));
+      zip.on("error", () => reject(new InvalidFileError("The zip file can't be read")));
+      zip.readEntry();
+    });
+  });
+}
+
+// File -> [{ row, file?, data }] (row numbers are 1-based, in file order)
+async function parseUpload(format, buffer) {
+  const text = () => buffer.toString("utf8");
+
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text());
+    } catch {
+      throw new InvalidFileError("The file is not valid JSON");
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(list)) throw new InvalidFileError("Expected a JSON array of items");
+    return list.map((data, i) => ({ row: i + 1, data }));
+  }
+
+  if (format === "csv") {
+    const rows = parseCsv(text());
+    if (rows.length > 0 && rows.every((r) => r.title === undefined)) {
+      throw new InvalidFileError("The CSV needs a header line with a title column");
+    }
+    return rows.map((data, i) => ({ row: i + 1, data }));
+  }
+
+  // Markdown: a zip of .md files, or a single .md file
+  const isZip = buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  const files = isZip ? await readZipMarkdown(buffer) : [{ name: "upload.md", text: text() }];
+  return files.map(({ name, text: content }, i) => {
+    const fallbackTitle = name.split("/").pop().replace(/\.md$/i, "");
+    return { row: i + 1, file: name, data: parseMarkdown(content, fallbackTitle) };
+  });
+}
+
+// What an imported row may contain (anything else, e.g. exported ids and dates, is ignored)
+const importRow = z.object({
+  title: fields.title,
+  description: fields.description.default(""),
+  tags: fields.tags.default([]),
+  pinned: z.boolean({ error: "pinned must be true or false" }).default(false),
+  archived: z.boolean({ error: "archived must be true or false" }).default(false),
+});
+
+// Two items are duplicates when title (any case) and description match
+const duplicateKey = (item) => `${item.title.toLowerCase()}\u0000${item.description || ""}`;
+
+// POST /items/import
+// Purpose: Preview (dryRun=true) or run an import. Response:
+//   { status, dryRun, summary: { rows, new, duplicates, errors, imported },
+//     rows: [{ row, file?, title, status: "new" | "duplicate" | "error", errors? }] }
+// duplicates=skip (default) leaves rows matching an existing item (or an earlier row) out.
+const importQuery = z.strictObject({
+  format: z.enum(FORMATS, { error: "format must be json, csv or markdown" }),
+  dryRun: fields.flag.default(false),
+  duplicates: z.enum(["skip", "import"]).default("skip"),
+});
+
+router.post(
+  "/import",
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  validate({ query: importQuery }),
+  async (req, res) => {
+    try {
+      const { format, dryRun, duplicates } = req.query;
+      const userId = req.user.id;
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return sendError(res, 400, "INVALID_FILE", "Send the file as the request body");
+      }
+
+      const parsed = await parseUpload(format, req.body);
+      if (parsed.length > IMPORT_MAX_ROWS) {
+        return sendError(res, 400, "INVALID_FILE", `At most ${IMPORT_MAX_ROWS} items per import`);
+      }
+
+      // Existing items the rows are compared against
+      const existing = await Item.find({ userId, deletedAt: null }).select("title description").lean();
+      const seen = new Set(existing.map(duplicateKey));
+
+      const rows = [];
+      const toCreate = [];
+      for (const { row, file, data } of parsed) {
+        const report = { row, ...(file ? { file } : {}), title: typeof data?.title === "string" ? data.title : null };
+
+        const result = importRow.safeParse(data && typeof data === "object" ? data : {});
+        if (!result.success) {
+          const errors = result.error.issues.map((issue) => ({ field: issue.path.join("."), message: issue.message }));
+          rows.push({ ...report, status: "error", errors });
+          continue;
+        }
+
+        const key = duplicateKey(result.data);
+        if (seen.has(key)) {
+          rows.push({ ...report, status: "duplicate" });
+          if (duplicates === "skip") continue;
+        } else {
+          rows.push({ ...report, status: "new" });
+        }
+        seen.add(key);
+        toCreate.push(result.data);
+      }
+
+      let imported = 0;
+      if (!dryRun && toCreate.length > 0) {
+        // Canonical tag spellings (creating missing tags) in one go
+        const names = await ensureTags(userId, toCreate.flatMap((data) => data.tags));
+        const canonical = new Map(names.map((name) => [tagKey(name), name]));
+
+        const created = await Item.insertMany(
+          toCreate.map((data) => ({
+            ...data,
+            userId,
+            tags: [...new Set(data.tags.map((t) => canonical.get(tagKey(t)) || t))],
+          }))
+        );
+        await recordInitialRevisions(created, req.user);
+        await publishItemEvents("created", created);
+        imported = created.length;
+      }
+
+      const count = (status) => rows.filter((r) => r.status === status).length;
+      return res.json({
+        status: "Success",
+        dryRun,
+        summary: { rows: rows.length, new: count("new"), duplicates: count("duplicate"), errors: count("error"), imported },
+        rows,
+      });
+    } catch (err) {
+      if (err instanceof InvalidFileError) {
+        return sendError(res, 400, "INVALID_FILE", err.message);
+      }
+      logError("Import items error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error importing items");
+    }
+  }
+);
+
+module.exports = router;
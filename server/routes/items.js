@@ -0,0 +1,690 @@
+// -----------------------------
+// CRUD ROUTES (Items) — mounted at /items
+// - Every route requires a valid access token; the owner always comes from req.user
+// - Routes that address a single item go through the loaders in middleware/itemAccess.js
+//   (400 / 403 / 404 handling)
+// - Bodies and params are validated up front (see middleware/validate.js)
+// - Items can carry tags (colors: routes/tags.js), be pinned (listed first) or archived
+//   (hidden unless ?archived=true|all)
+// - DELETE moves an item to the Trash; /items/trash lists, restores and purges trashed items
+//   (anything left there is purged after the retention period, see jobs/trashPurge.js)
+// - Content changes are recorded as revisions (utils/revisions.js): GET /items/:id/revisions
+//   lists them, POST /items/:id/revisions/:revisionId/restore brings one back as a new revision
+// - Single-item responses carry the item's version as an ETag; PUT/PATCH/restore honour
+//   If-Match and answer a stale one with 409 VERSION_CONFLICT (utils/itemVersion.js)
+// - POST /items/batch runs many create/update/delete operations in one request
+// - POST /items may carry a client-generated _id (offline clients); sending the same create
+//   again returns the item it already made instead of a duplicate
+// - Listings include each item's attachments (metadata only; files: routes/attachments.js)
+// - Items can be shared (routes/shares.js): GET /items/shared lists the ones shared with the
+//   caller; viewers may read them, editors may also edit/delete them (utils/sharing.js)
+// - Items may have a due date (dueAt) and a reminder time (remindAt); null clears either.
+//   Reminders are sent by jobs/reminders.js
+// - Every change is pushed to the open clients of everyone who can see the item
+//   (utils/itemEvents.js, GET /events)
+// -----------------------------
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { validate, fields, z } = require("../middleware/validate");
+const Item = require("../models/Item");
+const Revision = require("../models/Revision");
+const requireAuth = require("../middleware/auth");
+const {
+  loadViewableItem,
+  loadEditableItem,
+  loadRestorableItem,
+  loadTrashedItem,
+  checkIfMatch,
+} = require("../middleware/itemAccess");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+const { SORT_FIELDS, decodeCursor, paginate } = require("../utils/pagination");
+const { parseQuery, isEmpty, searchFilter, highlight, prefixScore } = require("../utils/search");
+const { ensureTags } = require("../utils/tags");
+const { purgeAt } = require("../jobs/trashPurge");
+const { snapshot, recordRevision } = require("../utils/revisions");
+const { publishItemEvents } = require("../utils/itemEvents");
+const { attachmentsByItem } = require("../utils/attachments");
+const { purgeItems } = require("../utils/purgeItems");
+const { setItemETag, sendVersionConflict, isVersionError } = require("../utils/itemVersion");
+const { accessLevel, allows, visibleTo, viewsFor, viewFor } = require("../utils/sharing");
+
+const router = express.Router();
+
+// Every /items route requires a valid access token
+router.use(requireAuth);
+
+// Request shapes shared by the routes below
+const itemParams = z.strictObject({ id: fields.objectId });
+const itemBody = z.strictObject({
+  title: fields.title,
+  description: fields.description.default(""),               // Optional everywhere; defaults to ""
+  tags: fields.tags.optional(),
+  pinned: z.boolean().optional(),
+  archived: z.boolean().optional(),
+  dueAt: fields.dateTime.nullable().optional(),
+  remindAt: fields.dateTime.nullable().optional(),
+});
+
+// POST may also name the new item's id (generated by an offline client, see POST /items)
+const createBody = itemBody.extend({ _id: fields.objectId.optional() });
+
+// PATCH accepts any subset of the fields (e.g. just { pinned: true })
+const itemPatch = z
+  .strictObject({
+    title: fields.title.optional(),
+    description: fields.description.optional(),
+    tags: fields.tags.optional(),
+    pinned: z.boolean().optional(),
+    archived: z.boolean().optional(),
+    dueAt: fields.dateTime.nullable().optional(),
+    remindAt: fields.dateTime.nullable().optional(),
+  })
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+// Pinning and archiving shape the owner's own lists, so people it's shared with can't change them
+const OWNER_FIELDS = ["pinned", "archived"];
+const touchesOwnerFields = (body) => OWNER_FIELDS.some((key) => body[key] !== undefined);
+const OWNER_FIELDS_MESSAGE = "Only the item's owner can pin or archive it";
+
+// Copy the fields present in a validated body onto an item (tags are canonicalised first,
+// in the tag set of `userId`, which is always the item's owner)
+async function applyChanges(item, body, userId, session = null) {
+  for (const key of ["title", "description", "pinned", "archived", "dueAt"]) {
+    if (body[key] !== undefined) item[key] = body[key];
+  }
+  // A new reminder time is a new reminder: it goes out even if the old one already did
+  if (body.remindAt !== undefined && body.remindAt?.getTime() !== item.remindAt?.getTime()) {
+    item.remindAt = body.remindAt;
+    item.reminderSentAt = null;
+  }
+  if (body.tags !== undefined) item.tags = await ensureTags(userId, body.tags, session);
+}
+
+// Another request saved the item between our load and our save: answer like a stale If-Match
+async function sendLatestVersion(res, itemId) {
+  const current = await Item.findOne({ _id: itemId, deletedAt: null });
+  if (!current) {
+    return sendError(res, 404, "NOT_FOUND", "Item not found");
+  }
+  return sendVersionConflict(res, current);
+}
+
+// GET /items query: page size, cursor, sort and an optional date range
+const listQuery = z.strictObject({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().max(512).optional(),
+  sort: z.enum(Object.keys(SORT_FIELDS)).default("created"),
+  order: z.enum(["asc", "desc"]).optional(),                   // Default: newest first for dates, A-Z for title
+  dateField: z.enum(["created", "updated"]).default("created"), // Which timestamp from/to apply to
+  from: z.coerce.date({ error: "from must be a date" }).optional(),
+  to: z.coerce.date({ error: "to must be a date" }).optional(),
+  tag: z.string().trim().min(1).max(30).optional(),            // Only items with this tag
+  pinned: fields.flag.optional(),                              // Only pinned / only unpinned items
+  archived: z.enum(["true", "false", "all"]).default("false"), // Archive view, default view, or both
+});
+
+// The item a repeated create (same client-generated _id) refers to: 200 with it if it's the
+// caller's, 409 if someone else's item already has that id
+async function sendExistingItem(res, id, userId) {
+  const existing = await Item.findById(id);
+  if (!existing || existing.userId !== userId) {
+    return sendError(res, 409, "ID_TAKEN", "That item id is already in use");
+  }
+  setItemETag(res, existing);
+  return res.json({ status: "Success", item: existing });
+}
+
+// POST /items
+// Purpose: Create a new item belonging to the signed-in user (201), or return the one an
+// earlier request with the same _id created (200), so replaying a create is harmless
+router.post("/", validate({ body: createBody }), async (req, res) => {
+  try {
+    // Read item data from the validated body (the owner always comes from the token)
+    const userId = req.user.id;
+    const { _id, ...fieldsSent } = req.body;
+    if (_id && (await Item.exists({ _id }))) {
+      return sendExistingItem(res, _id, userId);
+    }
+
+    const item = new Item({ userId, ...(_id ? { _id } : {}) });
+    await applyChanges(item, fieldsSent, userId);
+
+    // Save the new item; its first revision is the initial content
+    try {
+      await item.save();
+    } catch (err) {
+      // The same create arrived twice at once and the other one won
+      if (_id && err.code === 11000) return sendExistingItem(res, _id, userId);
+      throw err;
+    }
+    await recordRevision(item, req.user);
+    await publishItemEvents("created", [item]);
+
+    // Respond with the created item
+    setItemETag(res, item);
+    return res.status(201).json({ status: "Success", item });
+  } catch (err) {
+    logError("Create item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error creating item");
+  }
+});
+
+// GET /items
+// Purpose: One page of the signed-in user's items.
+// The body stays a plain array (as older clients expect); paging info travels in headers:
+//   X-Total-Count -> number of items matching the filters (all pages)
+//   X-Next-Cursor -> pass back as ?cursor= for the next page (absent on the last page)
+router.get("/", validate({ query: listQuery }), async (req, res) => {
+  try {
+    const { limit, sort, dateField, from, to, tag, pinned, archived } = req.query;
+    const order = req.query.order || (sort === "title" ? "asc" : "desc");
+
+    // A cursor only makes sense for the sort it was created with
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, sort, order);
+      if (!cursor) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid cursor", {
+          details: [{ location: "query", field: "cursor", message: "Invalid cursor" }],
+        });
+      }
+    }
+
+    // The owner comes from the access token, never from the URL; trashed items never show here
+    const filter = { userId: req.user.id, deletedAt: null };
+    if (archived !== "all") filter.archived = archived === "true" ? true : { $ne: true };
+    if (pinned !== undefined) filter.pinned = pinned ? true : { $ne: true };
+    if (tag) filter.tags = tag;
+    if (from || to) {
+      filter[SORT_FIELDS[dateField]] = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    }
+
+    // Pinned items always come first (unless the listing is already limited to one group)
+    const page = await paginate(Item, filter, { sort, order, limit, cursor, pinnedFirst: pinned === undefined });
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    // Return the array directly (your frontend expects res.data to be an array)
+    const attachments = await attachmentsByItem(page.items.map((item) => item._id));
+    return res.json(page.items.map((item) => ({ ...item.toJSON(), attachments: attachments[item._id] || [] })));
+  } catch (err) {
+    logError("Get items error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching items");
+  }
+});
+
+// GET /items/search
+// Purpose: Ranked full-text search over the caller's items (syntax: see utils/search.js).
+// Returns { status, query, results: [{ item, score, highlights }] }, best match first.
+const searchQuery = z.strictObject({
+  q: z.string({ error: "Search query is required" }).trim().min(1, "Search query is required").max(200),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+router.get("/search", validate({ query: searchQuery }), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    const parsed = parseQuery(q);
+    if (isEmpty(parsed)) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Search query is too short", {
+        details: [{ location: "query", field: "q", message: "Search query is too short" }],
+      });
+    }
+
+    // Always scoped to the caller's own items (not the ones in the Trash)
+    const filter = { userId: req.user.id, deletedAt: null, ...searchFilter(parsed) };
+
+    let results;
+    if (filter.$text) {
+      // Let MongoDB rank by text score
+      const items = await Item.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, updatedAt: -1 })
+        .limit(limit)
+        .lean();
+      results = items.map(({ score, ...item }) => ({ item, score }));
+    } else {
+      // Prefix-only query: no text score, so rank the (bounded) candidate set ourselves
+      const items = await Item.find(filter).sort({ updatedAt: -1 }).limit(500).lean();
+      results = items
+        .map((item) => ({ item, score: prefixScore(item, parsed) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+
+    const attachments = await attachmentsByItem(results.map((r) => r.item._id));
+    return res.json({
+      status: "Success",
+      query: q,
+      results: results.map((r) => ({
+        ...r,
+        item: { ...r.item, attachments: attachments[r.item._id] || [] },
+        highlights: highlight(r.item, parsed),
+      })),
+    });
+  } catch (err) {
+    logError("Search items error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error searching items");
+  }
+});
+
+// -----------------------------
+// BATCH
+// -----------------------------
+
+// POST /items/batch
+// Purpose: Run several operations in one request, in order:
+//   { "atomic": false, "operations": [
+//       { "op": "create", "data": { title, description?, tags?, pinned?, archived? } },
+//       { "op": "update", "id": "...", "version": 3, "data": { ...any subset } },
+//       { "op": "delete", "id": "...", "version": 3 } ] }
+// "version" is optional and works like If-Match; deletes move items to the Trash.
+// Returns { status, atomic, succeeded, failed, results: [{ index, op, status, item | code + message }] }.
+// With atomic: true everything runs in one MongoDB transaction: if any operation fails,
+// none of them is applied and the response is a 409 BATCH_ABORTED carrying the results.
+const BATCH_MAX = 100;
+
+const batchOperation = z.discriminatedUnion(
+  "op",
+  [
+    z.strictObject({ op: z.literal("create"), data: itemBody }),
+    z.strictObject({
+      op: z.literal("update"),
+      id: fields.objectId,
+      version: z.number().int().min(0).optional(),
+      data: itemPatch,
+    }),
+    z.strictObject({
+      op: z.literal("delete"),
+      id: fields.objectId,
+      version: z.number().int().min(0).optional(),
+    }),
+  ],
+  { error: 'op must be "create", "update" or "delete"' }
+);
+
+const batchBody = z.strictObject({
+  atomic: z.boolean().default(false),
+  operations: z
+    .array(batchOperation, { error: "Operations must be a list" })
+    .min(1, "At least one operation is required")
+    .max(BATCH_MAX, `At most ${BATCH_MAX} operations per batch`),
+});
+
+// Run one operation; returns its result ({ status, item } or { status, code, message })
+async function runOperation(op, user, session) {
+  const userId = user.id;
+
+  if (op.op === "create") {
+    const item = new Item({ userId });
+    await applyChanges(item, op.data, userId, session);
+    await item.save({ session });
+    await recordRevision(item, user, { session });
+    return { status: 201, item };
+  }
+
+  // update / delete address a live item the caller owns or may edit
+  const item = await Item.findOne({ _id: op.id, ...visibleTo(userId), deletedAt: null }).session(session);
+  if (!item) {
+    return { status: 404, code: "NOT_FOUND", message: "Item not found" };
+  }
+  const access = accessLevel(item, userId);
+  if (!allows(access, "editor")) {
+    return { status: 403, code: "FORBIDDEN", message: "You can only view this item" };
+  }
+  if (op.op === "update" && access !== "owner" && touchesOwnerFields(op.data)) {
+    return { status: 403, code: "FORBIDDEN", message: OWNER_FIELDS_MESSAGE };
+  }
+  if (op.version !== undefined && op.version !== item.version) {
+    return { status: 409, code: "VERSION_CONFLICT", message: "This item was changed elsewhere", current: item };
+  }
+
+  if (op.op === "update") {
+    const before = snapshot(item);
+    await applyChanges(item, op.data, item.userId, session);
+    await item.save();                                          // Uses the session it was loaded with
+    await recordRevision(item, user, { before, session });
+  } else {
+    item.deletedAt = new Date();
+    await item.save();
+  }
+  return { status: 200, item };
+}
+
+// Aborts the transaction of an atomic batch once an operation has failed
+class BatchAborted extends Error {}
+
+router.post("/batch", validate({ body: batchBody }), async (req, res) => {
+  const { atomic, operations } = req.body;
+  let results = [];
+
+  try {
+    if (!atomic) {
+      // Independent operations: a failure only affects its own result
+      for (const [index, op] of operations.entries()) {
+        let result;
+        try {
+          result = await runOperation(op, req.user, null);
+        } catch (err) {
+          if (isVersionError(err)) {
+            result = { status: 409, code: "VERSION_CONFLICT", message: "This item was changed elsewhere" };
+          } else {
+            logError("Batch operation error:", err);
+            result = { status: 500, code: "INTERNAL_ERROR", message: "Operation failed" };
+          }
+        }
+        results.push({ index, op: op.op, ...result });
+      }
+    } else {
+      const session = await mongoose.startSession();
+      try {
+        // withTransaction may retry the callback on transient errors, so results start over each time
+        await session.withTransaction(async () => {
+          results = [];
+          for (const [index, op] of operations.entries()) {
+            let result;
+            try {
+              result = await runOperation(op, req.user, session);
+            } catch (err) {
+              // A stale save is this operation's failure (409), like in a non-atomic batch;
+              // anything else (incl. transient errors withTransaction retries) propagates
+              if (!isVersionError(err)) throw err;
+              result = { status: 409, code: "VERSION_CONFLICT", message: "This item was changed elsewhere" };
+            }
+            results.push({ index, op: op.op, ...result });
+            if (result.code) throw new BatchAborted();
+          }
+        });
+      } catch (err) {
+        if (!(err instanceof BatchAborted)) throw err;
+
+        // Nothing was applied: earlier "successes" were rolled back with the rest
+        const failed = results[results.length - 1];
+        return sendError(res, 409, "BATCH_ABORTED", `Operation ${failed.index + 1} failed; no changes were made`, {
+          results: results.map(({ item, ...r }) => (r.code ? r : { ...r, status: 424, rolledBack: true })),
+        });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    // Push what was applied (an aborted atomic batch returned above and changed nothing)
+    const applied = (op) => results.filter((r) => !r.code && r.op === op).map((r) => r.item);
+    await publishItemEvents("created", applied("create"));
+    await publishItemEvents("updated", applied("update"));
+    await publishItemEvents("deleted", applied("delete"));
+
+    const failed = results.filter((r) => r.code).length;
+    return res.json({ status: "Success", atomic, succeeded: results.length - failed, failed, results });
+  } catch (err) {
+    // Transactions need a replica set; a standalone server reports IllegalOperation (20)
+    if (err.code === 20) {
+      return sendError(res, 501, "ATOMIC_UNAVAILABLE", "All-or-nothing batches aren't available on this server");
+    }
+    logError("Batch items error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error running batch");
+  }
+});
+
+// -----------------------------
+// TRASH — declared before the /:id routes so "trash" is never taken for an id
+// -----------------------------
+
+// GET /items/trash
+// Purpose: One page of the caller's trashed items, most recently deleted first.
+// Same paging headers as GET /items; each item also carries the date it will be purged.
+const trashQuery = z.strictObject({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().max(512).optional(),
+});
+
+router.get("/trash", validate({ query: trashQuery }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+
+    // Moving an item to the Trash bumps updatedAt, so "updated, newest first" is deletion order
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, "updated", "desc");
+      if (!cursor) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid cursor", {
+          details: [{ location: "query", field: "cursor", message: "Invalid cursor" }],
+        });
+      }
+    }
+
+    const filter = { userId: req.user.id, deletedAt: { $ne: null } };
+    const page = await paginate(Item, filter, { sort: "updated", order: "desc", limit, cursor });
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    return res.json(page.items.map((item) => ({ ...item.toJSON(), purgeAt: purgeAt(item) })));
+  } catch (err) {
+    logError("Get trash error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching trash");
+  }
+});
+
+// POST /items/trash/:id/restore
+// Purpose: Take an item back out of the Trash (also used by the "Undo" after a delete,
+// which is why editors of a shared item may restore it too)
+router.post("/trash/:id/restore", validate({ params: itemParams }), loadRestorableItem, async (req, res) => {
+  try {
+    const { item } = req;
+    item.deletedAt = null;
+    await item.save();
+    await publishItemEvents("updated", [item]);
+
+    return res.json({ status: "Success", item: await viewFor(item, req.user) });
+  } catch (err) {
+    logError("Restore item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error restoring item");
+  }
+});
+
+// DELETE /items/trash/:id
+// Purpose: Permanently delete one trashed item
+router.delete("/trash/:id", validate({ params: itemParams }), loadTrashedItem, async (req, res) => {
+  try {
+    await purgeItems({ _id: req.item._id });
+
+    return res.json({ status: "Success", message: "Item permanently deleted" });
+  } catch (err) {
+    logError("Purge item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting item");
+  }
+});
+
+// DELETE /items/trash
+// Purpose: Empty the caller's Trash
+router.delete("/trash", async (req, res) => {
+  try {
+    const deleted = await purgeItems({ userId: req.user.id, deletedAt: { $ne: null } });
+
+    return res.json({ status: "Success", message: "Trash emptied", deleted });
+  } catch (err) {
+    logError("Empty trash error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error emptying trash");
+  }
+});
+
+// -----------------------------
+// SHARED WITH ME — also before the /:id routes
+// -----------------------------
+
+// GET /items/shared
+// Purpose: One page of the items other users shared with the caller, most recently updated
+// first. Same body/headers as GET /items; each item carries `access` and `owner`.
+const sharedQuery = z.strictObject({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().max(512).optional(),
+});
+
+router.get("/shared", validate({ query: sharedQuery }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, "updated", "desc");
+      if (!cursor) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid cursor", {
+          details: [{ location: "query", field: "cursor", message: "Invalid cursor" }],
+        });
+      }
+    }
+
+    const filter = { "shares.userId": req.user.id, deletedAt: null };
+    const page = await paginate(Item, filter, { sort: "updated", order: "desc", limit, cursor });
+
+    res.set("X-Total-Count", String(page.total));
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+
+    const [views, attachments] = await Promise.all([
+      viewsFor(page.items, req.user),
+      attachmentsByItem(page.items.map((item) => item._id)),
+    ]);
+    return res.json(views.map((view) => ({ ...view, attachments: attachments[view._id] || [] })));
+  } catch (err) {
+    logError("Get shared items error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching shared items");
+  }
+});
+
+// -----------------------------
+// SINGLE ITEM
+// -----------------------------
+
+// GET /items/:id
+// Purpose: One item (with its ETag), e.g. to refresh a copy before editing
+router.get("/:id", validate({ params: itemParams }), loadViewableItem, async (req, res) => {
+  try {
+    setItemETag(res, req.item);
+    return res.json({ status: "Success", item: await viewFor(req.item, req.user) });
+  } catch (err) {
+    logError("Get item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching item");
+  }
+});
+
+// PUT /items/:id
+// Purpose: Update an item the signed-in user owns or may edit (If-Match: its ETag)
+router.put("/:id", validate({ params: itemParams, body: itemBody }), loadEditableItem, checkIfMatch, async (req, res) => {
+  try {
+    // The item was already loaded (and access checked) by loadEditableItem
+    const { item } = req;
+    if (req.access !== "owner" && touchesOwnerFields(req.body)) {
+      return sendError(res, 403, "FORBIDDEN", OWNER_FIELDS_MESSAGE);
+    }
+
+    // Replace title/description; tags, pinned and archived only change when sent
+    const before = snapshot(item);
+    await applyChanges(item, req.body, item.userId);
+    await item.save();
+    await recordRevision(item, req.user, { before });
+    await publishItemEvents("updated", [item]);
+
+    // Success: return the updated item
+    setItemETag(res, item);
+    return res.json({ status: "Success", item: await viewFor(item, req.user) });
+  } catch (err) {
+    if (isVersionError(err)) return sendLatestVersion(res, req.item._id);
+    logError("Update item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating item");
+  }
+});
+
+// PATCH /items/:id
+// Purpose: Partial update (pin/unpin, archive/unarchive, retag, ...)
+router.patch("/:id", validate({ params: itemParams, body: itemPatch }), loadEditableItem, checkIfMatch, async (req, res) => {
+  try {
+    const { item } = req;
+    if (req.access !== "owner" && touchesOwnerFields(req.body)) {
+      return sendError(res, 403, "FORBIDDEN", OWNER_FIELDS_MESSAGE);
+    }
+
+    const before = snapshot(item);
+    await applyChanges(item, req.body, item.userId);
+    await item.save();
+    await recordRevision(item, req.user, { before });             // Only if title/description/tags changed
+    await publishItemEvents("updated", [item]);
+
+    setItemETag(res, item);
+    return res.json({ status: "Success", item: await viewFor(item, req.user) });
+  } catch (err) {
+    if (isVersionError(err)) return sendLatestVersion(res, req.item._id);
+    logError("Patch item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating item");
+  }
+});
+
+// GET /items/:id/revisions
+// Purpose: The item's revision history, newest first
+router.get("/:id/revisions", validate({ params: itemParams }), loadViewableItem, async (req, res) => {
+  try {
+    const revisions = await Revision.find({ itemId: req.item._id }).sort({ number: -1 }).limit(200).lean();
+
+    return res.json({ status: "Success", revisions });
+  } catch (err) {
+    logError("Get revisions error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching revisions");
+  }
+});
+
+// POST /items/:id/revisions/:revisionId/restore
+// Purpose: Bring back an earlier revision's content; the restore itself becomes a new revision
+const revisionParams = z.strictObject({ id: fields.objectId, revisionId: fields.objectId });
+
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  validate({ params: revisionParams }),
+  loadEditableItem,
+  checkIfMatch,
+  async (req, res) => {
+    try {
+      const { item } = req;
+      const revision = await Revision.findOne({ _id: req.params.revisionId, itemId: item._id }).lean();
+      if (!revision) {
+        return sendError(res, 404, "NOT_FOUND", "Revision not found");
+      }
+
+      const before = snapshot(item);
+      await applyChanges(item, revision, item.userId);             // Tags are re-created if deleted since
+      await item.save();
+      const created = await recordRevision(item, req.user, { before, restoredFrom: revision.number });
+      await publishItemEvents("updated", [item]);
+
+      setItemETag(res, item);
+      return res.json({ status: "Success", item: await viewFor(item, req.user), revision: created });
+    } catch (err) {
+      if (isVersionError(err)) return sendLatestVersion(res, req.item._id);
+      logError("Restore revision error:", err);
+      return sendError(res, 500, "INTERNAL_ERROR", "Error restoring revision");
+    }
+  }
+);
+
+// DELETE /items/:id
+// Purpose: Move an item to its owner's Trash (undo: POST /items/trash/:id/restore).
+// Editors of a shared item may do this too; only the owner can purge it from the Trash.
+router.delete("/:id", validate({ params: itemParams }), loadEditableItem, async (req, res) => {
+  try {
+    // The item was already loaded (and access checked) by loadEditableItem
+    const { item } = req;
+    item.deletedAt = new Date();
+    await item.save();
+    await publishItemEvents("deleted", [item]);
+
+    // Success: confirm deletion (the client needs the id + purge date for "Undo")
+    const view = await viewFor(item, req.user);
+    return res.json({ status: "Success", message: "Item moved to trash", item: view, purgeAt: purgeAt(item) });
+  } catch (err) {
+    logError("Delete item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting item");
+  }
+});
+
+module.exports = router;
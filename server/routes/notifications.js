@@ -0,0 +1,95 @@
+// -----------------------------
+// NOTIFICATION ROUTES — mounted at /notifications
+// - GET    /notifications           -> the caller's notifications, newest first, + unread count
+// - POST   /notifications/read      -> mark all as read
+// - POST   /notifications/:id/read  -> mark one as read
+// - DELETE /notifications/:id       -> dismiss one
+// Notifications are created by jobs/reminders.js; new ones are also pushed live over
+// GET /events (`event: notification`, see notifications/inAppChannel.js).
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const Notification = require("../models/Notification");
+const requireAuth = require("../middleware/auth");
+const { toClient } = require("../notifications/inAppChannel");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every /notifications route requires a valid access token
+router.use(requireAuth);
+
+const listQuery = z.strictObject({
+  limit: z.coerce.number().int().min(1).max(100).default(30),
+});
+const notificationParams = z.strictObject({ id: fields.objectId });
+
+// GET /notifications
+// Purpose: The tray: latest notifications and how many are unread
+router.get("/", validate({ query: listQuery }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [notifications, unread] = await Promise.all([
+      Notification.find({ userId }).sort({ createdAt: -1 }).limit(req.query.limit).lean(),
+      Notification.countDocuments({ userId, readAt: null }),
+    ]);
+
+    return res.json({ status: "Success", notifications: notifications.map(toClient), unread });
+  } catch (err) {
+    logError("List notifications error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching notifications");
+  }
+});
+
+// POST /notifications/read
+// Purpose: Mark every notification as read
+router.post("/read", async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user.id, readAt: null }, { readAt: new Date() });
+
+    return res.json({ status: "Success", updated: result.modifiedCount });
+  } catch (err) {
+    logError("Read notifications error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating notifications");
+  }
+});
+
+// POST /notifications/:id/read
+// Purpose: Mark one notification as read (already read: unchanged)
+router.post("/:id/read", validate({ params: notificationParams }), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!notification) {
+      return sendError(res, 404, "NOT_FOUND", "Notification not found");
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.json({ status: "Success", notification: toClient(notification) });
+  } catch (err) {
+    logError("Read notification error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating notification");
+  }
+});
+
+// DELETE /notifications/:id
+// Purpose: Remove a notification from the tray
+router.delete("/:id", validate({ params: notificationParams }), async (req, res) => {
+  try {
+    const deleted = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!deleted) {
+      return sendError(res, 404, "NOT_FOUND", "Notification not found");
+    }
+
+    return res.json({ status: "Success", message: "Notification removed" });
+  } catch (err) {
+    logError("Delete notification error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error removing notification");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// -----------------------------
+// PASSWORD RESET ROUTES — mounted at /password
+// - POST /password/forgot { email }           -> email a single-use reset link
+// - POST /password/reset  { token, password } -> set a new password, sign out everywhere
+//   (this also completes a reset forced by an admin, see routes/admin.js)
+// Reset links expire after PASSWORD_RESET_TTL_MINUTES (default 60).
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const User = require("../models/User");
+const { consumeActionToken } = require("../utils/actionTokens");
+const { PURPOSE, sendPasswordResetEmail, resetWaitSeconds } = require("../utils/passwordReset");
+const { revokeAllSessions } = require("../utils/sessions");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// POST /password/forgot
+// Purpose: Send a reset link if the email belongs to an account.
+// The response is identical either way, so it can't be used to discover accounts:
+// - the same lookups run for unknown emails, and the email is sent in the background
+// - a rate-limited request is silently skipped (a 429 would only ever happen to real accounts)
+router.post("/forgot", validate({ body: z.strictObject({ email: fields.email }) }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email }).lean();
+    const wait = await resetWaitSeconds(user ? user._id : null);
+    if (user && wait === 0) {
+      sendPasswordResetEmail(user).catch((err) => logError("Password reset email error:", err));
+    }
+
+    return res.json({
+      status: "Success",
+      message: "If that email is registered, a reset link is on its way.",
+    });
+  } catch (err) {
+    logError("Forgot password error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error sending reset email");
+  }
+});
+
+// POST /password/reset
+// Purpose: Consume a reset token and store the new password (hashed by the User model)
+const resetBody = z.strictObject({
+  token: fields.token,
+  password: fields.newPassword,
+});
+
+router.post("/reset", validate({ body: resetBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Single use: the token is marked used here, even if the steps below fail
+    const consumed = await consumeActionToken(token, PURPOSE);
+    if (!consumed) {
+      return sendError(res, 400, "INVALID_LINK", "Reset link is invalid or has expired");
+    }
+
+    const user = await User.findById(consumed.userId);
+    if (!user) {
+      return sendError(res, 400, "INVALID_LINK", "Reset link is invalid or has expired");
+    }
+
+    user.password = password;
+    user.passwordResetRequired = false;                          // An admin's forced reset is done
+    await user.save();
+
+    // Whoever knew the old password shouldn't stay signed in
+    await revokeAllSessions(user._id);
+
+    return res.json({ status: "Success", message: "Password updated. Please log in." });
+  } catch (err) {
+    logError("Reset password error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error resetting password");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// -----------------------------
+// SESSION ROUTES — mounted at /sessions
+// - GET    /sessions      -> list the caller's active sessions (devices)
+// - DELETE /sessions/:id  -> revoke one session (remote sign-out)
+// - DELETE /sessions      -> revoke every session ("sign out everywhere")
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const Session = require("../models/Session");
+const requireAuth = require("../middleware/auth");
+const { activeFilter, revokeSession, revokeAllSessions } = require("../utils/sessions");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every /sessions route requires a valid access token
+router.use(requireAuth);
+
+// GET /sessions
+// Purpose: List active sessions, most recently used first
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await Session.find(activeFilter({ userId: req.user.id }))
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    // Only expose what the UI needs (never token hashes)
+    return res.json(
+      sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        current: String(s._id) === String(req.session._id),
+      }))
+    );
+  } catch (err) {
+    logError("List sessions error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching sessions");
+  }
+});
+
+// DELETE /sessions/:id
+// Purpose: Revoke a single session (its refresh and access tokens stop working immediately)
+router.delete("/:id", validate({ params: z.strictObject({ id: fields.objectId }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Scoped to the caller, so other users' sessions look like missing ones
+    const revoked = await revokeSession(req.user.id, id);
+    if (!revoked) {
+      return sendError(res, 404, "NOT_FOUND", "Session not found");
+    }
+
+    return res.json({ status: "Success", message: "Session revoked" });
+  } catch (err) {
+    logError("Revoke session error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error revoking session");
+  }
+});
+
+// DELETE /sessions
+// Purpose: Sign out everywhere (including the current device)
+router.delete("/", validate({ body: z.strictObject({}) }), async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    return res.json({ status: "Success", message: "Signed out everywhere", revoked });
+  } catch (err) {
+    logError("Revoke all sessions error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error revoking sessions");
+  }
+});
+
+module.exports = router;
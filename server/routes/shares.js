@@ -0,0 +1,135 @@
+// -----------------------------
+// SHARING ROUTES — mounted at /items/:id/shares
+// - GET    /items/:id/shares          -> who the item is shared with (owner only)
+// - POST   /items/:id/shares          -> { email, role } share with a registered user, or change
+//                                         their role (owner only)
+// - DELETE /items/:id/shares/:userId  -> revoke a share (owner), or leave one (that user;
+//                                         "me" stands for the caller)
+// Roles and what they allow: utils/sharing.js. Shares don't change the item's content, so
+// they neither bump its version (ETag) nor its updatedAt. The person concerned sees the item
+// appear, change role or disappear live (utils/itemEvents.js).
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const Item = require("../models/Item");
+const User = require("../models/User");
+const requireAuth = require("../middleware/auth");
+const { loadOwnedItem, loadViewableItem } = require("../middleware/itemAccess");
+const { publishItemEvents } = require("../utils/itemEvents");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+// mergeParams: the item id comes from the mount path
+const router = express.Router({ mergeParams: true });
+
+// Every route requires a valid access token
+router.use(requireAuth);
+
+// At most this many people per item
+const MAX_SHARES = 50;
+
+const itemParams = z.strictObject({ id: fields.objectId });
+const shareParams = z.strictObject({ id: fields.objectId, userId: z.union([z.literal("me"), fields.objectId]) });
+const shareBody = z.strictObject({
+  email: fields.email,
+  role: z.enum(["viewer", "editor"], { error: 'role must be "viewer" or "editor"' }).default("viewer"),
+});
+
+// Update the share list without touching version/updatedAt
+const updateShares = (itemId, filter, update) =>
+  Item.updateOne({ _id: itemId, ...filter }, update, { timestamps: false });
+
+// Shares with the other users' name and email
+async function describeShares(shares) {
+  const users = await User.find({ _id: { $in: shares.map((s) => s.userId) } }).select("name email").lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+  return shares
+    .filter((s) => byId.has(s.userId))                          // Accounts deleted since are left out
+    .map((s) => ({
+      userId: s.userId,
+      name: byId.get(s.userId).name,
+      email: byId.get(s.userId).email,
+      role: s.role,
+      sharedAt: s.sharedAt,
+    }));
+}
+
+// GET /items/:id/shares
+// Purpose: The item's share list, oldest first
+router.get("/", validate({ params: itemParams }), loadOwnedItem, async (req, res) => {
+  try {
+    return res.json({ status: "Success", shares: await describeShares(req.item.shares) });
+  } catch (err) {
+    logError("List shares error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching shares");
+  }
+});
+
+// POST /items/:id/shares
+// Purpose: Share the item with another registered user (201), or change their role (200)
+router.post("/", validate({ params: itemParams, body: shareBody }), loadOwnedItem, async (req, res) => {
+  try {
+    const { item } = req;
+    const { email, role } = req.body;
+
+    const user = await User.findOne({ email }).select("name email").lean();
+    if (!user) {
+      return sendError(res, 404, "NOT_FOUND", "No account uses that email address");
+    }
+    const userId = String(user._id);
+    if (userId === req.user.id) {
+      return sendError(res, 400, "VALIDATION_ERROR", "You already own this item", {
+        details: [{ location: "body", field: "email", message: "You already own this item" }],
+      });
+    }
+
+    const existing = item.shares.find((s) => s.userId === userId);
+    if (existing) {
+      await updateShares(item._id, { "shares.userId": userId }, { $set: { "shares.$.role": role } });
+    } else {
+      if (item.shares.length >= MAX_SHARES) {
+        const message = `An item can be shared with at most ${MAX_SHARES} people`;
+        return sendError(res, 400, "VALIDATION_ERROR", message, {
+          details: [{ location: "body", field: "email", message }],
+        });
+      }
+      // The filter keeps two concurrent requests from adding the same person twice
+      await updateShares(item._id, { "shares.userId": { $ne: userId } }, { $push: { shares: { userId, role } } });
+    }
+
+    // For that person the item appears (new share) or changes access level (role change)
+    const updated = await Item.findById(item._id).lean();
+    if (updated) await publishItemEvents(existing ? "updated" : "created", [updated], { to: [userId] });
+
+    const share = { userId, name: user.name, email: user.email, role, sharedAt: existing?.sharedAt || new Date() };
+    return res.status(existing ? 200 : 201).json({ status: "Success", share });
+  } catch (err) {
+    logError("Share item error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error sharing item");
+  }
+});
+
+// DELETE /items/:id/shares/:userId
+// Purpose: The owner revokes someone's access, or a user removes an item shared with them
+router.delete("/:userId", validate({ params: shareParams }), loadViewableItem, async (req, res) => {
+  try {
+    const userId = req.params.userId === "me" ? req.user.id : req.params.userId;
+    if (req.access !== "owner" && userId !== req.user.id) {
+      return sendError(res, 403, "FORBIDDEN", "Only the item's owner can do that");
+    }
+
+    const result = await updateShares(req.item._id, {}, { $pull: { shares: { userId } } });
+    if (result.modifiedCount === 0) {
+      return sendError(res, 404, "NOT_FOUND", "The item isn't shared with that user");
+    }
+    await publishItemEvents("deleted", [req.item], { to: [userId] });
+
+    return res.json({ status: "Success", message: "Access removed" });
+  } catch (err) {
+    logError("Revoke share error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error removing access");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// -----------------------------
+// TAG ROUTES — mounted at /tags
+// - GET    /tags?q=pre     -> the caller's tags (name prefix filter for autocomplete) with item counts
+// - PUT    /tags/:name     -> change a tag's color { color: "#rrggbb" }
+// - DELETE /tags/:name     -> delete a tag and remove it from every item (pushed live as item updates)
+// Tags are created implicitly when items are saved with them (see utils/tags.js).
+// -----------------------------
+
+const express = require("express");
+const { validate, z } = require("../middleware/validate");
+const Tag = require("../models/Tag");
+const Item = require("../models/Item");
+const requireAuth = require("../middleware/auth");
+const { tagKey } = require("../utils/tags");
+const { escapeRegex } = require("../utils/search");
+const { publishItemEvents } = require("../utils/itemEvents");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// Every /tags route requires a valid access token
+router.use(requireAuth);
+
+const tagParams = z.strictObject({ name: z.string().trim().min(1).max(30) });
+
+// GET /tags
+// Purpose: List tags (sidebar) or suggest them (autocomplete), alphabetically
+const listQuery = z.strictObject({
+  q: z.string().trim().max(30).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(100),
+});
+
+router.get("/", validate({ query: listQuery }), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    const userId = req.user.id;
+
+    const filter = { userId };
+    if (q) filter.key = { $regex: `^${escapeRegex(tagKey(q))}` };
+    const tags = await Tag.find(filter).sort({ key: 1 }).limit(limit).lean();
+
+    // How many (non-archived, non-trashed) items use each of these tags
+    const counts = await Item.aggregate([
+      { $match: { userId, archived: { $ne: true }, deletedAt: null, tags: { $in: tags.map((t) => t.name) } } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]);
+    const countByName = new Map(counts.map((c) => [c._id, c.count]));
+
+    return res.json(tags.map((t) => ({ name: t.name, color: t.color, count: countByName.get(t.name) || 0 })));
+  } catch (err) {
+    logError("List tags error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error fetching tags");
+  }
+});
+
+// PUT /tags/:name
+// Purpose: Change a tag's color
+const colorBody = z.strictObject({
+  color: z.string({ error: "Color is required" }).regex(/^#[0-9a-fA-F]{6}$/, "Color must look like #rrggbb"),
+});
+
+router.put("/:name", validate({ params: tagParams, body: colorBody }), async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndUpdate(
+      { userId: req.user.id, key: tagKey(req.params.name) },
+      { color: req.body.color.toLowerCase() },
+      { new: true }
+    ).lean();
+    if (!tag) {
+      return sendError(res, 404, "NOT_FOUND", "Tag not found");
+    }
+
+    return res.json({ status: "Success", tag: { name: tag.name, color: tag.color } });
+  } catch (err) {
+    logError("Update tag error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error updating tag");
+  }
+});
+
+// DELETE /tags/:name
+// Purpose: Delete a tag; items keep everything else
+router.delete("/:name", validate({ params: tagParams }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const tag = await Tag.findOneAndDelete({ userId, key: tagKey(req.params.name) }).lean();
+    if (!tag) {
+      return sendError(res, 404, "NOT_FOUND", "Tag not found");
+    }
+
+    const tagged = await Item.find({ userId, tags: tag.name }).select("_id").lean();
+    if (tagged.length > 0) {
+      const ids = tagged.map((item) => item._id);
+      // Bump each item's version (ETag) too, so a stale copy can't save the tag back
+      await Item.updateMany({ _id: { $in: ids }, tags: tag.name }, { $pull: { tags: tag.name }, $inc: { version: 1 } });
+      // Open tabs/devices (the owner's and anyone the items are shared with) drop the tag live
+      await publishItemEvents("updated", await Item.find({ _id: { $in: ids } }).lean());
+    }
+
+    return res.json({ status: "Success", message: "Tag deleted" });
+  } catch (err) {
+    logError("Delete tag error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error deleting tag");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// -----------------------------
+// EMAIL VERIFICATION ROUTES — mounted at /verify-email
+// - GET  /verify-email?token=...        -> consume the emailed token, mark the account verified
+// - POST /verify-email/resend { email } -> send a new link (rate limited, see utils/emailVerification.js)
+// -----------------------------
+
+const express = require("express");
+const { validate, fields, z } = require("../middleware/validate");
+const User = require("../models/User");
+const { consumeActionToken } = require("../utils/actionTokens");
+const { PURPOSE, sendVerificationEmail, resendWaitSeconds } = require("../utils/emailVerification");
+const logError = require("../utils/logError");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+// GET /verify-email
+// Purpose: Confirm the address behind a verification link
+router.get("/", validate({ query: z.strictObject({ token: fields.token }) }), async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const consumed = await consumeActionToken(token, PURPOSE);
+    if (!consumed) {
+      return sendError(res, 400, "INVALID_LINK", "Verification link is invalid or has expired");
+    }
+
+    const user = await User.findByIdAndUpdate(consumed.userId, { verified: true }, { new: true }).lean();
+    if (!user) {
+      return sendError(res, 400, "INVALID_LINK", "Verification link is invalid or has expired");
+    }
+
+    return res.json({ status: "Success", message: "Email verified. You can now log in.", email: user.email });
+  } catch (err) {
+    logError("Verify email error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error verifying email");
+  }
+});
+
+// POST /verify-email/resend
+// Purpose: Email a new verification link. Unknown or already-verified addresses get the
+// same answer as a successful send, so the endpoint can't be used to discover accounts.
+router.post("/resend", validate({ body: z.strictObject({ email: fields.email }) }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email }).lean();
+    if (user && !user.verified) {
+      const wait = await resendWaitSeconds(user._id);
+      if (wait > 0) {
+        res.set("Retry-After", String(wait));
+        return sendError(res, 429, "RATE_LIMITED", `Please wait ${wait} seconds before requesting another email`, {
+          retryAfter: wait,
+        });
+      }
+      await sendVerificationEmail(user);
+    }
+
+    return res.json({
+      status: "Success",
+      message: "If that account still needs verifying, a new link is on its way.",
+    });
+  } catch (err) {
+    logError("Resend verification error:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Error sending verification email");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// -----------------------------
+// File storage (attachments)
+// Every backend implements the same interface, addressing files by an opaque key:
+//   save(key, readableStream) -> Promise<{ size }>
+//   createReadStream(key)     -> Readable (errors with code "ENOENT" when missing)
+//   remove(key)               -> Promise<void> (missing files are not an error)
+// STORAGE_DRIVER picks one:
+//   - "local" -> default; files under STORAGE_DIR (see ./localStorage.js)
+// -----------------------------
+
+const createLocalStorage = require("./localStorage");
+
+const drivers = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+// Build the configured backend once, on first use
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const create = drivers[name];
+    if (!create) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    storage = create();
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
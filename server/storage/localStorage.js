@@ -0,0 +1,52 @@
+// Local-disk storage backend
+// Files live under STORAGE_DIR (default ./uploads), sharded by the first characters of
+// the key so no single directory grows huge. Writes go to a temp file first and are
+// renamed into place, so a failed upload never leaves a half-written file behind.
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Keys are generated by the server, but never let one escape the storage directory
+const SAFE_KEY = /^[A-Za-z0-9_-]{8,128}$/;
+
+function createLocalStorage() {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, "..", "uploads"));
+
+  const fileFor = (key) => {
+    if (!SAFE_KEY.test(key)) throw new Error("Invalid storage key");
+    return path.join(root, key.slice(0, 2), key);
+  };
+
+  return {
+    async save(key, stream) {
+      const file = fileFor(key);
+      const temp = `${file}.part`;
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+
+      let size = 0;
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+      });
+      try {
+        await pipeline(stream, fs.createWriteStream(temp));
+        await fsp.rename(temp, file);
+      } catch (err) {
+        await fsp.rm(temp, { force: true });
+        throw err;
+      }
+      return { size };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(fileFor(key));
+    },
+
+    async remove(key) {
+      await fsp.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = createLocalStorage;
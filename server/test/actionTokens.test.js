@@ -0,0 +1,72 @@
+// -----------------------------
+// utils/actionTokens.js: single-use emailed tokens and the per-account send limits
+// The ActionToken model's queries are replaced with mocks (node:test).
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ActionToken = require("../models/ActionToken");
+const { hashToken } = require("../utils/randomToken");
+const { issueActionToken, consumeActionToken, sendWaitSeconds } = require("../utils/actionTokens");
+
+const USER_ID = "64b000000000000000000001";
+
+// find().sort().select().lean() resolving to `docs`
+const findResult = (docs) => ({ sort: () => ({ select: () => ({ lean: async () => docs }) }) });
+const secondsAgo = (s) => ({ createdAt: new Date(Date.now() - s * 1000) });
+
+test("issuing a token voids older unused ones and stores only its hash", async (t) => {
+  const voided = t.mock.method(ActionToken, "updateMany", async () => ({}));
+  const created = t.mock.method(ActionToken, "create", async (doc) => doc);
+
+  const secret = await issueActionToken(USER_ID, "password-reset", 60 * 1000);
+
+  assert.deepEqual(voided.mock.calls[0].arguments[0], { userId: USER_ID, purpose: "password-reset", usedAt: null });
+  const stored = created.mock.calls[0].arguments[0];
+  assert.equal(stored.tokenHash, hashToken(secret));
+  assert.equal(Object.values(stored).includes(secret), false);
+  assert.ok(stored.expiresAt > new Date());
+});
+
+test("consuming looks for an unused, unexpired token of that purpose and marks it used", async (t) => {
+  const consume = t.mock.method(ActionToken, "findOneAndUpdate", async () => ({ userId: USER_ID }));
+
+  assert.deepEqual(await consumeActionToken("secret", "email-verify"), { userId: USER_ID });
+  const [filter, update] = consume.mock.calls[0].arguments;
+  assert.equal(filter.tokenHash, hashToken("secret"));
+  assert.equal(filter.purpose, "email-verify");
+  assert.equal(filter.usedAt, null);
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+  assert.ok(update.usedAt instanceof Date);
+});
+
+test("a used (or unknown) token can't be consumed", async (t) => {
+  t.mock.method(ActionToken, "findOneAndUpdate", async () => null);
+  assert.equal(await consumeActionToken("secret", "email-verify"), null);
+});
+
+test("empty or non-string secrets are refused without a lookup", async (t) => {
+  const consume = t.mock.method(ActionToken, "findOneAndUpdate", async () => ({}));
+  assert.equal(await consumeActionToken("", "email-verify"), null);
+  assert.equal(await consumeActionToken(undefined, "email-verify"), null);
+  assert.equal(await consumeActionToken({ $ne: null }, "email-verify"), null);
+  assert.equal(consume.mock.callCount(), 0);
+});
+
+test("sending is allowed when nothing was sent in the last hour", async (t) => {
+  t.mock.method(ActionToken, "find", () => findResult([]));
+  assert.equal(await sendWaitSeconds(USER_ID, "password-reset"), 0);
+});
+
+test("the cooldown applies after a recent send", async (t) => {
+  t.mock.method(ActionToken, "find", () => findResult([secondsAgo(20)]));
+  const wait = await sendWaitSeconds(USER_ID, "password-reset");
+  assert.ok(wait > 35 && wait <= 40, `expected about 40s, got ${wait}`);
+});
+
+test("the hourly maximum holds until the oldest send ages out", async (t) => {
+  const sends = [secondsAgo(600), secondsAgo(900), secondsAgo(1200), secondsAgo(1500), secondsAgo(1800)];
+  t.mock.method(ActionToken, "find", () => findResult(sends));
+  const wait = await sendWaitSeconds(USER_ID, "password-reset");
+  assert.ok(wait > 1795 && wait <= 1800, `expected about 1800s, got ${wait}`);
+});
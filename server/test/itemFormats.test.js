@@ -0,0 +1,70 @@
+// -----------------------------
+// utils/itemFormats.js: CSV and Markdown exports parse back to the same items
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { csvHeader, csvRow, parseCsv, toMarkdown, slugify, parseMarkdown } = require("../utils/itemFormats");
+
+const item = {
+  _id: "64b000000000000000000001",
+  title: 'Say "hi", then leave',
+  description: "Line one\nLine two",
+  tags: ["home", "errands"],
+  pinned: true,
+  archived: false,
+  createdAt: new Date("2026-03-01T10:00:00.000Z"),
+  updatedAt: new Date("2026-03-02T10:00:00.000Z"),
+};
+
+test("a CSV export parses back to the same row", () => {
+  const [row] = parseCsv(csvHeader() + csvRow(item));
+  assert.deepEqual(row, {
+    title: item.title,
+    description: item.description,
+    tags: ["home", "errands"],
+    pinned: true,
+    archived: false,
+  });
+});
+
+test("formula-like cells are escaped on export and restored on import", () => {
+  const risky = { ...item, title: "=HYPERLINK(\"http://x\")", description: "-5 apples", tags: ["@home"] };
+  const line = csvRow(risky);
+  assert.match(line, /^[^,]*,"'=HYPERLINK/);
+  assert.ok(line.includes(",'-5 apples,"));
+
+  const [row] = parseCsv(csvHeader() + line);
+  assert.equal(row.title, risky.title);
+  assert.equal(row.description, "-5 apples");
+  assert.deepEqual(row.tags, ["@home"]);
+});
+
+test("CSV import reads any column order, a BOM and blank lines", () => {
+  const rows = parseCsv("\uFEFFTags,TITLE,Pinned\r\n\r\n\"a, b\",Groceries,TRUE\nx,Other,\n");
+  assert.deepEqual(rows, [
+    { title: "Groceries", description: "", tags: ["a", "b"], pinned: true },
+    { title: "Other", description: "", tags: ["x"] },
+  ]);
+});
+
+test("a Markdown export parses back to the same row", () => {
+  assert.deepEqual(parseMarkdown(toMarkdown(item), "fallback"), {
+    title: item.title,
+    description: item.description,
+    tags: ["home", "errands"],
+    pinned: true,
+    archived: false,
+  });
+});
+
+test("Markdown without front-matter uses the fallback title", () => {
+  assert.deepEqual(parseMarkdown("Just a body\r\n", "notes"), { title: "notes", description: "Just a body" });
+  assert.equal(parseMarkdown("---\ntitle: Groceries\ntags: a,b\n---\nMilk", "x").title, "Groceries");
+});
+
+test("slugify makes file-system friendly names", () => {
+  assert.equal(slugify("Café: plans for 2026!"), "cafe-plans-for-2026");
+  assert.equal(slugify("???"), "item");
+  assert.equal(slugify("a".repeat(100)).length, 60);
+});
@@ -0,0 +1,31 @@
+// -----------------------------
+// utils/itemVersion.js: item ETags and If-Match
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { itemETag, ifMatchAllows } = require("../utils/itemVersion");
+
+const item = { version: 3 };
+
+test("the ETag is the quoted version (0 before the first save)", () => {
+  assert.equal(itemETag(item), '"3"');
+  assert.equal(itemETag({}), '"0"');
+});
+
+test("no If-Match header allows the write", () => {
+  assert.equal(ifMatchAllows(undefined, item), true);
+});
+
+test("only the current version matches", () => {
+  assert.equal(ifMatchAllows('"3"', item), true);
+  assert.equal(ifMatchAllows('"2"', item), false);
+  assert.equal(ifMatchAllows("3", item), false);              // Tags are quoted
+});
+
+test("*, lists and weak tags are understood", () => {
+  assert.equal(ifMatchAllows("*", item), true);
+  assert.equal(ifMatchAllows('"1", "3"', item), true);
+  assert.equal(ifMatchAllows('"1","2"', item), false);
+  assert.equal(ifMatchAllows('W/"3"', item), true);
+});
@@ -0,0 +1,73 @@
+// -----------------------------
+// utils/loginThrottle.js: free attempts, exponential backoff, lockout, per IP and account
+// The LoginThrottle model's queries are replaced with mocks (node:test).
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const LoginThrottle = require("../models/LoginThrottle");
+const { loginWaitSeconds, recordLoginFailure, recordLoginSuccess } = require("../utils/loginThrottle");
+
+const req = { ip: "203.0.113.7" };
+
+// Record a failure with the account counter at `accountFailures` and the IP counter at `ipFailures`
+async function failureWith(t, accountFailures, ipFailures = 1) {
+  t.mock.method(LoginThrottle, "findOneAndUpdate", async ({ key }) => ({
+    key,
+    failures: key.startsWith("account:") ? accountFailures : ipFailures,
+  }));
+  const locks = t.mock.method(LoginThrottle, "updateOne", async () => ({}));
+  const seconds = await recordLoginFailure(req, "Ada@Example.com ");
+  return { seconds, locks: locks.mock.calls.map((c) => c.arguments) };
+}
+
+test("the first failures are free", async (t) => {
+  for (const failures of [1, 2]) {
+    const { seconds, locks } = await failureWith(t, failures);
+    assert.equal(seconds, 0);
+    assert.equal(locks.length, 0);
+    t.mock.restoreAll();
+  }
+});
+
+test("later failures back off exponentially", async (t) => {
+  const waits = [];
+  for (const failures of [3, 4]) {
+    waits.push((await failureWith(t, failures)).seconds);
+    t.mock.restoreAll();
+  }
+  assert.deepEqual(waits, [1, 2]);
+});
+
+test("reaching the maximum locks the account for the lockout period", async (t) => {
+  const { seconds, locks } = await failureWith(t, 5);
+  assert.equal(seconds, 15 * 60);
+  assert.equal(locks[0][0].key, "account:ada@example.com");   // Emails are normalised
+  assert.ok(locks[0][1].lockedUntil > new Date());
+});
+
+test("the IP counter locks independently of the account", async (t) => {
+  const { seconds, locks } = await failureWith(t, 1, 50);
+  assert.equal(seconds, 15 * 60);
+  assert.equal(locks[0][0].key, "ip:203.0.113.7");
+});
+
+test("the wait is the longest lock on either key", async (t) => {
+  const now = Date.now();
+  const find = t.mock.method(LoginThrottle, "find", () => ({
+    select: () => ({
+      lean: async () => [{ lockedUntil: new Date(now + 4000) }, { lockedUntil: new Date(now + 9500) }],
+    }),
+  }));
+
+  const wait = await loginWaitSeconds(req, "ada@example.com");
+  assert.ok(wait === 10 || wait === 9, `expected about 10s, got ${wait}`);
+  assert.deepEqual(find.mock.calls[0].arguments[0].key.$in, ["ip:203.0.113.7", "account:ada@example.com"]);
+});
+
+test("a success clears the account counter only", async (t) => {
+  const cleared = t.mock.method(LoginThrottle, "deleteOne", async () => ({}));
+  await recordLoginSuccess(req, "ada@example.com");
+  assert.equal(cleared.mock.callCount(), 1);
+  assert.deepEqual(cleared.mock.calls[0].arguments[0], { key: "account:ada@example.com" });
+});
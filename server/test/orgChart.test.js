@@ -0,0 +1,41 @@
+// -----------------------------
+// utils/orgChart.js: flat employee lists become A-Z reporting trees
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildTree } = require("../utils/orgChart");
+
+const ceo = { _id: "e1", name: "Zoe", title: "CEO", managerId: null };
+const cto = { _id: "e2", name: "Max", title: "CTO", managerId: "e1" };
+const cfo = { _id: "e3", name: "Ada", title: "CFO", managerId: "e1" };
+const dev = { _id: "e4", name: "Bo", title: "Developer", managerId: "e2" };
+
+// Names per level, e.g. ["Zoe", ["Ada", "Max", ["Bo"]]]
+const shape = (nodes) => nodes.flatMap((n) => (n.reports.length ? [n.name, shape(n.reports)] : [n.name]));
+
+test("reports nest under their managers, A-Z at every level", () => {
+  const roots = buildTree([dev, cto, ceo, cfo], new Set());
+  assert.deepEqual(shape(roots), ["Zoe", ["Ada", "Max", ["Bo"]]]);
+});
+
+test("nodes carry the summary fields only", () => {
+  const [root] = buildTree([{ ...ceo, phone: "555", notes: "x" }], new Set());
+  assert.deepEqual(Object.keys(root).sort(), ["_id", "department", "email", "name", "reports", "title"]);
+});
+
+test("someone whose manager isn't in the list becomes a root", () => {
+  const roots = buildTree([cto, dev], new Set());
+  assert.deepEqual(shape(roots), ["Max", ["Bo"]]);
+});
+
+test("rootIds stay roots even when their manager is in the list", () => {
+  const roots = buildTree([ceo, cto, dev], new Set(["e2"]));
+  assert.deepEqual(shape(roots), ["Max", ["Bo"], "Zoe"]);
+});
+
+test("rows without a name sort first instead of throwing", () => {
+  const nameless = { _id: "e5", title: "Intern", managerId: "e1" };
+  const [root] = buildTree([ceo, cto, nameless], new Set());
+  assert.deepEqual(root.reports.map((n) => n.name), [undefined, "Max"]);
+});
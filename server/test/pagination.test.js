@@ -0,0 +1,49 @@
+// -----------------------------
+// utils/pagination.js: cursors round-trip and only work for the sort they were made for
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { encodeCursor, decodeCursor } = require("../utils/pagination");
+
+const id = new mongoose.Types.ObjectId();
+const createdAt = new Date("2026-03-01T10:00:00.000Z");
+const doc = { _id: id, createdAt, title: "Groceries", pinned: true };
+
+test("a date cursor decodes back to the same date and id", () => {
+  const cursor = decodeCursor(encodeCursor(doc, "created", "desc"), "created", "desc");
+  assert.ok(cursor.value instanceof Date);
+  assert.equal(cursor.value.getTime(), createdAt.getTime());
+  assert.ok(cursor.id.equals(id));
+  assert.equal(cursor.pinned, true);
+});
+
+test("a string cursor keeps the value as a string", () => {
+  const cursor = decodeCursor(encodeCursor({ ...doc, pinned: undefined }, "title", "asc"), "title", "asc");
+  assert.equal(cursor.value, "Groceries");
+  assert.equal(cursor.pinned, false);
+});
+
+test("other collections can pass their own sort fields", () => {
+  const cursor = encodeCursor({ _id: id, name: "Ada" }, "name", "asc", { name: "name" });
+  assert.equal(decodeCursor(cursor, "name", "asc").value, "Ada");
+});
+
+test("a cursor made for another sort or order is refused", () => {
+  const cursor = encodeCursor(doc, "created", "desc");
+  assert.equal(decodeCursor(cursor, "updated", "desc"), null);
+  assert.equal(decodeCursor(cursor, "created", "asc"), null);
+});
+
+test("malformed cursors are refused", () => {
+  const encode = (data) => Buffer.from(JSON.stringify(data)).toString("base64url");
+  for (const cursor of [
+    "not-a-cursor",
+    encode({ sort: "created", order: "desc", id: "nope", d: createdAt.toISOString() }),
+    encode({ sort: "created", order: "desc", id: String(id) }),
+    encode({ sort: "created", order: "desc", id: String(id), d: "yesterday" }),
+  ]) {
+    assert.equal(decodeCursor(cursor, "created", "desc"), null, cursor);
+  }
+});
@@ -0,0 +1,55 @@
+// -----------------------------
+// utils/password.js: bcrypt hashing, legacy plain-text records, rehash on cost change
+// -----------------------------
+
+process.env.BCRYPT_ROUNDS = "4";                                // Fast hashes; the cost is read per call
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isHashed, hashPassword, verifyPassword, getRounds } = require("../utils/password");
+
+test("hashPassword produces a bcrypt hash with the configured cost", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.ok(isHashed(hash));
+  assert.match(hash, /^\$2[aby]\$04\$/);
+  assert.equal(getRounds(), 4);
+});
+
+test("verifyPassword accepts the right password and rejects a wrong one", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.deepEqual(await verifyPassword("correct horse", hash), { ok: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword("battery staple", hash), { ok: false, needsRehash: false });
+});
+
+test("verifyPassword asks to rehash when the cost changed", async (t) => {
+  const hash = await hashPassword("correct horse");
+  process.env.BCRYPT_ROUNDS = "5";
+  t.after(() => {
+    process.env.BCRYPT_ROUNDS = "4";
+  });
+  assert.deepEqual(await verifyPassword("correct horse", hash), { ok: true, needsRehash: true });
+});
+
+test("legacy plain-text records match once and need a rehash", async () => {
+  assert.deepEqual(await verifyPassword("hunter22", "hunter22"), { ok: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword("hunter2", "hunter22"), { ok: false, needsRehash: false });
+});
+
+test("a password shaped like a bcrypt hash is not a match for itself", async () => {
+  // What a user could type as their password: it must be hashed, never stored as-is
+  const lookalike = await hashPassword("something else");
+  const stored = await hashPassword(lookalike);
+  assert.deepEqual(await verifyPassword(lookalike, stored), { ok: true, needsRehash: false });
+  assert.equal((await verifyPassword(lookalike, lookalike)).ok, false);
+});
+
+test("non-string input never matches", async () => {
+  assert.equal((await verifyPassword(undefined, "x")).ok, false);
+  assert.equal((await verifyPassword("x", null)).ok, false);
+});
+
+test("isHashed only recognises complete bcrypt hashes", () => {
+  assert.equal(isHashed("plain text"), false);
+  assert.equal(isHashed("$2b$10$short"), false);
+  assert.equal(isHashed(undefined), false);
+});
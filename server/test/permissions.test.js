@@ -0,0 +1,64 @@
+// -----------------------------
+// middleware/permissions.js: routes ask for permissions, roles grant them
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ROLES, can, requirePermission, permissionsFor } = require("../middleware/permissions");
+
+// Just enough of an Express response to record what was sent
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Run the middleware for a user; returns { nextCalled, res }
+function run(middleware, user) {
+  const res = fakeRes();
+  let nextCalled = false;
+  middleware({ user }, res, () => {
+    nextCalled = true;
+  });
+  return { nextCalled, res };
+}
+
+test("admins can manage users, users can't", () => {
+  assert.deepEqual(ROLES, ["user", "admin"]);
+  assert.equal(can({ role: "admin" }, "users:manage"), true);
+  assert.equal(can({ role: "user" }, "users:manage"), false);
+});
+
+test("a missing or unknown role grants nothing", () => {
+  assert.equal(can({}, "users:read"), false);
+  assert.equal(can(undefined, "users:read"), false);
+  assert.equal(can({ role: "owner" }, "users:read"), false);
+  assert.deepEqual(permissionsFor("owner"), []);
+});
+
+test("permissionsFor lists what a role grants", () => {
+  assert.deepEqual(permissionsFor("user"), []);
+  assert.ok(permissionsFor("admin").includes("audit:read"));
+});
+
+test("requirePermission continues when every permission is granted", () => {
+  const { nextCalled, res } = run(requirePermission("users:read", "audit:read"), { role: "admin" });
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, undefined);
+});
+
+test("requirePermission answers 403 FORBIDDEN otherwise", () => {
+  const { nextCalled, res } = run(requirePermission("users:read"), { role: "user" });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "FORBIDDEN");
+});
@@ -0,0 +1,96 @@
+// -----------------------------
+// utils/sessions.js: refresh-token rotation and reuse detection
+// The Session model's queries are replaced with mocks (node:test), so no database is needed.
+// -----------------------------
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Session = require("../models/Session");
+const { hashToken } = require("../utils/randomToken");
+const { rotateSession } = require("../utils/sessions");
+
+const req = { ip: "203.0.113.7", get: () => "test-agent" };
+const SESSION_ID = "64b0000000000000000000aa";
+
+// A stored session whose current refresh secret is `secret` (and `previous` before that)
+function storedSession({ secret, previous = null, rotatedAt = null }) {
+  return {
+    _id: SESSION_ID,
+    tokenHash: hashToken(secret),
+    previousTokenHash: previous && hashToken(previous),
+    rotatedAt,
+    revokedAt: null,
+    saved: 0,
+    async save() {
+      this.saved += 1;
+    },
+  };
+}
+
+test("malformed refresh tokens are rejected without a lookup", async (t) => {
+  const findOne = t.mock.method(Session, "findOne", async () => null);
+  assert.equal(await rotateSession("not-a-token", req), null);
+  assert.equal(await rotateSession(`${SESSION_ID}.`, req), null);
+  assert.equal(await rotateSession(undefined, req), null);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test("the current token is exchanged for a new one and the old hash is kept", async (t) => {
+  const session = storedSession({ secret: "current" });
+  t.mock.method(Session, "findOne", async () => session);
+  const update = t.mock.method(Session, "findOneAndUpdate", async (filter, changes) => ({ ...session, ...changes }));
+
+  const rotated = await rotateSession(`${SESSION_ID}.current`, req);
+  assert.ok(rotated);
+  const [id, secret] = rotated.refreshToken.split(".");
+  assert.equal(id, SESSION_ID);
+  assert.notEqual(secret, "current");
+
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: SESSION_ID, tokenHash: hashToken("current"), revokedAt: null });
+  assert.equal(changes.tokenHash, hashToken(secret));
+  assert.equal(changes.previousTokenHash, hashToken("current"));
+});
+
+test("a concurrent refresh that lost the race gets nothing", async (t) => {
+  t.mock.method(Session, "findOne", async () => storedSession({ secret: "current" }));
+  t.mock.method(Session, "findOneAndUpdate", async () => null);
+  assert.equal(await rotateSession(`${SESSION_ID}.current`, req), null);
+});
+
+test("reusing an already-rotated token revokes the session", async (t) => {
+  const session = storedSession({ secret: "new", previous: "old", rotatedAt: new Date(Date.now() - 60 * 1000) });
+  t.mock.method(Session, "findOne", async () => session);
+  const update = t.mock.method(Session, "findOneAndUpdate", async () => null);
+
+  assert.equal(await rotateSession(`${SESSION_ID}.old`, req), null);
+  assert.ok(session.revokedAt instanceof Date);
+  assert.equal(session.saved, 1);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("reuse right after a rotation (two tabs refreshing) doesn't revoke", async (t) => {
+  const session = storedSession({ secret: "new", previous: "old", rotatedAt: new Date() });
+  t.mock.method(Session, "findOne", async () => session);
+
+  assert.equal(await rotateSession(`${SESSION_ID}.old`, req), null);
+  assert.equal(session.revokedAt, null);
+  assert.equal(session.saved, 0);
+});
+
+test("an unknown secret is refused but doesn't revoke", async (t) => {
+  const session = storedSession({ secret: "new", previous: "old", rotatedAt: new Date(Date.now() - 60 * 1000) });
+  t.mock.method(Session, "findOne", async () => session);
+
+  assert.equal(await rotateSession(`${SESSION_ID}.guess`, req), null);
+  assert.equal(session.revokedAt, null);
+});
+
+test("revoked or expired sessions are not found, so their tokens stop working", async (t) => {
+  const findOne = t.mock.method(Session, "findOne", async () => null);
+  assert.equal(await rotateSession(`${SESSION_ID}.current`, req), null);
+
+  const [filter] = findOne.mock.calls[0].arguments;
+  assert.equal(filter.revokedAt, null);
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+});
@@ -0,0 +1,44 @@
+// -----------------------------
+// utils/tokens.js: access tokens carry only the user and session ids, HS256 only
+// -----------------------------
+
+process.env.JWT_SECRET = "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { signAccessToken, verifyAccessToken } = require("../utils/tokens");
+
+const user = { _id: "64b000000000000000000001", name: "Ada", email: "ada@example.com" };
+const session = { _id: "64b0000000000000000000aa" };
+
+test("a signed token verifies and carries only sub and sid", () => {
+  const payload = verifyAccessToken(signAccessToken(user, session));
+  assert.equal(payload.sub, user._id);
+  assert.equal(payload.sid, session._id);
+  assert.equal(payload.email, undefined);
+  assert.ok(payload.exp > payload.iat);
+});
+
+test("tokens signed with another secret are rejected", () => {
+  const forged = jwt.sign({ sub: user._id, sid: session._id }, "other-secret");
+  assert.throws(() => verifyAccessToken(forged));
+});
+
+test("unsigned (alg none) tokens are rejected", () => {
+  const unsigned = jwt.sign({ sub: user._id, sid: session._id }, null, { algorithm: "none" });
+  assert.throws(() => verifyAccessToken(unsigned));
+});
+
+test("expired tokens are rejected", () => {
+  const expired = jwt.sign({ sub: user._id, sid: session._id, exp: Math.floor(Date.now() / 1000) - 10 }, "test-secret");
+  assert.throws(() => verifyAccessToken(expired), { name: "TokenExpiredError" });
+});
+
+test("signing without JWT_SECRET fails loudly", (t) => {
+  delete process.env.JWT_SECRET;
+  t.after(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+  assert.throws(() => signAccessToken(user, session), /JWT_SECRET is not set/);
+});
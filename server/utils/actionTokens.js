@@ -0,0 +1,62 @@
+// -----------------------------
+// Single-use emailed tokens (see models/ActionToken.js)
+// - issueActionToken() returns the raw secret to put in a link; only its hash is saved
+// - Issuing a new token for a purpose invalidates the user's older unused ones
+// - consumeActionToken() marks the token used atomically, so a link works exactly once
+// - sendWaitSeconds() rate-limits emailing links: one per RESEND_COOLDOWN_SECONDS (default 60)
+//   and at most RESEND_MAX_PER_HOUR (default 5) per account and purpose. The counts come from
+//   the stored tokens, so the limits survive restarts.
+// -----------------------------
+
+const ActionToken = require("../models/ActionToken");
+const { newSecret, hashToken } = require("./randomToken");
+
+async function issueActionToken(userId, purpose, ttlMs) {
+  // Older links for the same purpose stop working as soon as a new one is sent
+  await ActionToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const secret = newSecret();
+  await ActionToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return secret;
+}
+
+// Returns the consumed token document, or null if it is unknown, used or expired
+function consumeActionToken(secret, purpose) {
+  if (typeof secret !== "string" || !secret) return Promise.resolve(null);
+
+  return ActionToken.findOneAndUpdate(
+    { tokenHash: hashToken(secret), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+// Seconds until another `purpose` link may be sent to this user (0 = allowed now)
+async function sendWaitSeconds(userId, purpose) {
+  const cooldown = (parseInt(process.env.RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+  const maxPerHour = parseInt(process.env.RESEND_MAX_PER_HOUR, 10) || 5;
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+  const recent = await ActionToken.find({ userId, purpose, createdAt: { $gt: hourAgo } })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  let waitMs = 0;
+  if (recent.length > 0) {
+    waitMs = Math.max(waitMs, recent[0].createdAt.getTime() + cooldown - Date.now());
+  }
+  if (recent.length >= maxPerHour) {
+    // The oldest send in the window has to age out first
+    const oldest = recent[maxPerHour - 1];
+    waitMs = Math.max(waitMs, oldest.createdAt.getTime() + 60 * 60 * 1000 - Date.now());
+  }
+  return Math.max(0, Math.ceil(waitMs / 1000));
+}
+
+module.exports = { issueActionToken, consumeActionToken, sendWaitSeconds };
@@ -0,0 +1,94 @@
+// -----------------------------
+// Attachment helpers
+// - Limits: ATTACHMENT_MAX_MB per file (default 10), ATTACHMENTS_PER_ITEM (default 20),
+//   and an allow-list of MIME types (images, PDF, plain text). SVG and HTML are left out
+//   on purpose: served from our origin they could run script.
+// - multerStorage() streams uploads straight into the storage backend
+// - deleteAttachments() removes files + records (used when items are purged)
+// -----------------------------
+
+const crypto = require("crypto");
+const Attachment = require("../models/Attachment");
+const { getStorage } = require("../storage");
+const logError = require("./logError");
+
+const MAX_BYTES = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_PER_ITEM = parseInt(process.env.ATTACHMENTS_PER_ITEM, 10) || 20;
+
+const ALLOWED_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+]);
+
+// Images are shown inline (thumbnails); everything else downloads
+const isImage = (mimeType) => mimeType.startsWith("image/");
+
+// Multer storage engine that writes each file to the storage backend under a fresh key
+function multerStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const key = crypto.randomBytes(24).toString("base64url");
+      getStorage()
+        .save(key, file.stream)
+        .then(({ size }) => cb(null, { storageKey: key, size }))
+        .catch(cb);
+    },
+    _removeFile(req, file, cb) {
+      getStorage()
+        .remove(file.storageKey)
+        .then(() => cb(null), cb);
+    },
+  };
+}
+
+// Public shape of an attachment (no storage key)
+function attachmentJSON(att) {
+  return {
+    _id: att._id,
+    itemId: att.itemId,
+    filename: att.filename,
+    mimeType: att.mimeType,
+    size: att.size,
+    createdAt: att.createdAt,
+  };
+}
+
+// { itemId: [attachment, ...] } for a page of items, in one query
+async function attachmentsByItem(itemIds) {
+  const list = await Attachment.find({ itemId: { $in: itemIds } }).sort({ createdAt: 1 }).lean();
+  const map = {};
+  for (const att of list) (map[att.itemId] ||= []).push(attachmentJSON(att));
+  return map;
+}
+
+// Delete the attachments of the given items: stored files first, then the records.
+// A file that fails to delete is logged and left behind rather than blocking the purge.
+async function deleteAttachments(itemIds) {
+  const list = await Attachment.find({ itemId: { $in: itemIds } }).select("+storageKey").lean();
+  const storage = getStorage();
+  for (const att of list) {
+    try {
+      await storage.remove(att.storageKey);
+    } catch (err) {
+      logError("Delete attachment file error:", err);
+    }
+  }
+  await Attachment.deleteMany({ itemId: { $in: itemIds } });
+}
+
+module.exports = {
+  MAX_BYTES,
+  MAX_PER_ITEM,
+  ALLOWED_TYPES,
+  isImage,
+  multerStorage,
+  attachmentJSON,
+  attachmentsByItem,
+  deleteAttachments,
+};
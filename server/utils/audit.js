@@ -0,0 +1,23 @@
+// -----------------------------
+// Audit trail for administrative actions (models/AuditLog.js)
+// Routes call recordAudit after the change succeeded; entries are never edited or removed.
+// -----------------------------
+
+const AuditLog = require("../models/AuditLog");
+
+// Record that req.user did `action` ("user.disable", "employee.update", ...) to `target`,
+// a User or an Employee (anything with _id and email)
+function recordAudit(req, action, target, details = {}) {
+  return AuditLog.create({
+    actorId: req.user._id,
+    actorEmail: req.user.email,
+    action,
+    targetType: action.split(".")[0],
+    targetId: target._id,
+    targetEmail: target.email,
+    details,
+    ip: req.ip || "",
+  });
+}
+
+module.exports = { recordAudit };
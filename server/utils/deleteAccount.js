@@ -0,0 +1,47 @@
+// -----------------------------
+// Account deletion (DELETE /account)
+// Removes the user and everything that belongs to them:
+// - their items, with revisions, attachments and live "deleted" events (utils/purgeItems.js)
+// - their place in other people's shares (the owners' open clients get the updated item)
+// - tags, sessions, emailed tokens, notifications and queued live events
+// Audit trail entries about the account stay (they keep the email they were written with).
+// -----------------------------
+
+const User = require("../models/User");
+const Item = require("../models/Item");
+const Tag = require("../models/Tag");
+const Session = require("../models/Session");
+const ActionToken = require("../models/ActionToken");
+const Notification = require("../models/Notification");
+const ItemEvent = require("../models/ItemEvent");
+const { purgeItems } = require("./purgeItems");
+const { publishItemEvents } = require("./itemEvents");
+
+async function deleteAccount(userId) {
+  const id = String(userId);
+
+  // Sign out first, so nothing new is created while the rest goes
+  await Session.deleteMany({ userId: id });
+
+  const items = await purgeItems({ userId: id });
+
+  const sharedWith = await Item.find({ "shares.userId": id }).select("_id").lean();
+  if (sharedWith.length > 0) {
+    const ids = sharedWith.map((item) => item._id);
+    // Like routes/shares.js: shares aren't content, so neither version nor updatedAt changes
+    await Item.updateMany({ _id: { $in: ids } }, { $pull: { shares: { userId: id } } }, { timestamps: false });
+    await publishItemEvents("updated", await Item.find({ _id: { $in: ids } }).lean());
+  }
+
+  await Promise.all([
+    Tag.deleteMany({ userId: id }),
+    ActionToken.deleteMany({ userId: id }),
+    Notification.deleteMany({ userId: id }),
+    ItemEvent.deleteMany({ userId: id }),
+  ]);
+  await User.deleteOne({ _id: id });
+
+  return { items, shares: sharedWith.length };
+}
+
+module.exports = { deleteAccount };
@@ -0,0 +1,38 @@
+// -----------------------------
+// Email verification helpers
+// - Links expire after EMAIL_VERIFY_TTL_HOURS (default 24); so do links confirming a changed
+//   address (CHANGE_PURPOSE, sent to the new address)
+// - Resends are rate-limited per account (sendWaitSeconds in utils/actionTokens.js)
+// -----------------------------
+
+const { issueActionToken, sendWaitSeconds } = require("./actionTokens");
+const { sendMail } = require("../mail");
+const { verificationEmail, emailChangeEmail } = require("../mail/templates");
+
+const PURPOSE = "email-verify";
+const CHANGE_PURPOSE = "email-change";
+
+function ttlHours() {
+  return parseInt(process.env.EMAIL_VERIFY_TTL_HOURS, 10) || 24;
+}
+
+// Issue a fresh link (older ones stop working) and email it
+async function sendVerificationEmail(user) {
+  const hours = ttlHours();
+  const token = await issueActionToken(user._id, PURPOSE, hours * 60 * 60 * 1000);
+  await sendMail(verificationEmail(user, token, hours));
+}
+
+// Issue a link confirming `newEmail` (older ones stop working) and email it to that address
+async function sendEmailChangeEmail(user, newEmail) {
+  const hours = ttlHours();
+  const token = await issueActionToken(user._id, CHANGE_PURPOSE, hours * 60 * 60 * 1000);
+  await sendMail(emailChangeEmail(user, newEmail, token, hours));
+}
+
+// Seconds until this user may request another verification email (0 = allowed now)
+function resendWaitSeconds(userId) {
+  return sendWaitSeconds(userId, PURPOSE);
+}
+
+module.exports = { PURPOSE, CHANGE_PURPOSE, sendVerificationEmail, sendEmailChangeEmail, resendWaitSeconds };
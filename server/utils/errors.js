@@ -0,0 +1,50 @@
+// -----------------------------
+// Error envelope
+// Every error response from this API has the same JSON shape:
+//
+//   {
+//     "status": "error",
+//     "code": "VALIDATION_ERROR",           // machine-readable, stable across releases
+//     "message": "Some fields are invalid",  // human-readable summary, safe to show
+//     "details": [                           // VALIDATION_ERROR only: one entry per problem
+//       { "location": "body", "field": "title", "message": "Title is required" }
+//     ]
+//   }
+//
+// Some codes add extra fields (e.g. "retryAfter" in seconds for 429s, alongside a
+// Retry-After header, or the server's copy as "current" for VERSION_CONFLICT). Internal error text is never sent; it goes to logError instead.
+//
+// Codes:
+//   400 VALIDATION_ERROR   request body/params/query failed its schema (see middleware/validate.js)
+//   400 INVALID_JSON       request body is not valid JSON
+//   400 INVALID_LINK       reset/verification/email-change token is unknown, used or expired
+//   400 INVALID_FILE       an uploaded file can't be read at all (bad JSON, broken zip, ...)
+//   401 AUTH_REQUIRED      no bearer token sent
+//   401 INVALID_TOKEN      bearer token is malformed, forged or expired
+//   401 SESSION_ENDED      the session behind a token/refresh token was revoked or expired
+//   401 INVALID_CREDENTIALS wrong email or password (deliberately not more specific)
+//   401 ACCOUNT_DISABLED   the account behind a token was disabled by an admin
+//   403 EMAIL_NOT_VERIFIED correct credentials, but the email address isn't confirmed yet
+//   403 ACCOUNT_DISABLED   correct credentials, but an admin disabled the account
+//   403 PASSWORD_RESET_REQUIRED correct credentials, but an admin requires a new password first
+//   403 FORBIDDEN          the caller can see the item but their share doesn't allow this action,
+//                          or their role lacks the permission (middleware/permissions.js)
+//   404 NOT_FOUND          resource doesn't exist (or isn't visible to the caller)
+//   409 EMAIL_TAKEN        an account with that email already exists
+//   409 SELF_ACTION        an admin tried to disable or demote their own account
+//   409 LAST_ADMIN         the only active admin tried to delete their account
+//   409 VERSION_CONFLICT   If-Match doesn't match the item's current version; body has "current"
+//   409 BATCH_ABORTED      an all-or-nothing batch had a failing operation; body has "results"
+//   413 PAYLOAD_TOO_LARGE  request body (or an uploaded file) exceeds its size limit
+//   415 UNSUPPORTED_MEDIA_TYPE an uploaded file's type isn't on the attachment allow-list
+//   429 TOO_MANY_ATTEMPTS  login (or a settings password check) throttled / locked out
+//   429 RATE_LIMITED       any other per-account limit (e.g. verification resends)
+//   500 INTERNAL_ERROR     unexpected server failure
+//   501 ATOMIC_UNAVAILABLE all-or-nothing batches need MongoDB transactions (a replica set)
+// -----------------------------
+
+function sendError(res, httpStatus, code, message, extra = {}) {
+  return res.status(httpStatus).json({ status: "error", code, message, ...extra });
+}
+
+module.exports = { sendError };
@@ -0,0 +1,80 @@
+// -----------------------------
+// Item change events (live sync, see routes/events.js)
+// - publishItemEvents() is called after an item change has been saved. Each person who can
+//   see the item (owner + shares) gets an ItemEvent holding the item as they see it; the
+//   events are stored (for catch-up after a reconnect) and pushed to that user's open streams.
+// - Types: "created", "updated" (includes restores from the Trash), "deleted" (moved to the
+//   Trash or purged; other people only get the id). Clients apply them by item id, so an
+//   event for a change the client made itself is harmless.
+// - Live delivery is in-process: with several server instances, a client only hears about
+//   changes made through its own instance until it reconnects and catches up.
+// -----------------------------
+
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const ItemEvent = require("../models/ItemEvent");
+const { ownersById, shapeFor } = require("./sharing");
+const logError = require("./logError");
+
+// How long events stay available for catch-up (EVENT_RETENTION_HOURS, default 24)
+const RETENTION_MS = (parseFloat(process.env.EVENT_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// One channel per user id
+const bus = new EventEmitter();
+bus.setMaxListeners(0);                                         // One listener per open tab
+
+// Everyone who can see an item
+const recipientsOf = (item) => [item.userId, ...(item.shares || []).map((s) => s.userId)];
+
+// What a recipient receives for one item
+function payloadFor(type, item, userId, owners) {
+  if (type === "deleted" && item.userId !== userId) return { _id: item._id };
+  return shapeFor(item, userId, owners);
+}
+
+// Store and push one event per item and recipient. `to` limits the recipients (e.g. the one
+// person a share was just given to). Never throws: a failed push must not fail the change itself.
+async function publishItemEvents(type, items, { to = null } = {}) {
+  try {
+    const list = items.filter(Boolean);
+    if (list.length === 0) return;
+
+    const foreign = list.filter((item) => (to || recipientsOf(item)).some((userId) => userId !== item.userId));
+    const owners = foreign.length > 0 ? await ownersById(foreign.map((item) => item.userId)) : new Map();
+    const expiresAt = new Date(Date.now() + RETENTION_MS);
+
+    const docs = list.flatMap((item) =>
+      (to || recipientsOf(item)).map((userId) => ({
+        userId,
+        type,
+        itemId: item._id,
+        item: payloadFor(type, item, userId, owners),
+        expiresAt,
+      }))
+    );
+    const saved = await ItemEvent.insertMany(docs);
+    for (const event of saved) bus.emit(event.userId, event.toObject());
+  } catch (err) {
+    logError("Publish item events error:", err);
+  }
+}
+
+// Listen for a user's events as they happen; returns the function that stops listening
+function subscribe(userId, listener) {
+  bus.on(userId, listener);
+  return () => bus.off(userId, listener);
+}
+
+// A user's stored events after `afterId`, oldest first. Returns null when they can't be
+// replayed completely (unknown id, older than the retention window, or more than `limit`);
+// the client then reloads instead.
+async function eventsSince(userId, afterId, limit) {
+  if (!/^[0-9a-f]{24}$/i.test(afterId || "")) return null;
+  const after = new mongoose.Types.ObjectId(afterId);
+  if (Date.now() - after.getTimestamp().getTime() > RETENTION_MS) return null;
+
+  const events = await ItemEvent.find({ userId, _id: { $gt: after } }).sort({ _id: 1 }).limit(limit + 1).lean();
+  return events.length > limit ? null : events;
+}
+
+module.exports = { publishItemEvents, subscribe, eventsSince };
@@ -0,0 +1,172 @@
+// -----------------------------
+// Item import/export formats
+// - JSON:     an array of { id, title, description, tags, pinned, archived, createdAt, updatedAt }
+// - CSV:      the same columns, tags joined with ", " (tag names can't contain commas, see
+//             fields.tags in middleware/validate.js); cells that a spreadsheet would run as a
+//             formula get a leading ' on export (stripped again on import)
+// - Markdown: one .md file per item, metadata in a front-matter block, description as the body
+// Parsers return plain row objects; validation happens in routes/itemTransfer.js.
+// -----------------------------
+
+const EXPORT_FIELDS = ["id", "title", "description", "tags", "pinned", "archived", "createdAt", "updatedAt"];
+
+// The exported shape of one item
+function exportRecord(item) {
+  return {
+    id: String(item._id),
+    title: item.title,
+    description: item.description || "",
+    tags: item.tags || [],
+    pinned: Boolean(item.pinned),
+    archived: Boolean(item.archived),
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+// -----------------------------
+// CSV (RFC 4180)
+// -----------------------------
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+const csvHeader = () => csvLine(EXPORT_FIELDS);
+const csvRow = (item) => csvLine(EXPORT_FIELDS.map((field) => exportRecord(item)[field]));
+
+// Split CSV text into rows of cells (quoted cells may contain commas, quotes and newlines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));     // Skip blank lines
+}
+
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// CSV text -> row objects keyed by the header line (column names are case-insensitive)
+function parseCsv(text) {
+  const [header = [], ...lines] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim().toLowerCase());
+
+  return lines.map((cells) => {
+    const record = {};
+    columns.forEach((column, i) => {
+      if (cells[i] !== undefined) record[column] = unescapeFormula(cells[i]);
+    });
+
+    const row = { title: record.title, description: record.description ?? "" };
+    if (record.tags !== undefined) row.tags = record.tags.split(",").map((t) => t.trim()).filter(Boolean);
+    for (const flag of ["pinned", "archived"]) {
+      if (record[flag] !== undefined && record[flag] !== "") row[flag] = record[flag].trim().toLowerCase() === "true";
+    }
+    return row;
+  });
+}
+
+// -----------------------------
+// Markdown with front-matter
+// Values are written as JSON, which is also valid YAML, so other tools can read them.
+// -----------------------------
+
+function toMarkdown(item) {
+  const record = exportRecord(item);
+  const meta = ["title", "tags", "pinned", "archived", "createdAt", "updatedAt", "id"]
+    .map((key) => `${key}: ${JSON.stringify(record[key])}`)
+    .join("\n");
+  return `---\n${meta}\n---\n\n${record.description}\n`;
+}
+
+// File-system friendly name from a title
+function slugify(title) {
+  const slug = String(title)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return slug || "item";
+}
+
+// Markdown text -> row object; `fallbackTitle` (e.g. the file name) is used when there is no title
+function parseMarkdown(text, fallbackTitle) {
+  const source = text.replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+  const match = /^---\n([\s\S]*?)\n---\n?/.exec(source);
+  const meta = {};
+
+  if (match) {
+    for (const line of match[1].split("\n")) {
+      const sep = line.indexOf(":");
+      if (sep === -1) continue;
+      const key = line.slice(0, sep).trim();
+      const raw = line.slice(sep + 1).trim();
+      try {
+        meta[key] = JSON.parse(raw);
+      } catch {
+        meta[key] = raw;                                       // Plain YAML scalar, e.g. title: Groceries
+      }
+    }
+  }
+
+  const row = {
+    title: meta.title !== undefined ? String(meta.title) : fallbackTitle,
+    description: (match ? source.slice(match[0].length) : source).trim(),
+  };
+  if (meta.tags !== undefined) row.tags = Array.isArray(meta.tags) ? meta.tags.map(String) : String(meta.tags).split(",");
+  if (typeof meta.pinned === "boolean") row.pinned = meta.pinned;
+  if (typeof meta.archived === "boolean") row.archived = meta.archived;
+  return row;
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  exportRecord,
+  csvHeader,
+  csvRow,
+  parseCsv,
+  toMarkdown,
+  slugify,
+  parseMarkdown,
+};
@@ -0,0 +1,43 @@
+// -----------------------------
+// Item versions (optimistic concurrency)
+// - Every save bumps Item.version (schema option optimisticConcurrency), exposed as the
+//   item's ETag: "<version>"
+// - Updates may send If-Match with that ETag; a stale one gets a 409 VERSION_CONFLICT
+//   carrying the current server copy as "current", so the client can resolve the conflict
+// - Requests without If-Match are still accepted (older clients), but a save that races
+//   another one is still caught by Mongoose (VersionError) and answered the same way
+// -----------------------------
+
+const mongoose = require("mongoose");
+const { sendError } = require("./errors");
+
+function itemETag(item) {
+  return `"${item.version ?? 0}"`;
+}
+
+// Set the ETag header for a single-item response
+function setItemETag(res, item) {
+  res.set("ETag", itemETag(item));
+}
+
+// True when an If-Match header (if any) allows writing `item`.
+// Accepts "*", a list of tags, and weak tags (W/"3"), which are compared by value.
+function ifMatchAllows(header, item) {
+  if (header === undefined) return true;
+  const current = itemETag(item);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === current);
+}
+
+function sendVersionConflict(res, current) {
+  setItemETag(res, current);
+  return sendError(res, 409, "VERSION_CONFLICT", "This item was changed elsewhere", { current });
+}
+
+function isVersionError(err) {
+  return err instanceof mongoose.Error.VersionError;
+}
+
+module.exports = { itemETag, setItemETag, ifMatchAllows, sendVersionConflict, isVersionError };
@@ -0,0 +1,38 @@
+// -----------------------------
+// Error logging that never prints secrets
+// - Mongoose errors can echo document values (e.g. CastError / ValidationError
+//   messages), so anything that looks like a bcrypt hash is masked, and
+//   validation errors for sensitive paths are reduced to their path name.
+// -----------------------------
+
+const HASH_PATTERN = /\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}/g;
+const SENSITIVE_PATH = /password|token|secret/i;
+
+function scrub(text) {
+  return String(text).replace(HASH_PATTERN, "[redacted]");
+}
+
+// Drop-in replacement for console.error(label, err)
+function logError(label, err) {
+  if (!err || typeof err !== "object") {
+    console.error(label, scrub(err));
+    return;
+  }
+
+  const details = [];
+  if (err.errors && typeof err.errors === "object") {
+    for (const [path, sub] of Object.entries(err.errors)) {
+      // Keep the field name but never the offending value for sensitive fields
+      details.push(SENSITIVE_PATH.test(path) ? `${path}: invalid` : `${path}: ${scrub(sub && sub.message)}`);
+    }
+  }
+
+  // Validation messages embed every sub-error (values included), so print the summary only
+  const head = details.length
+    ? `${err.name}: ${err._message || "Validation failed"}\n  ${details.join("\n  ")}`
+    : scrub(err.stack || err.message || err);
+
+  console.error(label, head);
+}
+
+module.exports = logError;
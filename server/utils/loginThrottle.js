@@ -0,0 +1,84 @@
+// -----------------------------
+// Login throttling and lockout
+// Two counters are kept per attempt: one for the client IP, one for the account (email).
+// - The first few failures are free; after that each failure blocks the key for an
+//   exponentially growing delay (1s, 2s, 4s, ...)
+// - Reaching the maximum locks the key for the full lockout period
+// - A successful login clears the account counter; IP counters only expire, so an
+//   attacker can't reset them by logging into their own account
+// Settings: LOGIN_MAX_FAILURES (default 5), LOGIN_LOCKOUT_MINUTES (default 15),
+//           LOGIN_IP_MAX_FAILURES (default 50)
+// -----------------------------
+
+const LoginThrottle = require("../models/LoginThrottle");
+
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 1000;
+
+function policies() {
+  const lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+  return {
+    account: { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5, lockoutMs },
+    ip: { maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50, lockoutMs },
+  };
+}
+
+function keysFor(req, email) {
+  return {
+    ip: `ip:${req.ip}`,
+    account: `account:${String(email).trim().toLowerCase()}`,
+  };
+}
+
+// Seconds until the next attempt is allowed for this IP/account pair (0 = allowed now)
+async function loginWaitSeconds(req, email) {
+  const { ip, account } = keysFor(req, email);
+  const now = Date.now();
+
+  const records = await LoginThrottle.find({ key: { $in: [ip, account] }, lockedUntil: { $gt: new Date(now) } })
+    .select("lockedUntil")
+    .lean();
+
+  const waitMs = records.reduce((max, r) => Math.max(max, r.lockedUntil.getTime() - now), 0);
+  return Math.ceil(waitMs / 1000);
+}
+
+// Bump one counter and work out how long it is now blocked for
+async function bump(key, { maxFailures, lockoutMs }) {
+  const now = Date.now();
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { expiresAt: new Date(now + lockoutMs) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  let delayMs = 0;
+  if (record.failures >= maxFailures) {
+    delayMs = lockoutMs;
+  } else if (record.failures > FREE_ATTEMPTS) {
+    delayMs = Math.min(BASE_DELAY_MS * 2 ** (record.failures - FREE_ATTEMPTS - 1), lockoutMs);
+  }
+
+  if (delayMs > 0) {
+    await LoginThrottle.updateOne(
+      { key },
+      { lockedUntil: new Date(now + delayMs), expiresAt: new Date(now + Math.max(delayMs, lockoutMs)) }
+    );
+  }
+  return delayMs;
+}
+
+// Record a failed attempt. Returns seconds until the next attempt is allowed.
+async function recordLoginFailure(req, email) {
+  const { ip, account } = keysFor(req, email);
+  const policy = policies();
+  const [ipDelay, accountDelay] = await Promise.all([bump(ip, policy.ip), bump(account, policy.account)]);
+  return Math.ceil(Math.max(ipDelay, accountDelay) / 1000);
+}
+
+// Forget the account's failures after a successful login
+async function recordLoginSuccess(req, email) {
+  await LoginThrottle.deleteOne({ key: keysFor(req, email).account });
+}
+
+module.exports = { loginWaitSeconds, recordLoginFailure, recordLoginSuccess };
@@ -0,0 +1,32 @@
+// -----------------------------
+// Org chart helpers (routes/employees.js)
+// The routes load employees flat (with $graphLookup); these turn them into the nested
+// { ...summary, reports: [...] } nodes the /directory page draws.
+// -----------------------------
+
+// Summary used for managers, reports and org-chart nodes
+const summary = (e) => ({ _id: e._id, name: e.name, title: e.title, department: e.department, email: e.email });
+
+// Turn a flat list of employees into trees under `rootIds` (children A-Z). Employees whose
+// manager isn't in the list become roots of their own.
+function buildTree(employees, rootIds) {
+  const nodes = new Map(employees.map((e) => [String(e._id), { ...summary(e), reports: [] }]));
+  const byName = (a, b) => (a.name || "").localeCompare(b.name || ""); // Legacy rows may lack a name
+  const roots = [];
+
+  for (const e of employees) {
+    const node = nodes.get(String(e._id));
+    const parent = e.managerId && !rootIds.has(String(e._id)) ? nodes.get(String(e.managerId)) : null;
+    if (parent) parent.reports.push(node);
+    else roots.push(node);
+  }
+
+  const sortAll = (list) => {
+    list.sort(byName);
+    list.forEach((n) => sortAll(n.reports));
+  };
+  sortAll(roots);
+  return roots;
+}
+
+module.exports = { summary, buildTree };
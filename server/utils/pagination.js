@@ -0,0 +1,83 @@
+// -----------------------------
+// Cursor (keyset) pagination
+// A cursor is an opaque base64url string holding the last item's sort value and _id,
+// plus the sort it was made for. The next page continues strictly after that pair,
+// so inserts/deletes between requests never cause skipped or repeated items.
+// With pinnedFirst, pinned documents come before all others (each group in the chosen
+// order); documents without a `pinned` field count as unpinned.
+// Items sort by SORT_FIELDS; other collections pass their own map as `sortFields`.
+// -----------------------------
+
+const mongoose = require("mongoose");
+
+// Public sort names -> document fields
+const SORT_FIELDS = {
+  created: "createdAt",
+  updated: "updatedAt",
+  title: "title",
+};
+
+function encodeCursor(doc, sort, order, sortFields = SORT_FIELDS) {
+  const field = sortFields[sort];
+  const value = doc[field] instanceof Date ? { d: doc[field].toISOString() } : { s: doc[field] };
+  const data = { sort, order, id: String(doc._id), p: doc.pinned === true, ...value };
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+// Returns { value, id, pinned } or null when the cursor is malformed or was made for another sort
+function decodeCursor(cursor, sort, order) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (data.sort !== sort || data.order !== order || !mongoose.isValidObjectId(data.id)) return null;
+
+    const value = data.d !== undefined ? new Date(data.d) : data.s;
+    if (value === undefined || (value instanceof Date && Number.isNaN(value.getTime()))) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(data.id), pinned: data.p === true };
+  } catch {
+    return null;
+  }
+}
+
+// Mongo sort spec; _id breaks ties so the order is total
+function sortSpec(sort, order, pinnedFirst, sortFields) {
+  const dir = order === "asc" ? 1 : -1;
+  return { ...(pinnedFirst ? { pinned: -1 } : {}), [sortFields[sort]]: dir, _id: dir };
+}
+
+// Filter for "everything after this cursor" within one group
+function afterInGroup({ value, id }, sort, order, sortFields) {
+  const field = sortFields[sort];
+  const op = order === "asc" ? "$gt" : "$lt";
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+}
+
+// Filter for "everything after this cursor"
+function afterCursor(cursor, sort, order, pinnedFirst, sortFields) {
+  if (!pinnedFirst) return afterInGroup(cursor, sort, order, sortFields);
+
+  const unpinned = { pinned: { $ne: true } };
+  if (!cursor.pinned) return { $and: [unpinned, afterInGroup(cursor, sort, order, sortFields)] };
+
+  // Still inside the pinned group: the rest of it, then every unpinned document
+  return { $or: [{ $and: [{ pinned: true }, afterInGroup(cursor, sort, order, sortFields)] }, unpinned] };
+}
+
+// Run one page of a query. Returns { items, nextCursor, total }.
+async function paginate(Model, filter, { sort, order, limit, cursor, pinnedFirst = false, sortFields = SORT_FIELDS }) {
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursor(cursor, sort, order, pinnedFirst, sortFields)] }
+    : filter;
+
+  // Fetch one extra document to know whether another page exists
+  const [docs, total] = await Promise.all([
+    Model.find(pageFilter).sort(sortSpec(sort, order, pinnedFirst, sortFields)).limit(limit + 1),
+    Model.countDocuments(filter),
+  ]);
+
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort, order, sortFields) : null;
+  return { items, nextCursor, total };
+}
+
+module.exports = { SORT_FIELDS, encodeCursor, decodeCursor, paginate };
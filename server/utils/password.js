@@ -0,0 +1,63 @@
+// -----------------------------
+// Password hashing helpers (bcrypt)
+// - Cost is read from BCRYPT_ROUNDS (default 12, clamped to bcrypt's 4..31 range)
+// - Accounts created before hashing was introduced still hold plain text;
+//   verifyPassword() accepts those once and tells the caller to rehash.
+// -----------------------------
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const DEFAULT_ROUNDS = 12;
+
+// bcrypt hashes look like: $2b$12$<53 chars of salt + hash>
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Read the configured cost on every call so tests/ops can change it without a restart
+function getRounds() {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS, 10);
+  if (Number.isNaN(rounds)) return DEFAULT_ROUNDS;
+  return Math.min(Math.max(rounds, 4), 31);
+}
+
+// True when the stored value is already a bcrypt hash (not legacy plain text)
+function isHashed(stored) {
+  return typeof stored === "string" && BCRYPT_HASH.test(stored);
+}
+
+// Hash a plain-text password with the configured cost
+function hashPassword(plain) {
+  return bcrypt.hash(plain, getRounds());
+}
+
+// Compare a login attempt against what is stored.
+// Returns { ok, needsRehash } — needsRehash is true for legacy plain-text records
+// and for hashes made with a different cost than the one currently configured.
+async function verifyPassword(plain, stored) {
+  if (typeof plain !== "string" || typeof stored !== "string") {
+    return { ok: false, needsRehash: false };
+  }
+
+  if (isHashed(stored)) {
+    const ok = await bcrypt.compare(plain, stored);
+    return { ok, needsRehash: ok && bcrypt.getRounds(stored) !== getRounds() };
+  }
+
+  // Legacy plain-text record: compare digests in constant time
+  const a = crypto.createHash("sha256").update(plain).digest();
+  const b = crypto.createHash("sha256").update(stored).digest();
+  const ok = crypto.timingSafeEqual(a, b);
+  return { ok, needsRehash: ok };
+}
+
+// Spend the same time as a real check when there is no account to check against,
+// so response timing doesn't reveal which emails are registered
+let dummyHash = null;
+async function simulatePasswordCheck(plain) {
+  if (!dummyHash || bcrypt.getRounds(dummyHash) !== getRounds()) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  await bcrypt.compare(String(plain), dummyHash);
+}
+
+module.exports = { getRounds, isHashed, hashPassword, verifyPassword, simulatePasswordCheck };
@@ -0,0 +1,33 @@
+// -----------------------------
+// Password reset helpers
+// - Reset links expire after PASSWORD_RESET_TTL_MINUTES (default 60)
+// - Used by POST /password/forgot and by admins forcing a reset (routes/admin.js)
+// - Requests by email are rate-limited per account like verification resends
+//   (sendWaitSeconds in utils/actionTokens.js); admin-forced resets are not
+// -----------------------------
+
+const { issueActionToken, sendWaitSeconds } = require("./actionTokens");
+const { sendMail } = require("../mail");
+const { passwordResetEmail } = require("../mail/templates");
+
+const PURPOSE = "password-reset";
+
+function resetTtlMinutes() {
+  return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+}
+
+// Issue a fresh reset link (older ones stop working) and email it.
+// `forced`: an admin asked for it, so the email says so.
+async function sendPasswordResetEmail(user, { forced = false } = {}) {
+  const ttlMinutes = resetTtlMinutes();
+  const token = await issueActionToken(user._id, PURPOSE, ttlMinutes * 60 * 1000);
+  await sendMail(passwordResetEmail(user, token, ttlMinutes, { forced }));
+}
+
+// Seconds until this user may be sent another reset link on request (0 = allowed now).
+// `userId` null (no such account) runs the same query, which simply finds nothing.
+function resetWaitSeconds(userId) {
+  return sendWaitSeconds(userId, PURPOSE);
+}
+
+module.exports = { PURPOSE, sendPasswordResetEmail, resetWaitSeconds };
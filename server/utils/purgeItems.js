@@ -0,0 +1,25 @@
+// -----------------------------
+// Permanent item deletion
+// Everything that deletes items for good (Trash routes, the purge job) goes through
+// purgeItems() so data hanging off an item (its revisions, attachments, ...) goes with it.
+// -----------------------------
+
+const Item = require("../models/Item");
+const { deleteRevisions } = require("./revisions");
+const { deleteAttachments } = require("./attachments");
+const { publishItemEvents } = require("./itemEvents");
+
+// Permanently delete every item matching `filter`; returns how many were deleted
+async function purgeItems(filter) {
+  const items = await Item.find(filter).select("_id userId shares").lean();
+  if (items.length === 0) return 0;
+  const ids = items.map((item) => item._id);
+
+  const { deletedCount } = await Item.deleteMany({ _id: { $in: ids } });
+  await deleteRevisions(ids);
+  await deleteAttachments(ids);
+  await publishItemEvents("deleted", items);                    // No deletedAt: gone from the Trash too
+  return deletedCount;
+}
+
+module.exports = { purgeItems };
@@ -0,0 +1,18 @@
+// -----------------------------
+// Random secrets that are handed to clients but only stored hashed
+// (refresh tokens, password-reset links, email-verification links)
+// -----------------------------
+
+const crypto = require("crypto");
+
+// 256 bits of randomness, URL-safe so it can go straight into a link
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// What we persist instead of the secret itself
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+module.exports = { newSecret, hashToken };
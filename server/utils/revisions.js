@@ -0,0 +1,99 @@
+// -----------------------------
+// Item revision history
+// - Every change to an item's content (title, description, tags) stores a Revision
+//   holding the new content, its author and a timestamp
+// - Items that predate revision history get a baseline revision (their content before
+//   the first recorded change) so the first diff has something to compare against
+// -----------------------------
+
+const Revision = require("../models/Revision");
+
+// The part of an item that revisions track
+function snapshot(item) {
+  return {
+    title: item.title,
+    description: item.description || "",
+    tags: [...(item.tags || [])],
+    updatedAt: item.updatedAt,
+  };
+}
+
+function sameContent(a, b) {
+  return a.title === b.title && a.description === b.description && a.tags.join("\n") === b.tags.join("\n");
+}
+
+// Store a revision for `item`'s current content. `before` is snapshot(item) taken before the
+// change (omit it for new items); nothing is stored if the content didn't actually change.
+// `session` runs the writes inside a transaction (batch operations).
+async function recordRevision(item, author, { before = null, restoredFrom = null, session = null } = {}) {
+  const after = snapshot(item);
+  if (before && sameContent(before, after)) return null;
+
+  const last = await Revision.findOne({ itemId: item._id })
+    .sort({ number: -1 })
+    .select("number")
+    .session(session)
+    .lean();
+  let number = last ? last.number : 0;
+
+  // First change to an item from before revision history existed: keep its old content too
+  if (!last && before) {
+    number += 1;
+    await Revision.create(
+      [
+        {
+          itemId: item._id,
+          userId: item.userId,
+          number,
+          title: before.title,
+          description: before.description,
+          tags: before.tags,
+          createdAt: before.updatedAt || new Date(),
+        },
+      ],
+      { session }
+    );
+  }
+
+  // create() only takes options (the session) with an array of documents
+  const [revision] = await Revision.create(
+    [
+      {
+        itemId: item._id,
+        userId: item.userId,
+        number: number + 1,
+        authorId: String(author.id),
+        authorName: author.name,
+        title: after.title,
+        description: after.description,
+        tags: after.tags,
+        restoredFrom,
+      },
+    ],
+    { session }
+  );
+  return revision;
+}
+
+// First revisions for many freshly created items at once (imports)
+function recordInitialRevisions(items, author) {
+  return Revision.insertMany(
+    items.map((item) => ({
+      itemId: item._id,
+      userId: item.userId,
+      number: 1,
+      authorId: String(author.id),
+      authorName: author.name,
+      title: item.title,
+      description: item.description || "",
+      tags: item.tags || [],
+    }))
+  );
+}
+
+// Remove the history of items that are being deleted for good
+function deleteRevisions(itemIds) {
+  return Revision.deleteMany({ itemId: { $in: itemIds } });
+}
+
+module.exports = { snapshot, recordRevision, recordInitialRevisions, deleteRevisions };
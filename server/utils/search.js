@@ -0,0 +1,118 @@
+// -----------------------------
+// Item search helpers (GET /items/search)
+// Query syntax:
+//   word        -> matches the word (stemmed, via the MongoDB text index)
+//   "a phrase"  -> the exact phrase must appear
+//   pre*        -> any word starting with "pre" (regex, since text indexes can't do prefixes)
+// Results are ranked by the text score when the query has words/phrases. Highlights are
+// returned as plain { text, match } segments, so the client never has to inject HTML.
+// -----------------------------
+
+const SNIPPET_RADIUS = 60;                                     // Characters kept around the first match
+const PREFIX_MIN = 2;                                          // Shorter prefixes would match nearly everything
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Split the raw query into words, "phrases" and prefix* terms
+function parseQuery(q) {
+  const phrases = [];
+  const rest = String(q).replace(/"([^"]+)"/g, (m, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return " ";
+  });
+
+  const words = [];
+  const prefixes = [];
+  for (const token of rest.replace(/"/g, " ").split(/\s+/).filter(Boolean)) {
+    if (token.endsWith("*")) {
+      const prefix = token.replace(/\*+$/, "");
+      if (prefix.length >= PREFIX_MIN) prefixes.push(prefix);
+    } else {
+      words.push(token);
+    }
+  }
+  return { words, phrases, prefixes };
+}
+
+function isEmpty(parsed) {
+  return !parsed.words.length && !parsed.phrases.length && !parsed.prefixes.length;
+}
+
+// Mongo filter for a parsed query (combine with the caller's own ownership filter)
+function searchFilter(parsed) {
+  const filter = {};
+
+  if (parsed.words.length || parsed.phrases.length) {
+    const search = [...parsed.words, ...parsed.phrases.map((p) => `"${p.replace(/"/g, "")}"`)].join(" ");
+    filter.$text = { $search: search };
+  }
+
+  // Every prefix must match somewhere in the title or description
+  if (parsed.prefixes.length) {
+    filter.$and = parsed.prefixes.map((prefix) => {
+      const re = new RegExp(`\\b${escapeRegex(prefix)}`, "i");
+      return { $or: [{ title: re }, { description: re }] };
+    });
+  }
+
+  return filter;
+}
+
+// One regex that finds every term (words also match their longer forms, e.g. note -> notes)
+function highlightRegex(parsed) {
+  const parts = [
+    ...parsed.phrases.map((p) => escapeRegex(p).replace(/\s+/g, "\\s+")),
+    ...parsed.words.map((w) => `\\b${escapeRegex(w)}\\w*`),
+    ...parsed.prefixes.map((p) => `\\b${escapeRegex(p)}\\w*`),
+  ];
+  return parts.length ? new RegExp(parts.join("|"), "gi") : null;
+}
+
+// Cut text into [{ text, match }] segments
+function segment(text, re) {
+  const segments = [];
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    if (!m[0]) continue;
+    if (m.index > last) segments.push({ text: text.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+}
+
+// Short window of the description around its first match
+function snippet(text, re) {
+  re.lastIndex = 0;
+  const first = re.exec(text);
+  re.lastIndex = 0;
+  if (!first) return text.length > SNIPPET_RADIUS * 2 ? `${text.slice(0, SNIPPET_RADIUS * 2)}…` : text;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+// { title: [segments], description: [segments] } for one item
+function highlight(item, parsed) {
+  const re = highlightRegex(parsed);
+  const title = item.title || "";
+  const description = item.description || "";
+  if (!re) {
+    return { title: [{ text: title, match: false }], description: [{ text: description.slice(0, SNIPPET_RADIUS * 2), match: false }] };
+  }
+  return { title: segment(title, re), description: segment(snippet(description, re), re) };
+}
+
+// Fallback ranking when there is no text score (prefix-only queries): title hits count more
+function prefixScore(item, parsed) {
+  return parsed.prefixes.reduce((score, prefix) => {
+    const re = new RegExp(`\\b${escapeRegex(prefix)}`, "gi");
+    return score + 2 * ((item.title || "").match(re) || []).length + ((item.description || "").match(re) || []).length;
+  }, 0);
+}
+
+module.exports = { escapeRegex, parseQuery, isEmpty, searchFilter, highlight, prefixScore };
@@ -0,0 +1,116 @@
+// -----------------------------
+// Refresh-token sessions
+// - A refresh token is "<sessionId>.<random secret>"; only sha256(secret) is stored
+// - Every refresh rotates the secret and pushes expiresAt out (REFRESH_TOKEN_TTL_DAYS, default 30)
+// - Presenting an already-rotated token revokes the whole session (it was probably stolen),
+//   except within a short grace window so two tabs refreshing at once don't log each other out
+// -----------------------------
+
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { newSecret, hashToken } = require("./randomToken");
+
+const DEFAULT_TTL_DAYS = 30;
+const REUSE_GRACE_MS = 30 * 1000;
+
+function refreshExpiry() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Device details recorded for GET /sessions
+function clientInfo(req) {
+  return {
+    userAgent: (req.get("User-Agent") || "").slice(0, 256),
+    ip: req.ip || "",
+  };
+}
+
+// Filter for sessions that can still be used
+function activeFilter(extra = {}) {
+  return { ...extra, revokedAt: null, expiresAt: { $gt: new Date() } };
+}
+
+// Create a new session for a user (called on login)
+async function startSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+}
+
+// Exchange a refresh token for a new one. Returns { session, refreshToken } or null.
+async function rotateSession(refreshToken, req) {
+  const [id, secret] = String(refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(id) || !secret) return null;
+
+  const session = await Session.findOne(activeFilter({ _id: id }));
+  if (!session) return null;
+
+  const hash = hashToken(secret);
+  if (hash !== session.tokenHash) {
+    // An old token came back. Outside the grace window that means it leaked: kill the session.
+    const recentlyRotated = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS;
+    if (hash === session.previousTokenHash && !recentlyRotated) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  // Conditional update so two concurrent refreshes with the same token can't both succeed
+  const next = newSecret();
+  const now = new Date();
+  const updated = await Session.findOneAndUpdate(
+    { _id: id, tokenHash: hash, revokedAt: null },
+    {
+      tokenHash: hashToken(next),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req),
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return { session: updated, refreshToken: `${id}.${next}` };
+}
+
+// Revoke one session of a user. Returns the revoked session, or null if it wasn't theirs/active.
+function revokeSession(userId, sessionId) {
+  return Session.findOneAndUpdate(
+    activeFilter({ _id: sessionId, userId }),
+    { revokedAt: new Date() },
+    { new: true }
+  );
+}
+
+// Revoke every active session of a user ("sign out everywhere"). Returns how many were revoked.
+async function revokeAllSessions(userId) {
+  const result = await Session.updateMany(activeFilter({ userId }), { revokedAt: new Date() });
+  return result.modifiedCount;
+}
+
+// Revoke every active session except `keepSessionId` (e.g. after a password change on this device)
+async function revokeOtherSessions(userId, keepSessionId) {
+  const result = await Session.updateMany(
+    activeFilter({ userId, _id: { $ne: keepSessionId } }),
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  activeFilter,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+};
@@ -0,0 +1,54 @@
+// -----------------------------
+// Item sharing
+// - An item has one owner (item.userId) and any number of shares: { userId, role }
+// - Access levels, lowest first: viewer < editor < owner
+// - Items seen by someone other than the owner are sent with `access` and `owner`
+//   ({ _id, name, email }) and without the share list (only the owner manages that)
+// -----------------------------
+
+const User = require("../models/User");
+
+const LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+// "owner" | "editor" | "viewer" | null for a user id
+function accessLevel(item, userId) {
+  if (String(item.userId) === String(userId)) return "owner";
+  const share = (item.shares || []).find((s) => s.userId === String(userId));
+  return share ? share.role : null;
+}
+
+// Does `access` include everything `required` allows?
+const allows = (access, required) => Boolean(access) && LEVELS[access] >= LEVELS[required];
+
+// Mongo filter: items the user owns or has been given access to
+const visibleTo = (userId) => ({ $or: [{ userId: String(userId) }, { "shares.userId": String(userId) }] });
+
+// Public name/email of item owners, by id (for shared items)
+async function ownersById(userIds) {
+  const users = await User.find({ _id: { $in: [...new Set(userIds)] } }).select("name email").lean();
+  return new Map(users.map((u) => [String(u._id), { _id: u._id, name: u.name, email: u.email }]));
+}
+
+// One item's JSON as `userId` sees it (`owners` from ownersById, needed for shared items)
+function shapeFor(item, userId, owners) {
+  const json = typeof item.toJSON === "function" ? item.toJSON() : { ...item };
+  if (item.userId === userId) return json;
+
+  delete json.shares;
+  return { ...json, access: accessLevel(item, userId), owner: owners.get(item.userId) || null };
+}
+
+// The JSON to send for items as `user` sees them (owners get them unchanged)
+async function viewsFor(items, user) {
+  const foreign = items.filter((item) => item.userId !== user.id);
+  const owners = foreign.length > 0 ? await ownersById(foreign.map((item) => item.userId)) : new Map();
+  return items.map((item) => shapeFor(item, user.id, owners));
+}
+
+// Single-item version of viewsFor
+async function viewFor(item, user) {
+  const [view] = await viewsFor([item], user);
+  return view;
+}
+
+module.exports = { accessLevel, allows, visibleTo, ownersById, shapeFor, viewsFor, viewFor };
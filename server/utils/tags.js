@@ -0,0 +1,50 @@
+// -----------------------------
+// Tag helpers
+// - Items carry tag names; ensureTags() makes sure each name exists as a Tag for the
+//   user (creating it with a palette color) and returns the canonical spellings, so
+//   "work" and "Work" always end up as the same tag
+// -----------------------------
+
+const Tag = require("../models/Tag");
+
+// Colors handed out to new tags (picked by a hash of the name, so they're stable)
+const PALETTE = ["#8b5cf6", "#06b6d4", "#22c55e", "#f59e0b", "#ef4444", "#ec4899", "#3b82f6", "#14b8a6"];
+
+function tagKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function defaultColor(name) {
+  let hash = 0;
+  for (const ch of tagKey(name)) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return PALETTE[hash % PALETTE.length];
+}
+
+// Returns the canonical, de-duplicated tag names for `names`, creating missing tags
+// (pass a MongoDB session to do it inside a transaction)
+async function ensureTags(userId, names = [], session = null) {
+  const byKey = new Map();
+  for (const name of names) {
+    const trimmed = String(name).trim();
+    if (trimmed && !byKey.has(tagKey(trimmed))) byKey.set(tagKey(trimmed), trimmed);
+  }
+  if (byKey.size === 0) return [];
+
+  // Upsert so concurrent requests can't create duplicates (unique index on userId + key)
+  await Tag.bulkWrite(
+    [...byKey].map(([key, name]) => ({
+      updateOne: {
+        filter: { userId, key },
+        update: { $setOnInsert: { userId, key, name, color: defaultColor(name) } },
+        upsert: true,
+      },
+    })),
+    { ordered: false, session }
+  );
+
+  const tags = await Tag.find({ userId, key: { $in: [...byKey.keys()] } }).session(session).lean();
+  const canonical = new Map(tags.map((t) => [t.key, t.name]));
+  return [...byKey.keys()].map((key) => canonical.get(key) || byKey.get(key));
+}
+
+module.exports = { PALETTE, tagKey, defaultColor, ensureTags };
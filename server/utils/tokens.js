@@ -0,0 +1,29 @@
+// -----------------------------
+// Access tokens (JWT, HS256)
+// - JWT_SECRET signs every token; JWT_EXPIRES_IN controls lifetime (default "1h")
+// - The token only carries the user id ("sub") and its session id ("sid");
+//   everything else (including whether the session was revoked) is looked up per request
+// -----------------------------
+
+const jwt = require("jsonwebtoken");
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not set");
+  return secret;
+}
+
+// Issue a signed access token for a user document, bound to one session
+function signAccessToken(user, session) {
+  return jwt.sign({ sub: String(user._id), sid: String(session._id) }, getSecret(), {
+    algorithm: "HS256",
+    expiresIn: process.env.JWT_EXPIRES_IN || "1h",
+  });
+}
+
+// Verify a token and return its payload (throws if invalid or expired)
+function verifyAccessToken(token) {
+  return jwt.verify(token, getSecret(), { algorithms: ["HS256"] });
+}
+
+module.exports = { getSecret, signAccessToken, verifyAccessToken };